@@ -0,0 +1,38 @@
+// Uso: node scripts/create-user.js <email> <contraseña> [rol] [--local]
+//   Crea el primer administrador (o cualquier usuario) sin pasar por la API.
+//   --local usa la base SQLite de desarrollo en lugar de PostgreSQL
+const { loadConfig } = require('../src/config');
+const { createDatabase } = require('../src/db');
+const { createRepositories } = require('../src/repositories');
+const { ROLES } = require('../src/middleware/auth');
+
+const args = process.argv.slice(2);
+const local = args.includes('--local');
+const [email, password, rol = 'admin'] = args.filter(arg => arg !== '--local');
+
+const run = async () => {
+  if (!email || !password) {
+    console.error('❌ Uso: node scripts/create-user.js <email> <contraseña> [rol] [--local]');
+    process.exit(1);
+  }
+
+  if (!ROLES.includes(rol)) {
+    console.error(`❌ El rol debe ser uno de: ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const config = loadConfig(local ? { db: { client: 'sqlite' } } : {});
+  const db = createDatabase(config.db);
+
+  try {
+    const usuario = await createRepositories(db).usuarios.create({ email, password, rol });
+    console.log(`✅ Usuario ${usuario.email} creado con rol ${usuario.rol}`);
+  } finally {
+    await db.close();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Error creando usuario:', error);
+  process.exit(1);
+});
@@ -0,0 +1,36 @@
+// Uso: node scripts/geocode.js [--force] [--local]
+//   Geocodifica las direcciones de restaurantes y sedes que siguen sin
+//   coordenadas con el geocodificador configurado (GEOCODER); --force recalcula
+//   también las ya geocodificadas (nunca las que puso un editor).
+//   --local usa la base SQLite de desarrollo en lugar de PostgreSQL
+const { loadConfig } = require('../src/config');
+const { createDatabase } = require('../src/db');
+const { createRepositories } = require('../src/repositories');
+const { createGeocoder } = require('../src/geocoding');
+const { createGeocodificacion } = require('../src/geocoding/restaurantes');
+const { createRegeocodificacion } = require('../src/jobs/geocodificacion');
+
+const args = process.argv.slice(2);
+const local = args.includes('--local');
+const forzar = args.includes('--force');
+
+const run = async () => {
+  const config = loadConfig(local ? { db: { client: 'sqlite' } } : {});
+  const db = createDatabase(config.db);
+
+  try {
+    const repos = createRepositories(db);
+    const geocodificacion = createGeocodificacion({ db, repos, geocoder: createGeocoder({ config }) });
+
+    console.log(`📍 Geocodificando con ${config.geocoding.provider}${forzar ? ' (todas las direcciones)' : ''}...`);
+    const resumen = await createRegeocodificacion({ repos, geocodificacion }).regeocodificar({ forzar });
+    console.log(`✅ ${resumen.revisados} restaurante(s) revisado(s), ${resumen.actualizados} actualizado(s), ${resumen.errores} error(es)`);
+  } finally {
+    await db.close();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Error geocodificando direcciones:', error);
+  process.exit(1);
+});
@@ -0,0 +1,52 @@
+// Uso: node scripts/migrate.js <migrate|rollback|status> [pasos] [--local]
+//   --local usa la base SQLite de desarrollo en lugar de PostgreSQL
+const { loadConfig } = require('../src/config');
+const { createDatabase } = require('../src/db');
+const { createMigrator } = require('../src/db/migrator');
+
+const args = process.argv.slice(2);
+const local = args.includes('--local');
+const [command = 'status', steps] = args.filter(arg => arg !== '--local');
+
+const commands = {
+  migrate: async (migrator) => {
+    const applied = await migrator.migrate();
+    console.log(applied.length > 0
+      ? `✅ ${applied.length} migración(es) aplicada(s)`
+      : '✅ La base de datos ya está al día');
+  },
+
+  rollback: async (migrator) => {
+    const reverted = await migrator.rollback(steps ? parseInt(steps, 10) : 1);
+    console.log(reverted.length > 0
+      ? `↩️  ${reverted.length} migración(es) revertida(s)`
+      : 'No hay migraciones aplicadas para revertir');
+  },
+
+  status: async (migrator) => {
+    for (const m of await migrator.status()) {
+      console.log(`${m.applied ? '✅' : '⏳'} ${m.name}${m.applied ? ` (aplicada ${m.applied_at})` : ' (pendiente)'}`);
+    }
+  }
+};
+
+const run = async () => {
+  if (!commands[command]) {
+    console.error(`❌ Comando desconocido: ${command}. Use migrate, rollback o status.`);
+    process.exit(1);
+  }
+
+  const config = loadConfig(local ? { db: { client: 'sqlite' } } : {});
+  const db = createDatabase(config.db);
+
+  try {
+    await commands[command](createMigrator(db));
+  } finally {
+    await db.close();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Error ejecutando migraciones:', error);
+  process.exit(1);
+});
@@ -0,0 +1,148 @@
+const express = require('express');
+const cors = require('cors');
+const { createRepositories } = require('./repositories');
+const { createEventStream } = require('./realtime/events');
+const { createBroker } = require('./realtime/brokers');
+const { createWebSocketServer } = require('./realtime/websocket');
+const { createNotificador } = require('./realtime/notificador');
+const { createPurgaPapelera } = require('./jobs/purgaPapelera');
+const { createRegeocodificacion } = require('./jobs/geocodificacion');
+const { createGeocoder } = require('./geocoding');
+const { createGeocodificacion } = require('./geocoding/restaurantes');
+const { createTokenService } = require('./auth/tokens');
+const { createMailer } = require('./mail');
+const { createAuthMiddleware } = require('./middleware/auth');
+const { requestId } = require('./middleware/requestId');
+const { createAuthRouter } = require('./routes/auth');
+const { createUsuariosRouter } = require('./routes/usuarios');
+const { createCiudadesRouter } = require('./routes/ciudades');
+const { createPatrocinadoresRouter } = require('./routes/patrocinadores');
+const { createRestaurantesRouter } = require('./routes/restaurantes');
+const { createEdicionesRouter } = require('./routes/ediciones');
+const { createPropuestasRouter } = require('./routes/propuestas');
+const { createVotacionesRouter } = require('./routes/votaciones');
+const { createPremiosRouter } = require('./routes/premios');
+const { createReservasRouter } = require('./routes/reservas');
+const { createPortalRouter } = require('./routes/portal');
+const { createCambiosRestaurantesRouter } = require('./routes/cambiosRestaurantes');
+const { createAuditoriaRouter } = require('./routes/auditoria');
+const { createBusquedaRouter } = require('./routes/busqueda');
+
+const ENDPOINTS = {
+  health: '/api/health',
+  auth: '/api/auth/login',
+  ciudades: '/api/ciudades',
+  patrocinadores: '/api/patrocinadores',
+  restaurantes: '/api/restaurantes',
+  ediciones: '/api/ediciones',
+  propuestas: '/api/propuestas',
+  votaciones: '/api/votaciones',
+  premios: '/api/premios',
+  reservas: '/api/reservas',
+  portal: '/api/portal/restaurante',
+  auditoria: '/api/auditoria',
+  busqueda: '/api/search',
+  events: '/api/events',
+  websocket: '/api/ws'
+};
+
+// Construir la aplicación Express sobre el driver de base de datos recibido
+const createApp = ({ db, config }) => {
+  const app = express();
+  const repos = createRepositories(db);
+  const broker = createBroker({ db, config });
+  const events = createEventStream({ eventos: repos.eventos, broker, options: config.events });
+  const tokens = createTokenService(config.auth);
+  const auth = createAuthMiddleware({ repos, tokens });
+  const websocket = createWebSocketServer({ events, broker, auth, options: config.events });
+  const notificador = createNotificador({ db, events, auditoria: repos.auditoria });
+  const mailer = createMailer({ config });
+
+  // Geocodificación en segundo plano de los restaurantes que se guardan y
+  // reintento periódico de las direcciones sin coordenadas; los cambios se
+  // difunden sin actor
+  const geocodificacion = createRegeocodificacion({
+    repos,
+    geocodificacion: createGeocodificacion({ db, repos, geocoder: createGeocoder({ config }) }),
+    options: {
+      interval: config.geocoding.provider === 'none' ? 0 : config.geocoding.retryInterval,
+      alActualizar: (antes, despues) => notificador.actualizado({}, 'restaurante', despues, antes)
+    }
+  });
+  app.locals.geocodificacion = geocodificacion;
+
+  const deps = { db, repos, events, notificador, tokens, auth, geocodificacion, mailer, config };
+
+  // Borrado definitivo periódico de lo que lleva en la papelera más de la retención
+  app.locals.papelera = createPurgaPapelera({ db, repos, options: config.trash });
+
+  // Middleware
+  app.use(cors(config.cors));
+  app.use(requestId);
+  // PATCH acepta también el tipo de JSON Merge Patch (RFC 7396)
+  app.use(express.json({ type: ['application/json', 'application/merge-patch+json'] }));
+  app.use(auth.authenticate);
+
+  // Endpoint para SSE; el WebSocket (/api/ws) se engancha al servidor HTTP en startServer
+  app.get('/api/events', events.handler);
+  app.locals.websocket = websocket;
+
+  app.use('/api/auth', createAuthRouter(deps));
+  app.use('/api/usuarios', createUsuariosRouter(deps));
+  app.use('/api/ciudades', createCiudadesRouter(deps));
+  app.use('/api/patrocinadores', createPatrocinadoresRouter(deps));
+  app.use('/api/restaurantes', createRestaurantesRouter(deps));
+  app.use('/api/ediciones', createEdicionesRouter(deps));
+  app.use('/api/propuestas', createPropuestasRouter(deps));
+  app.use('/api/votaciones', createVotacionesRouter(deps));
+  app.use('/api/premios', createPremiosRouter(deps));
+  app.use('/api/reservas', createReservasRouter(deps));
+  app.use('/api/portal', createPortalRouter(deps));
+  app.use('/api/cambios-restaurantes', createCambiosRestaurantesRouter(deps));
+  app.use('/api/auditoria', createAuditoriaRouter(deps));
+  app.use('/api/search', createBusquedaRouter(deps));
+
+  // Health check
+  app.get('/api/health', (req, res) => {
+    const isStaging = config.environment === 'staging';
+
+    res.json({
+      status: 'OK',
+      message: `API funcionando correctamente con restaurantes - Versión 1.0.3 - ${isStaging ? 'STAGING' : 'PRODUCCIÓN'}`,
+      environment: config.environment,
+      database: db.dialect.name,
+      features: ['ciudades', 'patrocinadores', 'restaurantes', 'ediciones', 'propuestas', 'votaciones', 'premios', 'reservas'],
+      endpoints: ENDPOINTS
+    });
+  });
+
+  // Endpoint de prueba para verificar que el servidor está funcionando
+  app.get('/', (req, res) => {
+    res.json({
+      status: 'OK',
+      message: 'As Gastronómico API funcionando correctamente',
+      endpoints: ENDPOINTS
+    });
+  });
+
+  // Manejo de errores global
+  app.use((err, req, res, next) => {
+    console.error('Error global:', err);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: err.message
+    });
+  });
+
+  // Manejo de rutas no encontradas
+  app.use('*', (req, res) => {
+    res.status(404).json({
+      error: 'Ruta no encontrada',
+      path: req.originalUrl
+    });
+  });
+
+  return app;
+};
+
+module.exports = { createApp };
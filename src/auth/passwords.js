@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+// Formato almacenado: scrypt$<salt hex>$<hash hex>
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hashHex] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hashHex) {
+    return false;
+  }
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = { hashPassword, verifyPassword };
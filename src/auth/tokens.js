@@ -0,0 +1,11 @@
+const jwt = require('jsonwebtoken');
+
+// Tokens firmados (JWT HS256) que identifican al usuario por su id
+const createTokenService = ({ secret, expiresIn }) => ({
+  sign: (usuario) => jwt.sign({ sub: String(usuario.id), rol: usuario.rol }, secret, { expiresIn }),
+
+  // Devuelve el payload o lanza un error si el token es inválido o expiró
+  verify: (token) => jwt.verify(token, secret)
+});
+
+module.exports = { createTokenService };
@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+// Tokens de un solo uso para verificar el email de una cuenta registrada por
+// el propio usuario. Solo se guarda su hash: quien lea la base no puede
+// verificar cuentas ajenas
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// { token, hash, expira } con la caducidad en ms desde epoch
+const crearTokenVerificacion = (ttlMs) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, hash: hashToken(token), expira: Date.now() + ttlMs };
+};
+
+module.exports = { hashToken, crearTokenVerificacion };
@@ -0,0 +1,86 @@
+const path = require('path');
+
+// Orígenes permitidos por defecto (frontends desplegados en Render y entornos locales)
+const DEFAULT_CORS_ORIGINS = [
+  'https://as-gastronomico-app.onrender.com',
+  'https://as-gastronomico-staging-app.onrender.com',
+  'http://localhost:19006',
+  'http://localhost:3000',
+  'http://localhost:8081'
+];
+
+// Construir la configuración a partir de variables de entorno y sobrescrituras explícitas
+const loadConfig = (overrides = {}) => {
+  const client = overrides.db?.client || process.env.DB_CLIENT || 'postgres';
+  const production = process.env.NODE_ENV === 'production';
+
+  return {
+    port: overrides.port || process.env.PORT || 3001,
+    environment: process.env.NODE_ENV || 'development',
+    db: {
+      client,
+      connectionString: process.env.DATABASE_URL,
+      ssl: production ? { rejectUnauthorized: false } : false,
+      filename: process.env.SQLITE_FILENAME || path.join(__dirname, '..', 'database.sqlite'),
+      ...overrides.db
+    },
+    auth: {
+      // En producción AUTH_SECRET es obligatorio (ver startServer)
+      secret: process.env.AUTH_SECRET || (production ? null : 'as-gastronomico-dev-secret'),
+      expiresIn: process.env.AUTH_TOKEN_TTL || '12h',
+      // Validez del enlace de verificación de las cuentas registradas por sus usuarios
+      verificationTtl: Number(process.env.AUTH_VERIFICATION_TTL_MS) || 48 * 60 * 60 * 1000
+    },
+    mail: {
+      // "log" (consola) o "webhook" (POST a MAIL_WEBHOOK_URL). En producción
+      // hay que configurarlo; sin él no hay registro público de usuarios
+      transport: process.env.MAIL_TRANSPORT || (production ? null : 'log'),
+      webhookUrl: process.env.MAIL_WEBHOOK_URL,
+      from: process.env.MAIL_FROM || 'As Gastronómico <no-reply@asgastronomico.co>',
+      timeout: Number(process.env.MAIL_TIMEOUT_MS) || 10000,
+      // Página del frontend que recibe ?token= y llama a POST /api/auth/verificar
+      verifyUrl: process.env.VERIFY_URL || 'http://localhost:19006/verificar'
+    },
+    events: {
+      heartbeatInterval: Number(process.env.SSE_HEARTBEAT_MS) || 25000,
+      // Eventos que se conservan para reenviar a clientes que reconectan
+      logSize: Number(process.env.SSE_EVENT_LOG_SIZE) || 10000,
+      // Reparto de eventos entre instancias: "postgres" (LISTEN/NOTIFY) o "memory" (un solo proceso)
+      broker: process.env.EVENTS_BROKER || (client === 'postgres' ? 'postgres' : 'memory')
+    },
+    trash: {
+      // Días que un registro eliminado pasa en la papelera antes de purgarse
+      retentionDays: Number(process.env.TRASH_RETENTION_DAYS) || 30,
+      purgeInterval: Number(process.env.TRASH_PURGE_INTERVAL_MS) || 6 * 60 * 60 * 1000
+    },
+    geocoding: {
+      // Coordenadas de las direcciones de restaurantes y sedes: "nominatim"
+      // (OpenStreetMap u otro servidor compatible), "gazetteer" (archivo local,
+      // para desarrollo y pruebas) o "none". En producción hay que elegirlo
+      // con GEOCODER (el Nominatim público tiene una política de uso que hay
+      // que aceptar); sin él no se geocodifica
+      provider: process.env.GEOCODER || (production ? 'none' : 'gazetteer'),
+      url: process.env.GEOCODER_URL || 'https://nominatim.openstreetmap.org',
+      userAgent: process.env.GEOCODER_USER_AGENT || 'as-gastronomico-backend',
+      email: process.env.GEOCODER_EMAIL || null,
+      countryCodes: process.env.GEOCODER_COUNTRY_CODES || 'co',
+      timeout: Number(process.env.GEOCODER_TIMEOUT_MS) || 5000,
+      // El Nominatim público admite como mucho una petición por segundo
+      minInterval: Number(process.env.GEOCODER_MIN_INTERVAL_MS) || 1000,
+      cacheSize: Number(process.env.GEOCODER_CACHE_SIZE) || 1000,
+      gazetteerFile: process.env.GEOCODER_GAZETTEER_FILE || path.join(__dirname, '..', 'data', 'gazetteer.json'),
+      // Reintento periódico de las direcciones que siguen sin coordenadas
+      retryInterval: Number(process.env.GEOCODER_RETRY_INTERVAL_MS) || 60 * 60 * 1000
+    },
+    cors: {
+      origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : DEFAULT_CORS_ORIGINS,
+      credentials: true,
+      methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'Cache-Control', 'Last-Event-ID', 'If-Match', 'If-None-Match', 'X-Request-Id'],
+      exposedHeaders: ['ETag', 'X-Request-Id', 'X-Total-Count', 'Link'],
+      ...overrides.cors
+    }
+  };
+};
+
+module.exports = { loadConfig };
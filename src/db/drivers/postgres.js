@@ -0,0 +1,70 @@
+const { Pool, types } = require('pg');
+
+// Devolver DATE como 'YYYY-MM-DD' (igual que SQLite) en lugar de Date con zona horaria
+types.setTypeParser(types.builtins.DATE, (value) => value);
+
+// Particularidades de SQL de PostgreSQL usadas por los repositorios
+const dialect = {
+  name: 'postgres',
+  ilike: 'ILIKE',
+  stringAgg: (expr) => `STRING_AGG(${expr}, ',')`,
+  // Instante de hace N días (N es un parámetro o expresión entera)
+  daysAgo: (days) => `CURRENT_TIMESTAMP - CAST(${days} AS INTEGER) * INTERVAL '1 day'`,
+  // Bloqueos de fila dentro de una transacción
+  forUpdate: 'FOR UPDATE',
+  forShare: 'FOR SHARE'
+};
+
+// Driver de PostgreSQL (producción en Render)
+const createPostgresDriver = (config) => {
+  const pool = new Pool({
+    connectionString: config.connectionString,
+    ssl: config.ssl,
+    max: 20,
+    idleTimeoutMillis: 30000,
+    connectionTimeoutMillis: 2000,
+  });
+
+  // Verificar conexión a la base de datos
+  pool.on('connect', () => {
+    console.log('✅ Conectado a PostgreSQL');
+  });
+
+  pool.on('error', (err) => {
+    console.error('❌ Error de conexión a PostgreSQL:', err);
+  });
+
+  const toResult = (result) => ({ rows: result.rows, rowCount: result.rowCount });
+
+  return {
+    dialect,
+    pool,
+
+    query: async (sql, params = []) => toResult(await pool.query(sql, params)),
+
+    // Ejecuta fn dentro de una transacción con un cliente dedicado del pool
+    transaction: async (fn) => {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await fn({
+          dialect,
+          query: async (sql, params = []) => toResult(await client.query(sql, params))
+        });
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    isUniqueViolation: (error) => error.code === '23505',
+
+    close: () => pool.end()
+  };
+};
+
+module.exports = { createPostgresDriver };
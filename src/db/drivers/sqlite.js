@@ -0,0 +1,78 @@
+// Particularidades de SQL de SQLite usadas por los repositorios
+const dialect = {
+  name: 'sqlite',
+  ilike: 'LIKE',
+  stringAgg: (expr) => `GROUP_CONCAT(${expr})`,
+  // Mismo formato que CURRENT_TIMESTAMP para poder comparar como texto
+  daysAgo: (days) => `datetime('now', '-' || ${days} || ' days')`,
+  // Sin bloqueos de fila: el driver ya serializa todas las consultas
+  forUpdate: '',
+  forShare: ''
+};
+
+// Sentencias que devuelven filas y deben ejecutarse con db.all
+const RETURNS_ROWS = /^\s*(SELECT|WITH|PRAGMA)\b|\bRETURNING\b/i;
+
+// Driver de SQLite (desarrollo local). sqlite3 se carga bajo demanda para
+// que el despliegue con PostgreSQL no dependa del módulo nativo.
+const createSqliteDriver = (config) => {
+  const sqlite3 = require('sqlite3').verbose();
+  const db = new sqlite3.Database(config.filename);
+
+  // Los repositorios escriben los parámetros como $1, $2... (estilo pg);
+  // SQLite acepta la forma numerada ?1, ?2...
+  const exec = (sql, params = []) => new Promise((resolve, reject) => {
+    const text = sql.replace(/\$(\d+)/g, '?$1');
+
+    if (RETURNS_ROWS.test(text)) {
+      db.all(text, params, (err, rows) => {
+        if (err) return reject(err);
+        resolve({ rows, rowCount: rows.length });
+      });
+    } else {
+      db.run(text, params, function(err) {
+        if (err) return reject(err);
+        resolve({ rows: [], rowCount: this.changes });
+      });
+    }
+  });
+
+  // Una sola conexión: las consultas se serializan para que ninguna
+  // se intercale dentro de una transacción abierta
+  let lock = Promise.resolve();
+  const withLock = (task) => {
+    const run = lock.then(task, task);
+    lock = run.catch(() => {});
+    return run;
+  };
+
+  const ready = exec('PRAGMA foreign_keys = ON');
+
+  return {
+    dialect,
+    filename: config.filename,
+
+    query: (sql, params) => withLock(() => ready.then(() => exec(sql, params))),
+
+    transaction: (fn) => withLock(async () => {
+      await ready;
+      await exec('BEGIN');
+      try {
+        const result = await fn({ dialect, query: exec });
+        await exec('COMMIT');
+        return result;
+      } catch (error) {
+        await exec('ROLLBACK');
+        throw error;
+      }
+    }),
+
+    isUniqueViolation: (error) => error.code === 'SQLITE_CONSTRAINT' && error.message.includes('UNIQUE'),
+
+    close: () => new Promise((resolve, reject) => {
+      db.close((err) => (err ? reject(err) : resolve()));
+    })
+  };
+};
+
+module.exports = { createSqliteDriver };
@@ -0,0 +1,20 @@
+const { createPostgresDriver } = require('./drivers/postgres');
+const { createSqliteDriver } = require('./drivers/sqlite');
+
+const drivers = {
+  postgres: createPostgresDriver,
+  sqlite: createSqliteDriver
+};
+
+// Crear el driver de base de datos indicado por config.client
+const createDatabase = (config) => {
+  const createDriver = drivers[config.client];
+
+  if (!createDriver) {
+    throw new Error(`Driver de base de datos no soportado: ${config.client}`);
+  }
+
+  return createDriver(config);
+};
+
+module.exports = { createDatabase };
@@ -0,0 +1,26 @@
+// Tipos de columna que difieren entre PostgreSQL y SQLite
+const columnTypes = (dialect) => (dialect.name === 'postgres'
+  ? { id: 'SERIAL PRIMARY KEY', text: 'VARCHAR(255)', shortText: 'VARCHAR(50)', timestamp: 'TIMESTAMP', real: 'DOUBLE PRECISION' }
+  : { id: 'INTEGER PRIMARY KEY AUTOINCREMENT', text: 'TEXT', shortText: 'TEXT', timestamp: 'DATETIME', real: 'REAL' });
+
+const hasColumn = async (db, table, column) => {
+  if (db.dialect.name === 'postgres') {
+    const result = await db.query(
+      'SELECT 1 FROM information_schema.columns WHERE table_name = $1 AND column_name = $2',
+      [table, column]
+    );
+    return result.rows.length > 0;
+  }
+
+  const { rows: columns } = await db.query(`PRAGMA table_info(${table})`);
+  return columns.some(col => col.name === column);
+};
+
+// Agregar una columna solo si todavía no existe (bases creadas antes de las migraciones)
+const addColumnIfMissing = async (db, table, column, definition) => {
+  if (!(await hasColumn(db, table, column))) {
+    await db.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
+module.exports = { columnTypes, hasColumn, addColumnIfMissing };
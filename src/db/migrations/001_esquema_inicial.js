@@ -0,0 +1,72 @@
+const { columnTypes, addColumnIfMissing } = require('../migrationHelpers');
+
+// Esquema original de createTables. Usa IF NOT EXISTS para poder adoptar
+// bases de datos creadas antes de existir las migraciones.
+module.exports = {
+  up: async (db) => {
+    const t = columnTypes(db.dialect);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS ciudades (
+        id ${t.id},
+        nombre ${t.text} NOT NULL UNIQUE,
+        fecha_creacion ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS patrocinadores (
+        id ${t.id},
+        nombre ${t.text} NOT NULL,
+        email ${t.text} NOT NULL UNIQUE,
+        telefono ${t.shortText},
+        representante ${t.text},
+        logo_fondo_claro TEXT,
+        logo_fondo_oscuro TEXT,
+        fecha_creacion ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS patrocinadores_ciudades (
+        id ${t.id},
+        patrocinador_id INTEGER REFERENCES patrocinadores(id) ON DELETE CASCADE,
+        ciudad_id INTEGER REFERENCES ciudades(id) ON DELETE CASCADE,
+        UNIQUE(patrocinador_id, ciudad_id)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS restaurantes (
+        id ${t.id},
+        nombre_oficial ${t.text} NOT NULL,
+        nombre_mostrar ${t.text} NOT NULL,
+        breve_resena TEXT,
+        representante ${t.text},
+        numero_mesas INTEGER,
+        ciudad_id INTEGER REFERENCES ciudades(id) ON DELETE SET NULL,
+        email ${t.text},
+        telefono ${t.shortText},
+        instagram ${t.text},
+        logo TEXT,
+        sede_ubicacion_corta TEXT,
+        sede_horario TEXT,
+        sedes TEXT,
+        propuestas TEXT,
+        ediciones TEXT,
+        premios_obtenidos TEXT,
+        fecha_creacion ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Bases SQLite antiguas se crearon antes de existir la columna sedes
+    await addColumnIfMissing(db, 'restaurantes', 'sedes', 'TEXT');
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS restaurantes');
+    await db.query('DROP TABLE IF EXISTS patrocinadores_ciudades');
+    await db.query('DROP TABLE IF EXISTS patrocinadores');
+    await db.query('DROP TABLE IF EXISTS ciudades');
+  }
+};
@@ -0,0 +1,37 @@
+const { columnTypes } = require('../migrationHelpers');
+
+// Usuarios con rol; los editores se asignan a una o varias ciudades
+// y los propietarios a un restaurante
+module.exports = {
+  up: async (db) => {
+    const t = columnTypes(db.dialect);
+
+    await db.query(`
+      CREATE TABLE usuarios (
+        id ${t.id},
+        email ${t.text} NOT NULL UNIQUE,
+        nombre ${t.text},
+        password_hash TEXT NOT NULL,
+        rol VARCHAR(20) NOT NULL DEFAULT 'lectura'
+          CHECK (rol IN ('admin', 'editor', 'propietario', 'lectura')),
+        restaurante_id INTEGER REFERENCES restaurantes(id) ON DELETE SET NULL,
+        activo BOOLEAN NOT NULL DEFAULT TRUE,
+        fecha_creacion ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE usuarios_ciudades (
+        id ${t.id},
+        usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+        ciudad_id INTEGER NOT NULL REFERENCES ciudades(id) ON DELETE CASCADE,
+        UNIQUE(usuario_id, ciudad_id)
+      )
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS usuarios_ciudades');
+    await db.query('DROP TABLE IF EXISTS usuarios');
+  }
+};
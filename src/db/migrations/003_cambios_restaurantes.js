@@ -0,0 +1,29 @@
+const { columnTypes } = require('../migrationHelpers');
+
+// Cambios propuestos por propietarios, pendientes de revisión por un administrador
+module.exports = {
+  up: async (db) => {
+    const t = columnTypes(db.dialect);
+
+    await db.query(`
+      CREATE TABLE cambios_restaurantes (
+        id ${t.id},
+        restaurante_id INTEGER NOT NULL REFERENCES restaurantes(id) ON DELETE CASCADE,
+        usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+        cambios TEXT NOT NULL,
+        estado VARCHAR(20) NOT NULL DEFAULT 'pendiente'
+          CHECK (estado IN ('pendiente', 'aprobado', 'rechazado')),
+        motivo_rechazo TEXT,
+        revisado_por INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+        fecha_revision ${t.timestamp},
+        fecha_creacion ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query('CREATE INDEX idx_cambios_restaurantes_estado ON cambios_restaurantes (estado, restaurante_id)');
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS cambios_restaurantes');
+  }
+};
@@ -0,0 +1,96 @@
+const { columnTypes } = require('../migrationHelpers');
+const { DIAS, parseHorarioTexto, formatHorarios } = require('../../utils/horarios');
+
+// Sedes como tabla propia (antes un JSON en restaurantes.sedes) con horarios estructurados
+module.exports = {
+  up: async (db) => {
+    const t = columnTypes(db.dialect);
+
+    await db.query(`
+      CREATE TABLE sedes (
+        id ${t.id},
+        restaurante_id INTEGER NOT NULL REFERENCES restaurantes(id) ON DELETE CASCADE,
+        nombre ${t.text} NOT NULL,
+        direccion TEXT,
+        barrio ${t.text},
+        latitud ${t.real},
+        longitud ${t.real},
+        telefono ${t.shortText},
+        mesas INTEGER,
+        horario_texto TEXT,
+        fecha_creacion ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX idx_sedes_restaurante ON sedes (restaurante_id)');
+
+    await db.query(`
+      CREATE TABLE sedes_horarios (
+        id ${t.id},
+        sede_id INTEGER NOT NULL REFERENCES sedes(id) ON DELETE CASCADE,
+        dia VARCHAR(10) NOT NULL CHECK (dia IN (${DIAS.map(d => `'${d}'`).join(', ')})),
+        apertura VARCHAR(5) NOT NULL,
+        cierre VARCHAR(5) NOT NULL
+      )
+    `);
+    await db.query('CREATE INDEX idx_sedes_horarios_sede ON sedes_horarios (sede_id)');
+
+    // Convertir los JSON existentes ([{ ubicacion_corta, horarios: "Lunes: 09:00 - 18:00 | ..." }])
+    const { rows } = await db.query("SELECT id, sedes FROM restaurantes WHERE sedes IS NOT NULL AND sedes <> ''");
+
+    for (const restaurante of rows) {
+      let sedes;
+      try {
+        sedes = JSON.parse(restaurante.sedes);
+      } catch (error) {
+        console.warn(`⚠️  Sedes no convertibles en restaurante ${restaurante.id}:`, restaurante.sedes);
+        continue;
+      }
+
+      for (const sede of Array.isArray(sedes) ? sedes : []) {
+        const item = typeof sede === 'string' ? { ubicacion_corta: sede } : sede || {};
+        const nombre = (item.nombre || item.ubicacion_corta || '').trim() || 'Sede';
+        const horarios = parseHorarioTexto(item.horarios);
+
+        const result = await db.query(
+          'INSERT INTO sedes (restaurante_id, nombre, horario_texto) VALUES ($1, $2, $3) RETURNING id',
+          [restaurante.id, nombre, horarios ? null : item.horarios || null]
+        );
+
+        for (const h of horarios || []) {
+          await db.query(
+            'INSERT INTO sedes_horarios (sede_id, dia, apertura, cierre) VALUES ($1, $2, $3, $4)',
+            [result.rows[0].id, h.dia, h.apertura, h.cierre]
+          );
+        }
+      }
+    }
+
+    await db.query('ALTER TABLE restaurantes DROP COLUMN sedes');
+  },
+
+  down: async (db) => {
+    await db.query('ALTER TABLE restaurantes ADD COLUMN sedes TEXT');
+
+    // Reconstruir el JSON con el formato anterior
+    const { rows: sedes } = await db.query('SELECT * FROM sedes ORDER BY id');
+    const { rows: horarios } = await db.query('SELECT * FROM sedes_horarios ORDER BY id');
+    const porRestaurante = new Map();
+
+    for (const sede of sedes) {
+      const franjas = horarios.filter(h => h.sede_id === sede.id);
+      const lista = porRestaurante.get(sede.restaurante_id) || [];
+      lista.push({
+        ubicacion_corta: sede.nombre,
+        horarios: franjas.length > 0 ? formatHorarios(franjas) : sede.horario_texto || ''
+      });
+      porRestaurante.set(sede.restaurante_id, lista);
+    }
+
+    for (const [restauranteId, lista] of porRestaurante) {
+      await db.query('UPDATE restaurantes SET sedes = $1 WHERE id = $2', [JSON.stringify(lista), restauranteId]);
+    }
+
+    await db.query('DROP TABLE IF EXISTS sedes_horarios');
+    await db.query('DROP TABLE IF EXISTS sedes');
+  }
+};
@@ -0,0 +1,43 @@
+const { columnTypes } = require('../migrationHelpers');
+
+// Ediciones del festival y participación de restaurantes en cada una
+module.exports = {
+  up: async (db) => {
+    const t = columnTypes(db.dialect);
+
+    await db.query(`
+      CREATE TABLE ediciones (
+        id ${t.id},
+        nombre ${t.text} NOT NULL,
+        anio INTEGER NOT NULL,
+        ciudad_id INTEGER REFERENCES ciudades(id) ON DELETE SET NULL,
+        fecha_inicio DATE,
+        fecha_fin DATE,
+        estado VARCHAR(20) NOT NULL DEFAULT 'planificada'
+          CHECK (estado IN ('planificada', 'en_curso', 'finalizada', 'cancelada')),
+        fecha_creacion ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(nombre, anio, ciudad_id)
+      )
+    `);
+    await db.query('CREATE INDEX idx_ediciones_anio_ciudad ON ediciones (anio, ciudad_id)');
+
+    await db.query(`
+      CREATE TABLE participaciones (
+        id ${t.id},
+        edicion_id INTEGER NOT NULL REFERENCES ediciones(id) ON DELETE CASCADE,
+        restaurante_id INTEGER NOT NULL REFERENCES restaurantes(id) ON DELETE CASCADE,
+        estado VARCHAR(20) NOT NULL DEFAULT 'inscrito'
+          CHECK (estado IN ('inscrito', 'retirado')),
+        fecha_inscripcion ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        fecha_retiro ${t.timestamp},
+        UNIQUE(edicion_id, restaurante_id)
+      )
+    `);
+    await db.query('CREATE INDEX idx_participaciones_restaurante ON participaciones (restaurante_id)');
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS participaciones');
+    await db.query('DROP TABLE IF EXISTS ediciones');
+  }
+};
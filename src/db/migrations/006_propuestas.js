@@ -0,0 +1,32 @@
+const { columnTypes } = require('../migrationHelpers');
+
+// Catálogo de platos (propuestas) por restaurante y edición
+module.exports = {
+  up: async (db) => {
+    const t = columnTypes(db.dialect);
+
+    await db.query(`
+      CREATE TABLE propuestas (
+        id ${t.id},
+        restaurante_id INTEGER NOT NULL REFERENCES restaurantes(id) ON DELETE CASCADE,
+        edicion_id INTEGER REFERENCES ediciones(id) ON DELETE SET NULL,
+        nombre ${t.text} NOT NULL,
+        descripcion TEXT,
+        precio NUMERIC(12, 2),
+        foto TEXT,
+        ingredientes TEXT NOT NULL DEFAULT '[]',
+        alergenos TEXT NOT NULL DEFAULT '[]',
+        vegetariano BOOLEAN NOT NULL DEFAULT FALSE,
+        vegano BOOLEAN NOT NULL DEFAULT FALSE,
+        sin_gluten BOOLEAN NOT NULL DEFAULT FALSE,
+        fecha_creacion ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX idx_propuestas_restaurante ON propuestas (restaurante_id)');
+    await db.query('CREATE INDEX idx_propuestas_edicion ON propuestas (edicion_id)');
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS propuestas');
+  }
+};
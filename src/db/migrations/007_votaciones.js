@@ -0,0 +1,47 @@
+const { columnTypes } = require('../migrationHelpers');
+
+// Votación del público: categorías por edición y un voto por usuario y categoría
+module.exports = {
+  up: async (db) => {
+    const t = columnTypes(db.dialect);
+
+    await db.query(`
+      CREATE TABLE categorias_votacion (
+        id ${t.id},
+        edicion_id INTEGER NOT NULL REFERENCES ediciones(id) ON DELETE CASCADE,
+        nombre ${t.text} NOT NULL,
+        descripcion TEXT,
+        modalidad VARCHAR(20) NOT NULL DEFAULT 'voto'
+          CHECK (modalidad IN ('voto', 'puntuacion')),
+        objetivo VARCHAR(20) NOT NULL DEFAULT 'restaurante'
+          CHECK (objetivo IN ('restaurante', 'propuesta')),
+        estado VARCHAR(20) NOT NULL DEFAULT 'abierta'
+          CHECK (estado IN ('abierta', 'cerrada')),
+        resultados TEXT,
+        fecha_cierre ${t.timestamp},
+        cerrada_por INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+        fecha_creacion ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(edicion_id, nombre)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE votos (
+        id ${t.id},
+        categoria_id INTEGER NOT NULL REFERENCES categorias_votacion(id) ON DELETE CASCADE,
+        usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+        restaurante_id INTEGER NOT NULL REFERENCES restaurantes(id) ON DELETE CASCADE,
+        propuesta_id INTEGER REFERENCES propuestas(id) ON DELETE CASCADE,
+        puntuacion INTEGER CHECK (puntuacion IS NULL OR (puntuacion BETWEEN 1 AND 5)),
+        fecha_voto ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(categoria_id, usuario_id)
+      )
+    `);
+    await db.query('CREATE INDEX idx_votos_categoria_restaurante ON votos (categoria_id, restaurante_id)');
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS votos');
+    await db.query('DROP TABLE IF EXISTS categorias_votacion');
+  }
+};
@@ -0,0 +1,76 @@
+const { columnTypes } = require('../migrationHelpers');
+
+// Premios del jurado: categorías por edición, criterios ponderados, jurados,
+// hojas de puntuación y los premios publicados de cada restaurante
+module.exports = {
+  up: async (db) => {
+    const t = columnTypes(db.dialect);
+
+    await db.query(`
+      CREATE TABLE categorias_premio (
+        id ${t.id},
+        edicion_id INTEGER NOT NULL REFERENCES ediciones(id) ON DELETE CASCADE,
+        nombre ${t.text} NOT NULL,
+        descripcion TEXT,
+        estado VARCHAR(20) NOT NULL DEFAULT 'abierta'
+          CHECK (estado IN ('abierta', 'publicada')),
+        fecha_publicacion ${t.timestamp},
+        fecha_creacion ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(edicion_id, nombre)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE criterios_premio (
+        id ${t.id},
+        categoria_id INTEGER NOT NULL REFERENCES categorias_premio(id) ON DELETE CASCADE,
+        nombre ${t.text} NOT NULL,
+        peso ${t.real} NOT NULL DEFAULT 1 CHECK (peso > 0),
+        puntuacion_maxima INTEGER NOT NULL DEFAULT 10 CHECK (puntuacion_maxima > 0),
+        UNIQUE(categoria_id, nombre)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE jurados_premio (
+        id ${t.id},
+        categoria_id INTEGER NOT NULL REFERENCES categorias_premio(id) ON DELETE CASCADE,
+        usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+        UNIQUE(categoria_id, usuario_id)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE puntuaciones_jurado (
+        id ${t.id},
+        jurado_id INTEGER NOT NULL REFERENCES jurados_premio(id) ON DELETE CASCADE,
+        criterio_id INTEGER NOT NULL REFERENCES criterios_premio(id) ON DELETE CASCADE,
+        restaurante_id INTEGER NOT NULL REFERENCES restaurantes(id) ON DELETE CASCADE,
+        puntuacion ${t.real} NOT NULL,
+        fecha_actualizacion ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(jurado_id, criterio_id, restaurante_id)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE premios (
+        id ${t.id},
+        categoria_id INTEGER NOT NULL REFERENCES categorias_premio(id) ON DELETE CASCADE,
+        restaurante_id INTEGER NOT NULL REFERENCES restaurantes(id) ON DELETE CASCADE,
+        posicion INTEGER NOT NULL,
+        puntuacion ${t.real} NOT NULL,
+        fecha_publicacion ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(categoria_id, restaurante_id)
+      )
+    `);
+    await db.query('CREATE INDEX idx_premios_restaurante ON premios (restaurante_id)');
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS premios');
+    await db.query('DROP TABLE IF EXISTS puntuaciones_jurado');
+    await db.query('DROP TABLE IF EXISTS jurados_premio');
+    await db.query('DROP TABLE IF EXISTS criterios_premio');
+    await db.query('DROP TABLE IF EXISTS categorias_premio');
+  }
+};
@@ -0,0 +1,48 @@
+const { columnTypes } = require('../migrationHelpers');
+
+// Franjas horarias reservables por restaurante y reservas de mesas en ellas
+module.exports = {
+  up: async (db) => {
+    const t = columnTypes(db.dialect);
+
+    await db.query(`
+      CREATE TABLE franjas_reserva (
+        id ${t.id},
+        restaurante_id INTEGER NOT NULL REFERENCES restaurantes(id) ON DELETE CASCADE,
+        fecha DATE NOT NULL,
+        hora_inicio VARCHAR(5) NOT NULL,
+        hora_fin VARCHAR(5) NOT NULL,
+        personas_por_mesa INTEGER NOT NULL DEFAULT 4 CHECK (personas_por_mesa > 0),
+        fecha_creacion ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(restaurante_id, fecha, hora_inicio)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE reservas (
+        id ${t.id},
+        franja_id INTEGER NOT NULL REFERENCES franjas_reserva(id) ON DELETE CASCADE,
+        usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+        nombre_contacto ${t.text} NOT NULL,
+        telefono ${t.shortText},
+        personas INTEGER NOT NULL CHECK (personas > 0),
+        mesas INTEGER NOT NULL CHECK (mesas > 0),
+        estado VARCHAR(20) NOT NULL DEFAULT 'confirmada'
+          CHECK (estado IN ('confirmada', 'cancelada')),
+        fecha_creacion ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        fecha_cancelacion ${t.timestamp}
+      )
+    `);
+    await db.query('CREATE INDEX idx_reservas_franja ON reservas (franja_id)');
+    // Un comensal no puede tener dos reservas confirmadas en la misma franja
+    await db.query(`
+      CREATE UNIQUE INDEX idx_reservas_usuario_franja ON reservas (franja_id, usuario_id)
+      WHERE estado = 'confirmada'
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS reservas');
+    await db.query('DROP TABLE IF EXISTS franjas_reserva');
+  }
+};
@@ -0,0 +1,22 @@
+const { columnTypes } = require('../migrationHelpers');
+
+// Registro de eventos SSE: el id es el que recibe el cliente y permite
+// reenviarle lo que se perdió al reconectar con Last-Event-ID
+module.exports = {
+  up: async (db) => {
+    const t = columnTypes(db.dialect);
+
+    await db.query(`
+      CREATE TABLE eventos (
+        id ${t.id},
+        tipo VARCHAR(100) NOT NULL,
+        datos TEXT NOT NULL,
+        fecha ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS eventos');
+  }
+};
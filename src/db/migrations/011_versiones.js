@@ -0,0 +1,23 @@
+const { columnTypes } = require('../migrationHelpers');
+
+// Versión de cada registro notificado: se incrementa con cada alta, cambio o
+// baja para que los clientes descarten notificaciones obsoletas
+module.exports = {
+  up: async (db) => {
+    const t = columnTypes(db.dialect);
+
+    await db.query(`
+      CREATE TABLE versiones (
+        entidad VARCHAR(50) NOT NULL,
+        registro_id INTEGER NOT NULL,
+        version INTEGER NOT NULL DEFAULT 1,
+        fecha_actualizacion ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (entidad, registro_id)
+      )
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS versiones');
+  }
+};
@@ -0,0 +1,17 @@
+// Versión de cada fila editable por varios usuarios a la vez: se incrementa
+// en cada escritura y se expone como ETag (control de concurrencia optimista)
+const TABLAS = ['ciudades', 'restaurantes', 'patrocinadores'];
+
+module.exports = {
+  up: async (db) => {
+    for (const tabla of TABLAS) {
+      await db.query(`ALTER TABLE ${tabla} ADD COLUMN version INTEGER NOT NULL DEFAULT 1`);
+    }
+  },
+
+  down: async (db) => {
+    for (const tabla of TABLAS) {
+      await db.query(`ALTER TABLE ${tabla} DROP COLUMN version`);
+    }
+  }
+};
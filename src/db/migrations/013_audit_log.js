@@ -0,0 +1,30 @@
+const { columnTypes } = require('../migrationHelpers');
+
+// Historial de cambios de ciudades, patrocinadores (y sus ciudades) y
+// restaurantes: quién, cuándo, en qué petición y el registro antes y después.
+// Sin claves foráneas para que el historial sobreviva al registro y al usuario
+module.exports = {
+  up: async (db) => {
+    const t = columnTypes(db.dialect);
+
+    await db.query(`
+      CREATE TABLE audit_log (
+        id ${t.id},
+        tabla VARCHAR(50) NOT NULL,
+        registro_id INTEGER NOT NULL,
+        accion VARCHAR(10) NOT NULL CHECK (accion IN ('insert', 'update', 'delete')),
+        antes TEXT,
+        despues TEXT,
+        actor_id INTEGER,
+        actor_rol VARCHAR(20),
+        request_id VARCHAR(100),
+        fecha ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX idx_audit_log_registro ON audit_log (tabla, registro_id)');
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS audit_log');
+  }
+};
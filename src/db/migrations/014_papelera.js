@@ -0,0 +1,23 @@
+const { columnTypes } = require('../migrationHelpers');
+
+// Borrado lógico: las bajas de ciudades, patrocinadores y restaurantes pasan a
+// la papelera (deleted_at) y se purgan pasado el periodo de retención
+const TABLAS = ['ciudades', 'patrocinadores', 'restaurantes'];
+
+module.exports = {
+  up: async (db) => {
+    const t = columnTypes(db.dialect);
+
+    for (const tabla of TABLAS) {
+      await db.query(`ALTER TABLE ${tabla} ADD COLUMN deleted_at ${t.timestamp}`);
+      await db.query(`CREATE INDEX idx_${tabla}_deleted_at ON ${tabla} (deleted_at)`);
+    }
+  },
+
+  down: async (db) => {
+    for (const tabla of TABLAS) {
+      await db.query(`DROP INDEX IF EXISTS idx_${tabla}_deleted_at`);
+      await db.query(`ALTER TABLE ${tabla} DROP COLUMN deleted_at`);
+    }
+  }
+};
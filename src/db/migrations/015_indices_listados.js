@@ -0,0 +1,26 @@
+// Índices para ordenar y filtrar los listados paginados (ver utils/listados).
+// ciudades.nombre ya tiene índice por ser UNIQUE
+const INDICES = [
+  ['idx_ciudades_fecha_creacion', 'ciudades', 'fecha_creacion'],
+  ['idx_patrocinadores_nombre', 'patrocinadores', 'nombre'],
+  ['idx_patrocinadores_fecha_creacion', 'patrocinadores', 'fecha_creacion'],
+  ['idx_patrocinadores_ciudades_ciudad', 'patrocinadores_ciudades', 'ciudad_id'],
+  ['idx_restaurantes_nombre_oficial', 'restaurantes', 'nombre_oficial'],
+  ['idx_restaurantes_nombre_mostrar', 'restaurantes', 'nombre_mostrar'],
+  ['idx_restaurantes_fecha_creacion', 'restaurantes', 'fecha_creacion'],
+  ['idx_restaurantes_ciudad', 'restaurantes', 'ciudad_id']
+];
+
+module.exports = {
+  up: async (db) => {
+    for (const [nombre, tabla, columna] of INDICES) {
+      await db.query(`CREATE INDEX ${nombre} ON ${tabla} (${columna}, id)`);
+    }
+  },
+
+  down: async (db) => {
+    for (const [nombre] of INDICES) {
+      await db.query(`DROP INDEX IF EXISTS ${nombre}`);
+    }
+  }
+};
@@ -0,0 +1,206 @@
+// Índices de búsqueda de texto completo (ver repositories/busqueda).
+//
+// Cada índice (busqueda_ciudades, busqueda_patrocinadores,
+// busqueda_restaurantes) guarda un documento por registro con el mismo id.
+// Los mantienen disparadores, así que siguen al día con cualquier escritura,
+// incluidos borrados en cascada y purgas de la papelera. Las filas de la
+// papelera se quedan en el índice; las consultas las excluyen.
+//
+// - PostgreSQL: tsvector con pesos (configuración "es_sin_acentos": español sin
+//   tildes) e índice de trigramas sobre el nombre para tolerar erratas
+// - SQLite: tablas FTS5 (unicode61 sin diacríticos) y su vocabulario
+//   (fts5vocab), con el que se corrigen las erratas
+
+// "columnas" del documento y SELECT que las calcula (id primero). "fuentes":
+// tablas cuyos cambios lo afectan, con la columna que apunta al registro y
+// las columnas que, al cambiar, obligan a recalcularlo
+const INDICES = [
+  {
+    tabla: 'ciudades',
+    columnas: ['nombre'],
+    select: () => 'SELECT c.id, c.nombre FROM ciudades c',
+    alias: 'c',
+    fuentes: [{ tabla: 'ciudades', id: 'id', columnas: ['nombre'] }]
+  },
+  {
+    tabla: 'patrocinadores',
+    columnas: ['nombre', 'representante'],
+    select: () => 'SELECT p.id, p.nombre, p.representante FROM patrocinadores p',
+    alias: 'p',
+    fuentes: [{ tabla: 'patrocinadores', id: 'id', columnas: ['nombre', 'representante'] }]
+  },
+  {
+    tabla: 'restaurantes',
+    columnas: ['nombre_mostrar', 'nombre_oficial', 'representante', 'resena', 'propuestas'],
+    // Las propuestas del documento son el texto libre heredado más el catálogo
+    select: (dialect) => `
+      SELECT r.id, r.nombre_mostrar, r.nombre_oficial, r.representante, r.breve_resena,
+        TRIM(COALESCE(r.propuestas, '') || ' ' || COALESCE((
+          SELECT ${dialect.stringAgg("pr.nombre || ' ' || COALESCE(pr.descripcion, '')")}
+          FROM propuestas pr WHERE pr.restaurante_id = r.id
+        ), ''))
+      FROM restaurantes r`,
+    alias: 'r',
+    fuentes: [
+      {
+        tabla: 'restaurantes',
+        id: 'id',
+        columnas: ['nombre_mostrar', 'nombre_oficial', 'representante', 'breve_resena', 'propuestas']
+      },
+      { tabla: 'propuestas', id: 'restaurante_id', columnas: ['restaurante_id', 'nombre', 'descripcion'] }
+    ]
+  }
+];
+
+// Columna con el id del registro en cada índice
+const claveDe = (dialect) => (dialect.name === 'postgres' ? 'id' : 'rowid');
+
+// Sentencias que recalculan el documento del registro "id" (una expresión SQL)
+const reindexar = (dialect, indice, id) => {
+  const clave = claveDe(dialect);
+  return [
+    `DELETE FROM busqueda_${indice.tabla} WHERE ${clave} = ${id}`,
+    `INSERT INTO busqueda_${indice.tabla} (${clave}, ${indice.columnas.join(', ')})
+      ${indice.select(dialect)} WHERE ${indice.alias}.id = ${id}`
+  ];
+};
+
+const poblar = (db, indice) => db.query(
+  `INSERT INTO busqueda_${indice.tabla} (${claveDe(db.dialect)}, ${indice.columnas.join(', ')}) ${indice.select(db.dialect)}`
+);
+
+// Documento con pesos: A el nombre, B el representante, C el resto
+const PESOS = { nombre: 'A', nombre_mostrar: 'A', nombre_oficial: 'A', representante: 'B' };
+
+const upPostgres = async (db) => {
+  await db.query('CREATE EXTENSION IF NOT EXISTS unaccent');
+  await db.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+
+  // unaccent() no es IMMUTABLE y no puede usarse en columnas generadas
+  await db.query(`
+    CREATE FUNCTION busqueda_sin_acentos(texto TEXT) RETURNS TEXT
+    LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT
+    AS $$ SELECT public.unaccent('public.unaccent', texto) $$
+  `);
+  await db.query('CREATE TEXT SEARCH CONFIGURATION es_sin_acentos (COPY = pg_catalog.spanish)');
+  await db.query(`
+    ALTER TEXT SEARCH CONFIGURATION es_sin_acentos
+    ALTER MAPPING FOR hword, hword_part, word WITH unaccent, spanish_stem
+  `);
+
+  for (const indice of INDICES) {
+    const documento = indice.columnas
+      .map(columna => `setweight(to_tsvector('es_sin_acentos', COALESCE(${columna}, '')), '${PESOS[columna] || 'C'}')`)
+      .join(' || ');
+    const nombres = indice.columnas.filter(columna => PESOS[columna] === 'A')
+      .map(columna => `COALESCE(${columna}, '')`)
+      .join(" || ' ' || ");
+
+    await db.query(`
+      CREATE TABLE busqueda_${indice.tabla} (
+        id INTEGER PRIMARY KEY,
+        ${indice.columnas.map(columna => `${columna} TEXT`).join(',\n        ')},
+        documento TSVECTOR GENERATED ALWAYS AS (${documento}) STORED,
+        nombre_plano TEXT GENERATED ALWAYS AS (busqueda_sin_acentos(LOWER(${nombres}))) STORED
+      )
+    `);
+    await db.query(`CREATE INDEX idx_busqueda_${indice.tabla}_documento ON busqueda_${indice.tabla} USING GIN (documento)`);
+    await db.query(`CREATE INDEX idx_busqueda_${indice.tabla}_nombre ON busqueda_${indice.tabla} USING GIN (nombre_plano gin_trgm_ops)`);
+
+    await db.query(`
+      CREATE FUNCTION busqueda_indexar_${indice.tabla}(registro INTEGER) RETURNS void
+      LANGUAGE plpgsql
+      AS $$
+      BEGIN
+        ${reindexar(db.dialect, indice, 'registro').join(';\n        ')};
+      END
+      $$
+    `);
+
+    for (const fuente of indice.fuentes) {
+      const indexar = (fila) => `PERFORM busqueda_indexar_${indice.tabla}(${fila}.${fuente.id});`;
+      const nombre = `busqueda_${indice.tabla}_${fuente.tabla}`;
+
+      await db.query(`
+        CREATE FUNCTION ${nombre}() RETURNS trigger
+        LANGUAGE plpgsql
+        AS $$
+        BEGIN
+          IF TG_OP <> 'INSERT' THEN ${indexar('OLD')} END IF;
+          IF TG_OP <> 'DELETE' THEN ${indexar('NEW')} END IF;
+          RETURN NULL;
+        END
+        $$
+      `);
+      await db.query(`
+        CREATE TRIGGER ${nombre}
+        AFTER INSERT OR DELETE OR UPDATE OF ${fuente.columnas.join(', ')} ON ${fuente.tabla}
+        FOR EACH ROW EXECUTE FUNCTION ${nombre}()
+      `);
+    }
+
+    await poblar(db, indice);
+  }
+};
+
+const upSqlite = async (db) => {
+  for (const indice of INDICES) {
+    await db.query(`
+      CREATE VIRTUAL TABLE busqueda_${indice.tabla}
+      USING fts5(${indice.columnas.join(', ')}, tokenize = 'unicode61 remove_diacritics 2')
+    `);
+    await db.query(`CREATE VIRTUAL TABLE busqueda_${indice.tabla}_vocab USING fts5vocab(busqueda_${indice.tabla}, 'row')`);
+
+    for (const fuente of indice.fuentes) {
+      const indexar = (fila) => reindexar(db.dialect, indice, `${fila}.${fuente.id}`).map(sql => `${sql};`).join('\n          ');
+      const eventos = {
+        insert: ['INSERT', indexar('NEW')],
+        update: [`UPDATE OF ${fuente.columnas.join(', ')}`, `${indexar('OLD')}\n          ${indexar('NEW')}`],
+        delete: ['DELETE', indexar('OLD')]
+      };
+
+      for (const [sufijo, [evento, cuerpo]] of Object.entries(eventos)) {
+        await db.query(`
+          CREATE TRIGGER busqueda_${indice.tabla}_${fuente.tabla}_${sufijo}
+          AFTER ${evento} ON ${fuente.tabla}
+          BEGIN
+          ${cuerpo}
+          END
+        `);
+      }
+    }
+
+    await poblar(db, indice);
+  }
+};
+
+module.exports = {
+  up: (db) => (db.dialect.name === 'postgres' ? upPostgres(db) : upSqlite(db)),
+
+  down: async (db) => {
+    for (const indice of INDICES) {
+      for (const fuente of indice.fuentes) {
+        if (db.dialect.name === 'postgres') {
+          await db.query(`DROP TRIGGER IF EXISTS busqueda_${indice.tabla}_${fuente.tabla} ON ${fuente.tabla}`);
+          await db.query(`DROP FUNCTION IF EXISTS busqueda_${indice.tabla}_${fuente.tabla}()`);
+        } else {
+          for (const sufijo of ['insert', 'update', 'delete']) {
+            await db.query(`DROP TRIGGER IF EXISTS busqueda_${indice.tabla}_${fuente.tabla}_${sufijo}`);
+          }
+        }
+      }
+
+      if (db.dialect.name === 'postgres') {
+        await db.query(`DROP FUNCTION IF EXISTS busqueda_indexar_${indice.tabla}(INTEGER)`);
+      } else {
+        await db.query(`DROP TABLE IF EXISTS busqueda_${indice.tabla}_vocab`);
+      }
+      await db.query(`DROP TABLE IF EXISTS busqueda_${indice.tabla}`);
+    }
+
+    if (db.dialect.name === 'postgres') {
+      await db.query('DROP TEXT SEARCH CONFIGURATION IF EXISTS es_sin_acentos');
+      await db.query('DROP FUNCTION IF EXISTS busqueda_sin_acentos(TEXT)');
+    }
+  }
+};
@@ -0,0 +1,106 @@
+// Índice de búsqueda de sedes (nombre, dirección y barrio) para la búsqueda
+// global, como los de la migración 016: un documento por sede con su mismo id,
+// mantenido por disparadores. Las sedes de restaurantes en la papelera se
+// excluyen al consultar
+
+const upPostgres = async (db) => {
+  await db.query(`
+    CREATE TABLE busqueda_sedes (
+      id INTEGER PRIMARY KEY,
+      nombre TEXT,
+      direccion TEXT,
+      barrio TEXT,
+      documento TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('es_sin_acentos', COALESCE(nombre, '')), 'A') ||
+        setweight(to_tsvector('es_sin_acentos', COALESCE(direccion, '')), 'C') ||
+        setweight(to_tsvector('es_sin_acentos', COALESCE(barrio, '')), 'C')
+      ) STORED,
+      nombre_plano TEXT GENERATED ALWAYS AS (busqueda_sin_acentos(LOWER(COALESCE(nombre, '')))) STORED
+    )
+  `);
+  await db.query('CREATE INDEX idx_busqueda_sedes_documento ON busqueda_sedes USING GIN (documento)');
+  await db.query('CREATE INDEX idx_busqueda_sedes_nombre ON busqueda_sedes USING GIN (nombre_plano gin_trgm_ops)');
+
+  await db.query(`
+    CREATE FUNCTION busqueda_indexar_sedes(registro INTEGER) RETURNS void
+    LANGUAGE plpgsql
+    AS $$
+    BEGIN
+      DELETE FROM busqueda_sedes WHERE id = registro;
+      INSERT INTO busqueda_sedes (id, nombre, direccion, barrio)
+        SELECT s.id, s.nombre, s.direccion, s.barrio FROM sedes s WHERE s.id = registro;
+    END
+    $$
+  `);
+  await db.query(`
+    CREATE FUNCTION busqueda_sedes_sedes() RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+    BEGIN
+      IF TG_OP <> 'INSERT' THEN PERFORM busqueda_indexar_sedes(OLD.id); END IF;
+      IF TG_OP <> 'DELETE' THEN PERFORM busqueda_indexar_sedes(NEW.id); END IF;
+      RETURN NULL;
+    END
+    $$
+  `);
+  await db.query(`
+    CREATE TRIGGER busqueda_sedes_sedes
+    AFTER INSERT OR DELETE OR UPDATE OF nombre, direccion, barrio ON sedes
+    FOR EACH ROW EXECUTE FUNCTION busqueda_sedes_sedes()
+  `);
+
+  await db.query(`
+    INSERT INTO busqueda_sedes (id, nombre, direccion, barrio)
+    SELECT s.id, s.nombre, s.direccion, s.barrio FROM sedes s
+  `);
+};
+
+const upSqlite = async (db) => {
+  await db.query(`
+    CREATE VIRTUAL TABLE busqueda_sedes
+    USING fts5(nombre, direccion, barrio, tokenize = 'unicode61 remove_diacritics 2')
+  `);
+  await db.query("CREATE VIRTUAL TABLE busqueda_sedes_vocab USING fts5vocab(busqueda_sedes, 'row')");
+
+  const indexar = (fila) => `
+      DELETE FROM busqueda_sedes WHERE rowid = ${fila}.id;
+      INSERT INTO busqueda_sedes (rowid, nombre, direccion, barrio)
+        SELECT s.id, s.nombre, s.direccion, s.barrio FROM sedes s WHERE s.id = ${fila}.id;`;
+  const eventos = {
+    insert: ['INSERT', indexar('NEW')],
+    update: ['UPDATE OF nombre, direccion, barrio', `${indexar('OLD')}${indexar('NEW')}`],
+    delete: ['DELETE', indexar('OLD')]
+  };
+
+  for (const [sufijo, [evento, cuerpo]] of Object.entries(eventos)) {
+    await db.query(`
+      CREATE TRIGGER busqueda_sedes_sedes_${sufijo}
+      AFTER ${evento} ON sedes
+      BEGIN${cuerpo}
+      END
+    `);
+  }
+
+  await db.query(`
+    INSERT INTO busqueda_sedes (rowid, nombre, direccion, barrio)
+    SELECT s.id, s.nombre, s.direccion, s.barrio FROM sedes s
+  `);
+};
+
+module.exports = {
+  up: (db) => (db.dialect.name === 'postgres' ? upPostgres(db) : upSqlite(db)),
+
+  down: async (db) => {
+    if (db.dialect.name === 'postgres') {
+      await db.query('DROP TRIGGER IF EXISTS busqueda_sedes_sedes ON sedes');
+      await db.query('DROP FUNCTION IF EXISTS busqueda_sedes_sedes()');
+      await db.query('DROP FUNCTION IF EXISTS busqueda_indexar_sedes(INTEGER)');
+    } else {
+      for (const sufijo of ['insert', 'update', 'delete']) {
+        await db.query(`DROP TRIGGER IF EXISTS busqueda_sedes_sedes_${sufijo}`);
+      }
+      await db.query('DROP TABLE IF EXISTS busqueda_sedes_vocab');
+    }
+    await db.query('DROP TABLE IF EXISTS busqueda_sedes');
+  }
+};
@@ -0,0 +1,19 @@
+const { columnTypes } = require('../migrationHelpers');
+
+// Coordenadas de las ciudades (centro para buscar cercanos sin punto) e
+// índice de las de las sedes para las consultas por caja del mapa (ver utils/geo)
+module.exports = {
+  up: async (db) => {
+    const t = columnTypes(db.dialect);
+
+    await db.query(`ALTER TABLE ciudades ADD COLUMN latitud ${t.real}`);
+    await db.query(`ALTER TABLE ciudades ADD COLUMN longitud ${t.real}`);
+    await db.query('CREATE INDEX idx_sedes_coordenadas ON sedes (latitud, longitud)');
+  },
+
+  down: async (db) => {
+    await db.query('DROP INDEX IF EXISTS idx_sedes_coordenadas');
+    await db.query('ALTER TABLE ciudades DROP COLUMN longitud');
+    await db.query('ALTER TABLE ciudades DROP COLUMN latitud');
+  }
+};
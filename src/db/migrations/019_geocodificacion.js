@@ -0,0 +1,24 @@
+const { columnTypes } = require('../migrationHelpers');
+
+// Coordenadas de restaurantes.sede_ubicacion_corta (para el mapa de los que no
+// tienen sedes con coordenadas) y dirección normalizada por el geocodificador
+// en restaurantes y sedes (ver geocoding/restaurantes)
+module.exports = {
+  up: async (db) => {
+    const t = columnTypes(db.dialect);
+
+    await db.query(`ALTER TABLE restaurantes ADD COLUMN latitud ${t.real}`);
+    await db.query(`ALTER TABLE restaurantes ADD COLUMN longitud ${t.real}`);
+    await db.query('ALTER TABLE restaurantes ADD COLUMN direccion_normalizada TEXT');
+    await db.query('ALTER TABLE sedes ADD COLUMN direccion_normalizada TEXT');
+    await db.query('CREATE INDEX idx_restaurantes_coordenadas ON restaurantes (latitud, longitud)');
+  },
+
+  down: async (db) => {
+    await db.query('DROP INDEX IF EXISTS idx_restaurantes_coordenadas');
+    await db.query('ALTER TABLE sedes DROP COLUMN direccion_normalizada');
+    await db.query('ALTER TABLE restaurantes DROP COLUMN direccion_normalizada');
+    await db.query('ALTER TABLE restaurantes DROP COLUMN longitud');
+    await db.query('ALTER TABLE restaurantes DROP COLUMN latitud');
+  }
+};
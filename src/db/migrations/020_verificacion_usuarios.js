@@ -0,0 +1,20 @@
+// Registro público de votantes y comensales con verificación del email: el
+// enlace lleva un token cuyo hash (sha256) y caducidad (ms desde epoch) se
+// guardan en el usuario. Las cuentas existentes las creó un administrador y
+// se dan por verificadas
+module.exports = {
+  up: async (db) => {
+    await db.query('ALTER TABLE usuarios ADD COLUMN verificado BOOLEAN NOT NULL DEFAULT FALSE');
+    await db.query('UPDATE usuarios SET verificado = TRUE');
+    await db.query('ALTER TABLE usuarios ADD COLUMN verificacion_hash TEXT');
+    await db.query('ALTER TABLE usuarios ADD COLUMN verificacion_expira BIGINT');
+    await db.query('CREATE UNIQUE INDEX idx_usuarios_verificacion ON usuarios (verificacion_hash)');
+  },
+
+  down: async (db) => {
+    await db.query('DROP INDEX IF EXISTS idx_usuarios_verificacion');
+    await db.query('ALTER TABLE usuarios DROP COLUMN verificacion_expira');
+    await db.query('ALTER TABLE usuarios DROP COLUMN verificacion_hash');
+    await db.query('ALTER TABLE usuarios DROP COLUMN verificado');
+  }
+};
@@ -0,0 +1,31 @@
+// Los eventos de cambios propuestos por propietarios se difundían completos
+// (email del propietario y texto sin aprobar). Se reducen en el registro de
+// reenvío a los campos públicos que se difunden desde ahora
+
+const CAMPOS_PUBLICOS = ['id', 'restaurante_id', 'estado'];
+
+module.exports = {
+  up: async (db) => {
+    const { rows } = await db.query("SELECT id, datos FROM eventos WHERE tipo LIKE 'cambio_restaurante_%'");
+
+    for (const row of rows) {
+      const mensaje = JSON.parse(row.datos);
+      if (!mensaje.data?.record) {
+        continue;
+      }
+
+      const { record, diff } = mensaje.data;
+      const publico = Object.fromEntries(CAMPOS_PUBLICOS.map(campo => [campo, record[campo] ?? null]));
+
+      mensaje.data = {
+        ...mensaje.data,
+        record: publico,
+        diff: diff && Object.fromEntries(Object.entries(diff).filter(([campo]) => campo in publico))
+      };
+      await db.query('UPDATE eventos SET datos = $1 WHERE id = $2', [JSON.stringify(mensaje), row.id]);
+    }
+  },
+
+  // Los datos eliminados no se pueden recuperar
+  down: async () => {}
+};
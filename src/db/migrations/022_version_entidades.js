@@ -0,0 +1,54 @@
+const { columnTypes } = require('../migrationHelpers');
+
+// Columna "version" (ver 012) en el resto de tablas que se notifican, en lugar
+// del contador aparte de la tabla "versiones": cada fila arranca en la última
+// versión difundida para que los clientes no descarten el siguiente cambio
+const TABLAS = {
+  cambio_restaurante: 'cambios_restaurantes',
+  edicion: 'ediciones',
+  franja: 'franjas_reserva',
+  participacion: 'participaciones',
+  premio: 'categorias_premio',
+  propuesta: 'propuestas',
+  reserva: 'reservas',
+  usuario: 'usuarios',
+  votacion: 'categorias_votacion'
+};
+
+module.exports = {
+  up: async (db) => {
+    for (const [entidad, tabla] of Object.entries(TABLAS)) {
+      await db.query(`ALTER TABLE ${tabla} ADD COLUMN version INTEGER NOT NULL DEFAULT 1`);
+      await db.query(`
+        UPDATE ${tabla} SET version = (
+          SELECT v.version FROM versiones v WHERE v.entidad = $1 AND v.registro_id = ${tabla}.id
+        )
+        WHERE id IN (SELECT registro_id FROM versiones WHERE entidad = $1)
+      `, [entidad]);
+    }
+
+    await db.query('DROP TABLE versiones');
+  },
+
+  down: async (db) => {
+    const t = columnTypes(db.dialect);
+
+    await db.query(`
+      CREATE TABLE versiones (
+        entidad VARCHAR(50) NOT NULL,
+        registro_id INTEGER NOT NULL,
+        version INTEGER NOT NULL DEFAULT 1,
+        fecha_actualizacion ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (entidad, registro_id)
+      )
+    `);
+
+    for (const [entidad, tabla] of Object.entries(TABLAS)) {
+      await db.query(`
+        INSERT INTO versiones (entidad, registro_id, version)
+        SELECT $1, id, version FROM ${tabla}
+      `, [entidad]);
+      await db.query(`ALTER TABLE ${tabla} DROP COLUMN version`);
+    }
+  }
+};
@@ -0,0 +1,200 @@
+// El índice de búsqueda de restaurantes (migración 016) incluye además el
+// nombre de su ciudad y el nombre, dirección y barrio de sus sedes: "Bogota"
+// encuentra los restaurantes de Bogotá. Se recrea con las nuevas columnas y
+// fuentes; down vuelve al de la migración 016.
+//
+// "fuentes" son las tablas cuyos cambios afectan al documento, con la columna
+// que apunta al restaurante ("id") o, si una fila afecta a varios (una ciudad a
+// sus restaurantes), el SELECT de sus ids ("registros"), y las columnas que,
+// al cambiar, obligan a recalcularlo
+
+// Propuestas del documento: el texto libre heredado más el catálogo
+const propuestas = (dialect) => `
+  TRIM(COALESCE(r.propuestas, '') || ' ' || COALESCE((
+    SELECT ${dialect.stringAgg("pr.nombre || ' ' || COALESCE(pr.descripcion, '')")}
+    FROM propuestas pr WHERE pr.restaurante_id = r.id
+  ), ''))`;
+
+const FUENTE_PROPUESTAS = { tabla: 'propuestas', id: 'restaurante_id', columnas: ['restaurante_id', 'nombre', 'descripcion'] };
+
+// El de la migración 016
+const ANTERIOR = {
+  columnas: ['nombre_mostrar', 'nombre_oficial', 'representante', 'resena', 'propuestas'],
+  select: (dialect) => `
+    SELECT r.id, r.nombre_mostrar, r.nombre_oficial, r.representante, r.breve_resena, ${propuestas(dialect)}
+    FROM restaurantes r`,
+  fuentes: [
+    {
+      tabla: 'restaurantes',
+      id: 'id',
+      columnas: ['nombre_mostrar', 'nombre_oficial', 'representante', 'breve_resena', 'propuestas']
+    },
+    FUENTE_PROPUESTAS
+  ]
+};
+
+const NUEVO = {
+  columnas: ['nombre_mostrar', 'nombre_oficial', 'representante', 'resena', 'propuestas', 'ciudad', 'sedes'],
+  select: (dialect) => `
+    SELECT r.id, r.nombre_mostrar, r.nombre_oficial, r.representante, r.breve_resena, ${propuestas(dialect)},
+      (SELECT c.nombre FROM ciudades c WHERE c.id = r.ciudad_id),
+      (
+        SELECT ${dialect.stringAgg("COALESCE(s.nombre, '') || ' ' || COALESCE(s.direccion, '') || ' ' || COALESCE(s.barrio, '')")}
+        FROM sedes s WHERE s.restaurante_id = r.id
+      )
+    FROM restaurantes r`,
+  fuentes: [
+    {
+      tabla: 'restaurantes',
+      id: 'id',
+      columnas: ['nombre_mostrar', 'nombre_oficial', 'representante', 'breve_resena', 'propuestas', 'ciudad_id']
+    },
+    FUENTE_PROPUESTAS,
+    { tabla: 'sedes', id: 'restaurante_id', columnas: ['restaurante_id', 'nombre', 'direccion', 'barrio'] },
+    {
+      tabla: 'ciudades',
+      registros: (fila) => `SELECT r.id FROM restaurantes r WHERE r.ciudad_id = ${fila}.id`,
+      columnas: ['nombre']
+    }
+  ]
+};
+
+// Documento con pesos: A los nombres, B el representante, C el resto
+const PESOS = { nombre_mostrar: 'A', nombre_oficial: 'A', representante: 'B' };
+
+// Columna con el id del restaurante en el índice
+const claveDe = (dialect) => (dialect.name === 'postgres' ? 'id' : 'rowid');
+
+// Sentencias que recalculan el documento de los restaurantes cuyo id cumple
+// "condicion" (p. ej. "= NEW.id" o "IN (SELECT ...)")
+const reindexar = (dialect, indice, condicion) => {
+  const clave = claveDe(dialect);
+  return [
+    `DELETE FROM busqueda_restaurantes WHERE ${clave} ${condicion}`,
+    `INSERT INTO busqueda_restaurantes (${clave}, ${indice.columnas.join(', ')})
+      ${indice.select(dialect)} WHERE r.id ${condicion}`
+  ];
+};
+
+const poblar = (db, indice) => db.query(
+  `INSERT INTO busqueda_restaurantes (${claveDe(db.dialect)}, ${indice.columnas.join(', ')}) ${indice.select(db.dialect)}`
+);
+
+const crearPostgres = async (db, indice) => {
+  const documento = indice.columnas
+    .map(columna => `setweight(to_tsvector('es_sin_acentos', COALESCE(${columna}, '')), '${PESOS[columna] || 'C'}')`)
+    .join(' || ');
+
+  await db.query(`
+    CREATE TABLE busqueda_restaurantes (
+      id INTEGER PRIMARY KEY,
+      ${indice.columnas.map(columna => `${columna} TEXT`).join(',\n      ')},
+      documento TSVECTOR GENERATED ALWAYS AS (${documento}) STORED,
+      nombre_plano TEXT GENERATED ALWAYS AS (
+        busqueda_sin_acentos(LOWER(COALESCE(nombre_mostrar, '') || ' ' || COALESCE(nombre_oficial, '')))
+      ) STORED
+    )
+  `);
+  await db.query('CREATE INDEX idx_busqueda_restaurantes_documento ON busqueda_restaurantes USING GIN (documento)');
+  await db.query('CREATE INDEX idx_busqueda_restaurantes_nombre ON busqueda_restaurantes USING GIN (nombre_plano gin_trgm_ops)');
+
+  await db.query(`
+    CREATE FUNCTION busqueda_indexar_restaurantes(registro INTEGER) RETURNS void
+    LANGUAGE plpgsql
+    AS $$
+    BEGIN
+      ${reindexar(db.dialect, indice, '= registro').join(';\n      ')};
+    END
+    $$
+  `);
+
+  for (const fuente of indice.fuentes) {
+    const indexar = (fila) => (fuente.registros
+      ? `PERFORM busqueda_indexar_restaurantes(filas.id) FROM (${fuente.registros(fila)}) filas (id);`
+      : `PERFORM busqueda_indexar_restaurantes(${fila}.${fuente.id});`);
+    const nombre = `busqueda_restaurantes_${fuente.tabla}`;
+
+    await db.query(`
+      CREATE FUNCTION ${nombre}() RETURNS trigger
+      LANGUAGE plpgsql
+      AS $$
+      BEGIN
+        IF TG_OP <> 'INSERT' THEN ${indexar('OLD')} END IF;
+        IF TG_OP <> 'DELETE' THEN ${indexar('NEW')} END IF;
+        RETURN NULL;
+      END
+      $$
+    `);
+    await db.query(`
+      CREATE TRIGGER ${nombre}
+      AFTER INSERT OR DELETE OR UPDATE OF ${fuente.columnas.join(', ')} ON ${fuente.tabla}
+      FOR EACH ROW EXECUTE FUNCTION ${nombre}()
+    `);
+  }
+
+  await poblar(db, indice);
+};
+
+const crearSqlite = async (db, indice) => {
+  await db.query(`
+    CREATE VIRTUAL TABLE busqueda_restaurantes
+    USING fts5(${indice.columnas.join(', ')}, tokenize = 'unicode61 remove_diacritics 2')
+  `);
+  await db.query("CREATE VIRTUAL TABLE busqueda_restaurantes_vocab USING fts5vocab(busqueda_restaurantes, 'row')");
+
+  for (const fuente of indice.fuentes) {
+    const condicion = (fila) => (fuente.registros ? `IN (${fuente.registros(fila)})` : `= ${fila}.${fuente.id}`);
+    const indexar = (fila) => reindexar(db.dialect, indice, condicion(fila)).map(sql => `${sql};`).join('\n        ');
+    const eventos = {
+      insert: ['INSERT', indexar('NEW')],
+      update: [`UPDATE OF ${fuente.columnas.join(', ')}`, `${indexar('OLD')}\n        ${indexar('NEW')}`],
+      delete: ['DELETE', indexar('OLD')]
+    };
+
+    for (const [sufijo, [evento, cuerpo]] of Object.entries(eventos)) {
+      await db.query(`
+        CREATE TRIGGER busqueda_restaurantes_${fuente.tabla}_${sufijo}
+        AFTER ${evento} ON ${fuente.tabla}
+        BEGIN
+        ${cuerpo}
+        END
+      `);
+    }
+  }
+
+  await poblar(db, indice);
+};
+
+const crear = (db, indice) => (db.dialect.name === 'postgres' ? crearPostgres(db, indice) : crearSqlite(db, indice));
+
+const eliminar = async (db, indice) => {
+  for (const fuente of indice.fuentes) {
+    if (db.dialect.name === 'postgres') {
+      await db.query(`DROP TRIGGER IF EXISTS busqueda_restaurantes_${fuente.tabla} ON ${fuente.tabla}`);
+      await db.query(`DROP FUNCTION IF EXISTS busqueda_restaurantes_${fuente.tabla}()`);
+    } else {
+      for (const sufijo of ['insert', 'update', 'delete']) {
+        await db.query(`DROP TRIGGER IF EXISTS busqueda_restaurantes_${fuente.tabla}_${sufijo}`);
+      }
+    }
+  }
+
+  if (db.dialect.name === 'postgres') {
+    await db.query('DROP FUNCTION IF EXISTS busqueda_indexar_restaurantes(INTEGER)');
+  } else {
+    await db.query('DROP TABLE IF EXISTS busqueda_restaurantes_vocab');
+  }
+  await db.query('DROP TABLE IF EXISTS busqueda_restaurantes');
+};
+
+module.exports = {
+  up: async (db) => {
+    await eliminar(db, ANTERIOR);
+    await crear(db, NUEVO);
+  },
+
+  down: async (db) => {
+    await eliminar(db, NUEVO);
+    await crear(db, ANTERIOR);
+  }
+};
@@ -0,0 +1,25 @@
+// Los eventos de cuentas de usuario se difundían con su nombre, rol y ámbito
+// (restaurante_id, ciudades_ids). Se reducen en el registro de reenvío al id,
+// lo único que se difunde desde ahora
+module.exports = {
+  up: async (db) => {
+    const { rows } = await db.query("SELECT id, datos FROM eventos WHERE tipo LIKE 'usuario_%'");
+
+    for (const row of rows) {
+      const mensaje = JSON.parse(row.datos);
+      if (!mensaje.data?.record) {
+        continue;
+      }
+
+      mensaje.data = {
+        ...mensaje.data,
+        record: { id: mensaje.data.record.id ?? null },
+        diff: mensaje.data.diff && {}
+      };
+      await db.query('UPDATE eventos SET datos = $1 WHERE id = $2', [JSON.stringify(mensaje), row.id]);
+    }
+  },
+
+  // Los datos eliminados no se pueden recuperar
+  down: async () => {}
+};
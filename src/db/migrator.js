@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_[\w-]+\.js$/;
+
+// Cargar las migraciones numeradas (NNN_nombre.js) en orden de versión
+const loadMigrations = (directory) => fs.readdirSync(directory)
+  .filter(file => MIGRATION_FILE.test(file))
+  .sort()
+  .map(file => ({
+    version: file.match(MIGRATION_FILE)[1],
+    name: path.basename(file, '.js'),
+    ...require(path.join(directory, file))
+  }));
+
+// Migraciones versionadas registradas en la tabla schema_migrations
+const createMigrator = (db, { directory = MIGRATIONS_DIR } = {}) => {
+  const migrations = loadMigrations(directory);
+
+  const ensureTable = () => db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(32) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const appliedVersions = async () => {
+    await ensureTable();
+    const result = await db.query('SELECT version, applied_at FROM schema_migrations ORDER BY version');
+    return new Map(result.rows.map(row => [row.version, row.applied_at]));
+  };
+
+  // Estado de cada migración conocida
+  const status = async () => {
+    const applied = await appliedVersions();
+    return migrations.map(({ version, name }) => ({
+      version,
+      name,
+      applied: applied.has(version),
+      applied_at: applied.get(version) || null
+    }));
+  };
+
+  const pending = async () => (await status()).filter(m => !m.applied);
+
+  // Aplicar todas las migraciones pendientes, cada una en su propia transacción
+  const migrate = async () => {
+    const applied = await appliedVersions();
+    const toApply = migrations.filter(m => !applied.has(m.version));
+
+    for (const migration of toApply) {
+      await db.transaction(async (tx) => {
+        await migration.up(tx);
+        await tx.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+      });
+      console.log(`✅ Migración aplicada: ${migration.name}`);
+    }
+
+    return toApply.map(m => m.name);
+  };
+
+  // Revertir las últimas `steps` migraciones aplicadas
+  const rollback = async (steps = 1) => {
+    const applied = await appliedVersions();
+    const toRevert = [...applied.keys()].reverse().slice(0, steps);
+
+    for (const version of toRevert) {
+      const migration = migrations.find(m => m.version === version);
+
+      if (!migration) {
+        throw new Error(`No se encontró el archivo de la migración ${version}`);
+      }
+
+      await db.transaction(async (tx) => {
+        await migration.down(tx);
+        await tx.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+      });
+      console.log(`↩️  Migración revertida: ${migration.name}`);
+    }
+
+    return toRevert;
+  };
+
+  return { status, pending, migrate, rollback };
+};
+
+module.exports = { createMigrator };
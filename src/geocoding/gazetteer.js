@@ -0,0 +1,56 @@
+const fs = require('fs/promises');
+const { normalizar } = require('../utils/busqueda');
+
+// Palabras sin tildes ni signos separadas por un espacio, para comparar
+// "Cra. 7 #45-10, Chapinero" con "chapinero"
+const clave = (texto) => normalizar(String(texto)).replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+const contiene = (texto, palabras) => ` ${texto} `.includes(` ${palabras} `);
+
+// Geocodificador sin red para desarrollo y pruebas: busca en un archivo JSON
+// de lugares conocidos ([{ nombre, ciudad, latitud, longitud, alias? }]) el
+// que aparece en la dirección, también su ciudad si la tiene. Si coinciden
+// varios gana el nombre más largo (el más concreto). El archivo se lee una vez
+const createGazetteerGeocoder = ({ config }) => {
+  let lugares = null;
+
+  const cargar = async () => {
+    if (!lugares) {
+      let contenido;
+      try {
+        contenido = JSON.parse(await fs.readFile(config.gazetteerFile, 'utf8'));
+      } catch (error) {
+        throw new Error(`No se pudo leer el nomenclátor ${config.gazetteerFile}: ${error.message}`);
+      }
+
+      lugares = contenido.flatMap(lugar => [lugar.nombre, ...(lugar.alias || [])].map(nombre => ({
+        lugar,
+        nombre: clave(nombre),
+        ciudad: lugar.ciudad ? clave(lugar.ciudad) : null
+      })));
+    }
+    return lugares;
+  };
+
+  return {
+    geocode: async ({ texto }) => {
+      const buscado = clave(texto);
+      const encontrado = (await cargar())
+        .filter(({ nombre, ciudad }) => contiene(buscado, nombre) && (!ciudad || contiene(buscado, ciudad)))
+        .sort((a, b) => b.nombre.length - a.nombre.length)[0];
+
+      if (!encontrado) {
+        return null;
+      }
+
+      const { lugar } = encontrado;
+      return {
+        latitud: Number(lugar.latitud),
+        longitud: Number(lugar.longitud),
+        direccion: [lugar.nombre, lugar.ciudad].filter(Boolean).join(', ')
+      };
+    }
+  };
+};
+
+module.exports = { createGazetteerGeocoder };
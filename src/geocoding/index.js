@@ -0,0 +1,56 @@
+const { createGazetteerGeocoder } = require('./gazetteer');
+const { createNominatimGeocoder } = require('./nominatim');
+const { normalizar } = require('../utils/busqueda');
+
+// Sin geocodificación: las direcciones quedan sin coordenadas
+const createNoneGeocoder = () => ({
+  geocode: async () => null
+});
+
+const proveedores = {
+  gazetteer: createGazetteerGeocoder,
+  nominatim: createNominatimGeocoder,
+  none: createNoneGeocoder
+};
+
+// Recordar las últimas respuestas (también "no encontrada") para no repetir
+// consultas al guardar varias veces la misma dirección; los errores no se guardan
+const conCache = (proveedor, tamano) => {
+  const respuestas = new Map();
+
+  return {
+    geocode: async (consulta) => {
+      const clave = normalizar(consulta.texto).replace(/\s+/g, ' ').trim();
+
+      if (respuestas.has(clave)) {
+        return respuestas.get(clave);
+      }
+
+      const respuesta = await proveedor.geocode(consulta);
+      respuestas.set(clave, respuesta);
+      if (respuestas.size > tamano) {
+        respuestas.delete(respuestas.keys().next().value);
+      }
+      return respuesta;
+    }
+  };
+};
+
+// Crear el geocodificador configurado (config.geocoding.provider). geocode({
+// texto, ciudad }) devuelve { latitud, longitud, direccion } con la dirección
+// normalizada por el proveedor, o null si no la encuentra; lanza si el
+// proveedor falla
+const createGeocoder = ({ config }) => {
+  const createInstance = proveedores[config.geocoding.provider];
+
+  if (!createInstance) {
+    throw new Error(`Geocodificador no soportado: ${config.geocoding.provider}`);
+  }
+
+  return {
+    proveedor: config.geocoding.provider,
+    ...conCache(createInstance({ config: config.geocoding }), config.geocoding.cacheSize)
+  };
+};
+
+module.exports = { createGeocoder };
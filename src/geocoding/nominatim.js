@@ -0,0 +1,50 @@
+const esperar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Geocodificador de OpenStreetMap (Nominatim) o de cualquier servidor con su
+// API. La política del servicio público exige un User-Agent propio y como
+// mucho una petición por segundo: las consultas se hacen de una en una con
+// minInterval ms entre ellas
+const createNominatimGeocoder = ({ config }) => {
+  const { url, userAgent, email, countryCodes, timeout, minInterval } = config;
+  let cola = Promise.resolve();
+  let ultima = 0;
+
+  // Esperar el turno de la siguiente petición
+  const turno = () => {
+    const siguiente = cola.then(async () => {
+      await esperar(ultima + minInterval - Date.now());
+      ultima = Date.now();
+    });
+    cola = siguiente;
+    return siguiente;
+  };
+
+  return {
+    geocode: async ({ texto }) => {
+      const params = new URLSearchParams({ q: texto, format: 'jsonv2', limit: '1' });
+      if (countryCodes) {
+        params.set('countrycodes', countryCodes);
+      }
+      if (email) {
+        params.set('email', email);
+      }
+
+      await turno();
+      const response = await fetch(`${url.replace(/\/+$/, '')}/search?${params}`, {
+        headers: { 'User-Agent': userAgent, 'Accept-Language': 'es' },
+        signal: AbortSignal.timeout(timeout)
+      });
+
+      if (!response.ok) {
+        throw new Error(`El geocodificador respondió ${response.status}`);
+      }
+
+      const [lugar] = await response.json();
+      return lugar
+        ? { latitud: Number(lugar.lat), longitud: Number(lugar.lon), direccion: lugar.display_name }
+        : null;
+    }
+  };
+};
+
+module.exports = { createNominatimGeocoder };
@@ -0,0 +1,122 @@
+// Geocodificación de restaurantes tras guardarlos (en segundo plano, ver
+// jobs/geocodificacion): las sedes sin coordenadas
+// y restaurantes.sede_ubicacion_corta reciben latitud, longitud y
+// direccion_normalizada. Las coordenadas con direccion_normalizada son del
+// geocodificador y se recalculan si cambia la dirección; sin ella las puso un
+// editor y no se tocan.
+
+const tieneCoordenadas = (registro) => registro.latitud != null && registro.longitud != null;
+
+const geocodificada = (registro) => tieneCoordenadas(registro) && Boolean(registro.direccion_normalizada);
+
+// Texto que se geocodifica de una sede: la dirección (sin ella, el nombre, que
+// en los datos heredados es la ubicación corta), el barrio y la ciudad
+const consultaDeSede = (sede, ciudad) => ({
+  texto: [sede.direccion || sede.nombre, sede.barrio, ciudad].filter(Boolean).join(', '),
+  ciudad
+});
+
+const consultaDeRestaurante = (restaurante) => ({
+  texto: [restaurante.sede_ubicacion_corta, restaurante.ciudad_nombre].filter(Boolean).join(', '),
+  ciudad: restaurante.ciudad_nombre
+});
+
+// Las sedes se sustituyen al guardar (ids nuevos) y conservan las coordenadas
+// que envía el cliente: una sede geocodificada sigue al día si antes había una
+// con el mismo texto y las mismas coordenadas
+const claveSede = (sede, ciudad) => `${consultaDeSede(sede, ciudad).texto}|${sede.latitud}|${sede.longitud}`;
+
+const SIN_UBICACION = { latitud: null, longitud: null, direccion_normalizada: null };
+
+const createGeocodificacion = ({ db, repos, geocoder }) => {
+  // Ubicación de la dirección, o SIN_UBICACION si no se encuentra; undefined
+  // si el geocodificador falla (se deja como estaba)
+  const ubicar = async (consulta) => {
+    try {
+      const encontrada = await geocoder.geocode(consulta);
+      return encontrada
+        ? { latitud: encontrada.latitud, longitud: encontrada.longitud, direccion_normalizada: encontrada.direccion }
+        : SIN_UBICACION;
+    } catch (error) {
+      console.error(`Error geocodificando "${consulta.texto}":`, error.message);
+      return undefined;
+    }
+  };
+
+  const pendienteRestaurante = (restaurante, anterior, forzar) => {
+    if (!restaurante.sede_ubicacion_corta) {
+      return tieneCoordenadas(restaurante);
+    }
+    return !tieneCoordenadas(restaurante) || forzar ||
+      (anterior && consultaDeRestaurante(anterior).texto !== consultaDeRestaurante(restaurante).texto);
+  };
+
+  const pendienteSede = (sede, ciudad, anteriores, forzar) => {
+    if (!tieneCoordenadas(sede)) {
+      return true;
+    }
+    return geocodificada(sede) && (forzar || (anteriores !== null && !anteriores.has(claveSede(sede, ciudad))));
+  };
+
+  // anterior: el restaurante antes del cambio, para recalcular las
+  // direcciones que cambiaron; forzar recalcula todas las geocodificadas.
+  // Devuelve { restaurante, actualizado, errores } con el restaurante tal y
+  // como queda (el mismo objeto si no hubo cambios). Las coordenadas se
+  // guardan como un cambio más (nueva versión, en el historial sin actor) solo
+  // si nadie lo modificó entretanto
+  const geocodificar = async (restaurante, { anterior = null, forzar = false } = {}) => {
+    const ciudad = restaurante.ciudad_nombre;
+    const anteriores = anterior
+      ? new Set(anterior.sedes.filter(geocodificada).map(sede => claveSede(sede, anterior.ciudad_nombre)))
+      : null;
+    let errores = 0;
+
+    let ubicacion;
+    if (pendienteRestaurante(restaurante, anterior, forzar)) {
+      ubicacion = restaurante.sede_ubicacion_corta
+        ? await ubicar(consultaDeRestaurante(restaurante))
+        : SIN_UBICACION;
+      errores += ubicacion === undefined ? 1 : 0;
+    }
+
+    const sedes = [];
+    for (const sede of restaurante.sedes.filter(sede => pendienteSede(sede, ciudad, anteriores, forzar))) {
+      const ubicacionSede = await ubicar(consultaDeSede(sede, ciudad));
+      if (ubicacionSede === undefined) {
+        errores++;
+      } else if (tieneCoordenadas(ubicacionSede) || geocodificada(sede)) {
+        // Si no se encuentra, la sede se queda sin coordenadas salvo que fueran de un editor
+        sedes.push({ id: sede.id, ...ubicacionSede });
+      }
+    }
+
+    const cambia = (actual, nueva) => ['latitud', 'longitud', 'direccion_normalizada']
+      .some(campo => (actual[campo] ?? null) !== nueva[campo]);
+    const cambiosRestaurante = ubicacion && cambia(restaurante, ubicacion) ? ubicacion : undefined;
+    const cambiosSedes = sedes.filter(nueva => cambia(restaurante.sedes.find(sede => sede.id === nueva.id), nueva));
+
+    if (!cambiosRestaurante && cambiosSedes.length === 0) {
+      return { restaurante, actualizado: false, errores };
+    }
+
+    const guardado = await db.transaction(async (tx) => {
+      const despues = await repos.restaurantes.guardarUbicaciones(restaurante.id, {
+        restaurante: cambiosRestaurante,
+        sedes: cambiosSedes
+      }, { version: restaurante.version }, tx);
+
+      if (despues) {
+        await repos.auditoria.registrar({
+          tabla: 'restaurantes', registroId: Number(despues.id), accion: 'update', antes: restaurante, despues
+        }, tx);
+      }
+      return despues;
+    });
+
+    return { restaurante: guardado || restaurante, actualizado: Boolean(guardado), errores };
+  };
+
+  return { geocodificar };
+};
+
+module.exports = { createGeocodificacion };
@@ -0,0 +1,112 @@
+// Restaurantes que se cargan de cada vez
+const LOTE = 50;
+
+// Geocodificación masiva (ver geocoding/restaurantes). regeocodificar()
+// completa las direcciones que siguen sin coordenadas (el geocodificador no
+// respondía al guardar, datos anteriores a la geocodificación...);
+// regeocodificar({ forzar: true }) recalcula además todas las geocodificadas.
+// Si interval > 0 completa las pendientes periódicamente. encolar(id, anterior)
+// geocodifica en segundo plano un restaurante recién guardado, para que las
+// rutas respondan sin esperar al geocodificador. Cada restaurante que cambia
+// (ya en el historial) pasa por alActualizar(antes, despues)
+const createRegeocodificacion = ({ repos, geocodificacion, options = {} }) => {
+  const { interval = 0, alActualizar = () => {} } = options;
+
+  const regeocodificar = async ({ forzar = false } = {}) => {
+    const resumen = { revisados: 0, actualizados: 0, errores: 0 };
+    let desdeId = 0;
+
+    for (;;) {
+      const ids = await repos.restaurantes.pendientesDeGeocodificar({ forzar, desdeId, limit: LOTE });
+
+      for (const id of ids) {
+        const restaurante = await repos.restaurantes.findById(id);
+        if (!restaurante) {
+          continue;
+        }
+
+        const resultado = await geocodificacion.geocodificar(restaurante, { forzar });
+        resumen.revisados++;
+        resumen.errores += resultado.errores;
+        if (resultado.actualizado) {
+          resumen.actualizados++;
+          await alActualizar(restaurante, resultado.restaurante);
+        }
+      }
+
+      if (ids.length < LOTE) {
+        return resumen;
+      }
+      desdeId = ids[ids.length - 1];
+    }
+  };
+
+  // Con un geocodificador lento una pasada puede durar más que el intervalo
+  let enCurso = false;
+  let intervalo = null;
+  if (interval > 0) {
+    intervalo = setInterval(() => {
+      if (enCurso) {
+        return;
+      }
+      enCurso = true;
+      regeocodificar()
+        .then(resumen => {
+          if (resumen.actualizados > 0) {
+            console.log('📍 Direcciones geocodificadas:', resumen);
+          }
+        })
+        .catch(error => console.error('Error geocodificando direcciones pendientes:', error))
+        .finally(() => { enCurso = false; });
+    }, interval);
+    intervalo.unref();
+  }
+
+  // Restaurantes por geocodificar tras guardarlos (id → restaurante antes del
+  // cambio), de uno en uno. Si se guarda de nuevo antes de su turno se
+  // conserva el primer "anterior", que cubre todas las direcciones cambiadas
+  const cola = new Map();
+  let procesando = false;
+  let cerrada = false;
+
+  const procesar = async () => {
+    procesando = true;
+    while (cola.size > 0 && !cerrada) {
+      const [id, anterior] = cola.entries().next().value;
+      cola.delete(id);
+
+      try {
+        const restaurante = await repos.restaurantes.findById(id);
+        if (restaurante) {
+          const resultado = await geocodificacion.geocodificar(restaurante, { anterior });
+          if (resultado.actualizado) {
+            await alActualizar(restaurante, resultado.restaurante);
+          }
+        }
+      } catch (error) {
+        // El trabajo periódico completará las coordenadas que falten
+        console.error(`Error geocodificando el restaurante ${id}:`, error);
+      }
+    }
+    procesando = false;
+  };
+
+  const encolar = (id, anterior = null) => {
+    if (!cola.has(Number(id))) {
+      cola.set(Number(id), anterior);
+    }
+    if (!procesando) {
+      procesar();
+    }
+  };
+
+  const close = () => {
+    cerrada = true;
+    cola.clear();
+    clearInterval(intervalo);
+  };
+
+  return { regeocodificar, encolar, close };
+};
+
+module.exports = { createRegeocodificacion };
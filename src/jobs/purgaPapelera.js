@@ -0,0 +1,48 @@
+// Orden de purga: primero lo que depende de las ciudades
+const ENTIDADES = [
+  { tabla: 'restaurantes', repo: 'restaurantes' },
+  { tabla: 'patrocinadores', repo: 'patrocinadores' },
+  { tabla: 'ciudades', repo: 'ciudades' }
+];
+
+// Purga periódica de la papelera: borra definitivamente lo que lleva en ella
+// más de retentionDays días y lo deja en el historial como baja sin actor.
+// Con varias instancias cada una purga por su cuenta; el DELETE es idempotente.
+// Cada tabla se purga y se registra en una transacción
+const createPurgaPapelera = ({ db, repos, options = {} }) => {
+  const { retentionDays = 30, purgeInterval = 6 * 60 * 60 * 1000 } = options;
+
+  const purgar = async () => {
+    const purgados = {};
+
+    for (const { tabla, repo } of ENTIDADES) {
+      const filas = await db.transaction(async (tx) => {
+        const borradas = await repos[repo].purgar(retentionDays, tx);
+        for (const fila of borradas) {
+          await repos.auditoria.registrar({ tabla, registroId: Number(fila.id), accion: 'delete', antes: fila, despues: null }, tx);
+        }
+        return borradas;
+      });
+      purgados[tabla] = filas.length;
+    }
+    return purgados;
+  };
+
+  const intervalo = setInterval(() => {
+    purgar()
+      .then(purgados => {
+        const total = Object.values(purgados).reduce((suma, n) => suma + n, 0);
+        if (total > 0) {
+          console.log('🗑️ Papelera purgada:', purgados);
+        }
+      })
+      .catch(error => console.error('Error purgando la papelera:', error));
+  }, purgeInterval);
+  intervalo.unref();
+
+  const close = () => clearInterval(intervalo);
+
+  return { purgar, close };
+};
+
+module.exports = { createPurgaPapelera };
@@ -0,0 +1,46 @@
+// Desarrollo: el mensaje se escribe en la consola
+const createLogTransport = () => ({
+  enviar: async ({ para, asunto, texto }) => {
+    console.log(`✉️  Para: ${para} | ${asunto}\n${texto}`);
+  }
+});
+
+// Producción: POST JSON { from, to, subject, text } a un servicio de correo
+// transaccional (o a un relé propio hacia SMTP)
+const createWebhookTransport = ({ config }) => ({
+  enviar: async ({ para, asunto, texto }) => {
+    const response = await fetch(config.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ from: config.from, to: para, subject: asunto, text: texto }),
+      signal: AbortSignal.timeout(config.timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`El servicio de correo respondió ${response.status}`);
+    }
+  }
+});
+
+const transportes = {
+  log: createLogTransport,
+  webhook: createWebhookTransport
+};
+
+// Crear el envío de correo configurado (config.mail.transport). Sin
+// transporte devuelve null: no hay correo y el registro público se desactiva
+const createMailer = ({ config }) => {
+  if (!config.mail.transport) {
+    return null;
+  }
+
+  const createInstance = transportes[config.mail.transport];
+
+  if (!createInstance) {
+    throw new Error(`Transporte de correo no soportado: ${config.mail.transport}`);
+  }
+
+  return createInstance({ config: config.mail });
+};
+
+module.exports = { createMailer };
@@ -0,0 +1,85 @@
+const ROLES = ['admin', 'editor', 'propietario', 'lectura'];
+
+// Autenticación por token Bearer y control de acceso por rol
+const createAuthMiddleware = ({ repos, tokens }) => {
+  // Identifica al usuario si la petición trae Authorization. No rechaza por sí
+  // mismo: las lecturas siguen siendo públicas y requireRole decide el 401.
+  const authenticate = async (req, res, next) => {
+    const header = req.headers.authorization;
+    if (!header) {
+      return next();
+    }
+
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      req.authError = 'Formato de autorización inválido';
+      return next();
+    }
+
+    try {
+      const payload = tokens.verify(token);
+      const usuario = await repos.usuarios.findById(payload.sub);
+
+      if (usuario && usuario.activo) {
+        req.user = usuario;
+      } else {
+        req.authError = 'Usuario no autorizado';
+      }
+      next();
+    } catch (error) {
+      if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+        req.authError = 'Token inválido o expirado';
+        return next();
+      }
+      next(error);
+    }
+  };
+
+  // 401 si no hay usuario autenticado, 403 si su rol no está permitido
+  const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: req.authError || 'Autenticación requerida' });
+    }
+
+    if (!roles.includes(req.user.rol)) {
+      return res.status(403).json({ error: 'No tiene permisos para realizar esta acción' });
+    }
+
+    next();
+  };
+
+  return { authenticate, requireRole };
+};
+
+// Un editor solo gestiona las ciudades que tiene asignadas
+const puedeEditarCiudad = (usuario, ciudadId) => usuario.rol === 'admin' ||
+  (usuario.rol === 'editor' && ciudadId != null && usuario.ciudades_ids.includes(Number(ciudadId)));
+
+const puedeEditarRestaurante = (usuario, restaurante) => {
+  if (usuario.rol === 'propietario') {
+    return usuario.restaurante_id != null && Number(usuario.restaurante_id) === Number(restaurante.id);
+  }
+  return puedeEditarCiudad(usuario, restaurante.ciudad_id);
+};
+
+// Todas las ciudades deben estar dentro del ámbito del usuario
+const puedeEditarCiudades = (usuario, ciudadesIds) => usuario.rol === 'admin' ||
+  (ciudadesIds.length > 0 && ciudadesIds.every(ciudadId => puedeEditarCiudad(usuario, ciudadId)));
+
+// Votar y reservar exige una cuenta verificada (las del registro público
+// empiezan sin verificar); va detrás de requireRole
+const requireVerificado = (req, res, next) => (req.user.verificado
+  ? next()
+  : res.status(403).json({ error: 'Debe verificar su email antes de realizar esta acción' }));
+
+const forbidden = (res) => res.status(403).json({ error: 'No tiene permisos sobre este recurso' });
+
+module.exports = {
+  ROLES,
+  createAuthMiddleware,
+  puedeEditarCiudad,
+  puedeEditarCiudades,
+  puedeEditarRestaurante,
+  requireVerificado,
+  forbidden
+};
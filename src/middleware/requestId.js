@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+
+// Identificador que se admite del cliente o del proxy (X-Request-Id)
+const REQUEST_ID_VALIDO = /^[\w.:-]{1,100}$/;
+
+// Identificador de la petición para correlacionar logs y el historial de
+// cambios; se devuelve en la cabecera X-Request-Id
+const requestId = (req, res, next) => {
+  const recibido = req.get('X-Request-Id');
+  req.id = recibido && REQUEST_ID_VALIDO.test(recibido) ? recibido : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = { requestId };
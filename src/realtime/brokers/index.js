@@ -0,0 +1,20 @@
+const { createMemoryBroker } = require('./memory');
+const { createPostgresBroker } = require('./postgres');
+
+const brokers = {
+  memory: createMemoryBroker,
+  postgres: createPostgresBroker
+};
+
+// Crear el broker que reparte los eventos entre instancias (config.events.broker)
+const createBroker = ({ db, config }) => {
+  const createInstance = brokers[config.events.broker];
+
+  if (!createInstance) {
+    throw new Error(`Broker de eventos no soportado: ${config.events.broker}`);
+  }
+
+  return createInstance({ db, config: config.db });
+};
+
+module.exports = { createBroker };
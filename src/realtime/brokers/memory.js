@@ -0,0 +1,28 @@
+// Broker en memoria (desarrollo con SQLite): solo reparte los mensajes entre
+// los suscriptores del propio proceso, así que no sirve con varias instancias.
+const createMemoryBroker = () => {
+  const suscriptores = new Map();
+
+  return {
+    // La entrega es asíncrona, igual que una notificación de PostgreSQL
+    publish: async (canal, payload) => {
+      (suscriptores.get(canal) || new Set()).forEach(handler => setImmediate(handler, payload));
+    },
+
+    // Devuelve la función para cancelar la suscripción
+    subscribe: (canal, handler) => {
+      if (!suscriptores.has(canal)) {
+        suscriptores.set(canal, new Set());
+      }
+      suscriptores.get(canal).add(handler);
+      return () => suscriptores.get(canal).delete(handler);
+    },
+
+    // Sin conexión que perder: nunca hay que recuperar mensajes
+    onReconnect: () => () => {},
+
+    close: async () => suscriptores.clear()
+  };
+};
+
+module.exports = { createMemoryBroker };
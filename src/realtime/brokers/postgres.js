@@ -0,0 +1,118 @@
+const { Client } = require('pg');
+
+// Espera antes de reabrir la conexión de escucha si se pierde
+const RECONNECT_DELAY = 5000;
+
+// Broker sobre LISTEN/NOTIFY de PostgreSQL: cada instancia del servicio
+// escucha los canales en una conexión dedicada (fuera del pool) y publica
+// con pg_notify, así que un mensaje llega a todas las instancias, incluida
+// la que lo publica. Los nombres de canal son constantes internas.
+//
+// Lo que se notifica mientras la conexión de escucha está caída se pierde:
+// tras reabrirla se avisa a los handlers de onReconnect para que recuperen lo
+// perdido por su cuenta (los eventos, del registro; ver ../events).
+const createPostgresBroker = ({ db, config }) => {
+  const suscriptores = new Map();
+  const reconexiones = new Set();
+  let cliente = null;
+  let cerrado = false;
+  let reconectando = false;
+  // Notificaciones recibidas al reconectar antes de avisar a onReconnect
+  let retenidas = [];
+
+  const entregar = ({ channel, payload }) => {
+    if (reconectando) {
+      retenidas.push({ channel, payload });
+      return;
+    }
+    (suscriptores.get(channel) || new Set()).forEach(handler => handler(payload));
+  };
+
+  // Reabrir la conexión una sola vez por fallo, aunque lleguen "error" y "end"
+  const perdida = (anterior) => {
+    if (cerrado || cliente !== anterior) {
+      return;
+    }
+
+    cliente = null;
+    reconectando = true;
+    retenidas = [];
+    anterior.end().catch(() => {});
+    console.error(`❌ Conexión LISTEN de PostgreSQL perdida; reintentando en ${RECONNECT_DELAY} ms`);
+    setTimeout(escuchar, RECONNECT_DELAY).unref();
+  };
+
+  const escuchar = async () => {
+    const nuevo = new Client({ connectionString: config.connectionString, ssl: config.ssl });
+    cliente = nuevo;
+
+    nuevo.on('notification', entregar);
+    nuevo.on('error', (error) => {
+      console.error('❌ Error en la conexión LISTEN de PostgreSQL:', error);
+      perdida(nuevo);
+    });
+    nuevo.on('end', () => perdida(nuevo));
+
+    try {
+      await nuevo.connect();
+      for (const canal of suscriptores.keys()) {
+        await nuevo.query(`LISTEN "${canal}"`);
+      }
+    } catch (error) {
+      console.error('❌ Error abriendo la conexión LISTEN de PostgreSQL:', error);
+      perdida(nuevo);
+      return;
+    }
+
+    // Ya se escucha de nuevo: se avisa antes de entregar lo que llegó
+    // mientras tanto, para que la recuperación vaya por delante
+    if (reconectando && cliente === nuevo) {
+      reconectando = false;
+      console.log('✅ Conexión LISTEN de PostgreSQL restablecida');
+      reconexiones.forEach(handler => handler());
+      const llegadas = retenidas;
+      retenidas = [];
+      llegadas.forEach(entregar);
+    }
+  };
+
+  escuchar();
+
+  return {
+    // NOTIFY admite hasta 8000 bytes de payload
+    publish: async (canal, payload) => {
+      await db.query('SELECT pg_notify($1, $2)', [canal, payload]);
+    },
+
+    // Devuelve la función para cancelar la suscripción
+    subscribe: (canal, handler) => {
+      if (!suscriptores.has(canal)) {
+        suscriptores.set(canal, new Set());
+        // pg encola la consulta si la conexión aún se está abriendo
+        if (cliente) {
+          cliente.query(`LISTEN "${canal}"`).catch(error => console.error(`Error escuchando ${canal}:`, error));
+        }
+      }
+      suscriptores.get(canal).add(handler);
+      return () => suscriptores.get(canal).delete(handler);
+    },
+
+    // handler() se llama cada vez que se restablece la conexión de escucha;
+    // devuelve la función para cancelarlo
+    onReconnect: (handler) => {
+      reconexiones.add(handler);
+      return () => reconexiones.delete(handler);
+    },
+
+    close: async () => {
+      cerrado = true;
+      suscriptores.clear();
+      reconexiones.clear();
+      if (cliente) {
+        await cliente.end();
+      }
+    }
+  };
+};
+
+module.exports = { createPostgresBroker };
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const { parseFiltros, coincide } = require('./filtros');
+
+// Eventos por lote al reenviar lo perdido tras una reconexión
+const REPLAY_BATCH = 500;
+
+// Cada cuántos eventos se recorta el registro a options.logSize
+const PURGE_EVERY = 100;
+
+// Canal del broker por el que se reparten los eventos entre instancias
+const CANAL = 'eventos';
+
+// Margen bajo el límite de 8000 bytes de NOTIFY; los mensajes mayores viajan
+// solo con su id y cada instancia los lee del registro
+const MAX_PAYLOAD = 7500;
+
+// Difusión de actualizaciones en tiempo real. Cada evento se guarda en el
+// registro "eventos" y su id viaja con él (en SSE, en el campo "id:"); el
+// cliente lo reenvía al reconectar (Last-Event-ID) y el servidor le repite
+// los eventos posteriores. Cada cliente recibe solo los eventos que cumplen
+// los filtros de su suscripción (ver ./filtros).
+//
+// Los clientes pueden llegar por SSE (handler) o por WebSocket (ver
+// ./websocket): ambos transportes se registran con conectar() y comparten la
+// difusión, el reenvío y el latido.
+//
+// Los eventos no se difunden directamente: se publican en el broker (ver
+// ./brokers) y cada instancia del servicio los recibe de vuelta y los envía
+// a sus propios clientes.
+const createEventStream = ({ eventos, broker, options = {} }) => {
+  const { heartbeatInterval = 25000, logSize = 10000 } = options;
+  const clients = new Map();
+
+  const formatEvent = (id, mensaje) => (id
+    ? `id: ${id}\ndata: ${JSON.stringify({ id, ...mensaje })}\n\n`
+    : `data: ${JSON.stringify(mensaje)}\n\n`);
+
+  // Reenviar los eventos posteriores a lastEventId; devuelve el último enviado
+  const replay = async (client, lastEventId) => {
+    const oldestId = await eventos.oldestId();
+
+    // El registro ya no llega tan atrás: el cliente debe recargar sus datos
+    if (oldestId !== null && oldestId > lastEventId + 1) {
+      client.enviar(null, {
+        type: 'resync',
+        message: 'Se han perdido eventos; recargue los datos',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let ultimo = lastEventId;
+    for (;;) {
+      const lote = await eventos.listAfter(ultimo, REPLAY_BATCH);
+      lote
+        .filter(evento => coincide(client.filtros, evento.mensaje))
+        .forEach(evento => client.enviar(evento.id, evento.mensaje));
+
+      if (lote.length > 0) {
+        ultimo = lote[lote.length - 1].id;
+      }
+      if (lote.length < REPLAY_BATCH) {
+        return ultimo;
+      }
+    }
+  };
+
+  // Registrar un cliente de cualquier transporte:
+  //   { filtros, enviar(id, mensaje), latido(), cerrar() }
+  // Se le asigna client.id de inmediato; la promesa se resuelve tras el reenvío.
+  const conectar = async (client, lastEventId) => {
+    const clientId = crypto.randomUUID();
+
+    // Mientras se reenvía lo perdido, los eventos nuevos quedan en "pendientes"
+    Object.assign(client, { id: clientId, pendientes: [] });
+    clients.set(clientId, client);
+    console.log(`Cliente ${clientId} conectado. Clientes activos: ${clients.size}`);
+
+    // Mensaje inicial sin id, para no alterar el último id recibido por el cliente
+    client.enviar(null, {
+      type: 'connected',
+      message: 'Conectado al servidor',
+      clientId,
+      filtros: client.filtros
+    });
+
+    let ultimo = 0;
+
+    try {
+      if (Number.isInteger(lastEventId) && lastEventId >= 0) {
+        ultimo = await replay(client, lastEventId);
+      }
+    } catch (error) {
+      console.error(`Error reenviando eventos al cliente ${clientId}:`, error);
+    }
+
+    client.pendientes
+      .filter(({ id }) => !id || id > ultimo)
+      .forEach(({ id, mensaje }) => client.enviar(id, mensaje));
+    client.pendientes = null;
+    return clientId;
+  };
+
+  const desconectar = (clientId) => {
+    if (clients.delete(clientId)) {
+      console.log(`Cliente ${clientId} desconectado. Clientes activos: ${clients.size}`);
+    }
+  };
+
+  // Endpoint para SSE
+  const handler = (req, res) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Cache-Control, Last-Event-ID'
+    });
+    res.write('retry: 5000\n\n');
+
+    const write = (chunk) => {
+      if (!res.destroyed) {
+        res.write(chunk);
+      }
+    };
+
+    const client = {
+      filtros: parseFiltros(req.query),
+      enviar: (id, mensaje) => write(formatEvent(id, mensaje)),
+      // Comentario SSE: proxies y clientes no dan la conexión por muerta
+      latido: () => write(`: ping ${Date.now()}\n\n`),
+      cerrar: () => res.end()
+    };
+
+    // Remover cliente cuando se desconecte
+    req.on('close', () => desconectar(client.id));
+
+    // EventSource envía la cabecera; ?lastEventId= sirve a clientes que no pueden
+    return conectar(client, Number(req.headers['last-event-id'] ?? req.query.lastEventId));
+  };
+
+  const broadcast = (id, mensaje) => {
+    let enviados = 0;
+
+    clients.forEach(client => {
+      if (!coincide(client.filtros, mensaje)) {
+        return;
+      }
+
+      enviados += 1;
+      if (client.pendientes) {
+        client.pendientes.push({ id, mensaje });
+      } else {
+        client.enviar(id, mensaje);
+      }
+    });
+    console.log(`Actualización enviada a ${enviados} de ${clients.size} clientes: ${mensaje.type}`);
+  };
+
+  // Los eventos recibidos del broker se difunden en el orden en que llegan,
+  // aunque alguno tenga que leerse del registro. ultimoId es el mayor id
+  // difundido: si el broker pierde la conexión, lo posterior se recupera del
+  // registro y "recuperados" evita difundirlo dos veces si además se notifica
+  let ultimoId = null;
+  let recuperados = new Set();
+  let entregas = eventos.latestId()
+    .then((id) => { ultimoId = id; })
+    .catch(error => console.error('Error leyendo el último evento registrado:', error));
+
+  const difundir = (id, mensaje) => {
+    broadcast(id, mensaje);
+    ultimoId = Math.max(ultimoId ?? 0, id);
+  };
+
+  const recibir = (payload) => {
+    entregas = entregas
+      .then(async () => {
+        const { id, mensaje } = JSON.parse(payload);
+        if (recuperados.delete(id)) {
+          return;
+        }
+
+        const evento = mensaje ? { mensaje } : await eventos.findById(id);
+        if (evento) {
+          difundir(id, evento.mensaje);
+        }
+      })
+      .catch(error => console.error('Error recibiendo evento del broker:', error));
+  };
+
+  const recuperar = () => {
+    entregas = entregas
+      .then(async () => {
+        recuperados = new Set();
+        if (ultimoId === null) {
+          return;
+        }
+
+        for (;;) {
+          const lote = await eventos.listAfter(ultimoId, REPLAY_BATCH);
+          lote.forEach((evento) => {
+            recuperados.add(evento.id);
+            difundir(evento.id, evento.mensaje);
+          });
+          if (lote.length < REPLAY_BATCH) {
+            return;
+          }
+        }
+      })
+      .catch(error => console.error('Error recuperando eventos tras reconectar el broker:', error));
+  };
+
+  const desuscribir = broker.subscribe(CANAL, recibir);
+  const cancelarRecuperacion = broker.onReconnect(recuperar);
+
+  // Los eventos se registran y publican en orden; si el registro o el broker
+  // fallan, se difunden igualmente a los clientes de esta instancia
+  let cola = Promise.resolve();
+
+  // Función para enviar actualizaciones a todos los clientes
+  const sendUpdateToAllClients = (type, data) => {
+    const mensaje = { type, data, timestamp: new Date().toISOString() };
+
+    cola = cola
+      .then(async () => {
+        const { id } = await eventos.append(type, mensaje);
+        const payload = JSON.stringify({ id, mensaje });
+
+        try {
+          await broker.publish(CANAL, Buffer.byteLength(payload) <= MAX_PAYLOAD ? payload : JSON.stringify({ id }));
+        } catch (error) {
+          console.error(`Error publicando evento ${type}:`, error);
+          difundir(id, mensaje);
+        }
+
+        if (id % PURGE_EVERY === 0) {
+          await eventos.purge(logSize);
+        }
+      })
+      .catch((error) => {
+        console.error(`Error registrando evento ${type}:`, error);
+        broadcast(null, mensaje);
+      });
+
+    return cola;
+  };
+
+  // Latido periódico para que proxies y clientes no den la conexión por muerta
+  const heartbeat = setInterval(() => {
+    clients.forEach(client => client.latido());
+  }, heartbeatInterval);
+  heartbeat.unref();
+
+  const close = () => {
+    desuscribir();
+    cancelarRecuperacion();
+    clearInterval(heartbeat);
+    clients.forEach(client => client.cerrar());
+    clients.clear();
+  };
+
+  return { handler, conectar, desconectar, sendUpdateToAllClients, close };
+};
+
+module.exports = { createEventStream };
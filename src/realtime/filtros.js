@@ -0,0 +1,42 @@
+// Filtros de suscripción a /api/events: ?tipos=restaurante,propuesta&ciudad_id=1&restaurante_id=4,5
+// Cada parámetro admite varios valores separados por comas.
+
+const lista = (valor) => (valor ? String(valor).split(',').map(v => v.trim()).filter(Boolean) : []);
+
+const parseFiltros = (query = {}) => ({
+  entidades: lista(query.tipos),
+  ciudades: lista(query.ciudad_id).map(Number),
+  restaurantes: lista(query.restaurante_id).map(Number)
+});
+
+// Entidad, ciudades y restaurantes a los que se refiere un evento. En los
+// sobres de cambio (ver ./notificador) se miran la entidad y el registro; en
+// el resto, el tipo ("votacion_recuento" → "votacion") y el propio payload.
+const ambitoDe = (type, data) => {
+  const cambio = data && data.entity ? data : null;
+  const datos = (cambio ? cambio.record : data) || {};
+  const entidad = cambio ? cambio.entity : type.split('_')[0];
+  const ciudades = [...(datos.ciudades_ids || []), datos.ciudad_id];
+  const restaurantes = [datos.restaurante_id];
+
+  if (entidad === 'ciudad') {
+    ciudades.push(datos.id);
+  }
+  if (entidad === 'restaurante') {
+    restaurantes.push(datos.id);
+  }
+
+  const ids = (valores) => valores.filter(v => v !== undefined && v !== null).map(Number);
+  return { entidad, ciudades: ids(ciudades), restaurantes: ids(restaurantes) };
+};
+
+// Un evento llega al cliente si cumple todos los filtros que este indicó
+const coincide = (filtros, { type, data }) => {
+  const ambito = ambitoDe(type, data);
+
+  return (filtros.entidades.length === 0 || filtros.entidades.includes(ambito.entidad)) &&
+    (filtros.ciudades.length === 0 || ambito.ciudades.some(id => filtros.ciudades.includes(id))) &&
+    (filtros.restaurantes.length === 0 || ambito.restaurantes.some(id => filtros.restaurantes.includes(id)));
+};
+
+module.exports = { parseFiltros, coincide };
@@ -0,0 +1,172 @@
+// Notificación de cambios: toda alta, modificación o baja de una entidad se
+// difunde por SSE con el mismo sobre en "data":
+//
+//   { entity, action, id, record, diff, actor, version }
+//
+// - action: 'created' | 'updated' | 'deleted'
+// - record: registro completo tras el cambio (en una baja, el último conocido)
+// - diff: solo en 'updated', { campo: { antes, despues } }
+// - actor: { id, rol } del usuario que hizo el cambio, o null
+// - version: columna "version" del registro, que crece con cada cambio (en
+//   ciudades, restaurantes y patrocinadores es además su ETag, ver
+//   utils/concurrencia); en una baja se difunde la siguiente para que no se
+//   confunda con el último cambio
+//
+// Los cambios de las entidades de TABLAS_AUDITADAS quedan además en el
+// historial (audit_log) con el actor y el id de la petición (X-Request-Id).
+// El historial se escribe en la transacción del cambio (conHistorial, o
+// auditar con la transacción de quien llama): si falla, el cambio no se
+// guarda. La difusión, en cambio, va después de confirmar
+
+// Género del nombre de cada entidad para el tipo de evento heredado
+// ("ciudad_agregada", "restaurante_agregado"...)
+const FEMENINAS = ['ciudad', 'edicion', 'franja', 'participacion', 'propuesta', 'reserva', 'votacion'];
+
+const RAICES = { created: 'agregad', updated: 'actualizad', deleted: 'eliminad' };
+
+const tipoDe = (entidad, accion) => `${entidad}_${RAICES[accion]}${FEMENINAS.includes(entidad) ? 'a' : 'o'}`;
+
+// El canal SSE es público: campos que nunca se difunden por entidad
+const CAMPOS_PRIVADOS = {
+  reserva: ['usuario_id', 'nombre_contacto', 'telefono']
+};
+
+// Entidades de las que solo se difunden estos campos. Los cambios propuestos
+// por los propietarios no están publicados: solo se avisa de que existen y de
+// su estado, sin el texto ni quién los propuso. De las cuentas de usuario
+// (nombre, rol, ámbito) solo se avisa de que cambiaron
+const CAMPOS_PUBLICOS = {
+  cambio_restaurante: ['id', 'restaurante_id', 'estado'],
+  usuario: ['id']
+};
+
+const proyectar = (entidad, registro) => {
+  if (!registro) {
+    return registro;
+  }
+
+  if (CAMPOS_PUBLICOS[entidad]) {
+    return Object.fromEntries(CAMPOS_PUBLICOS[entidad].map(campo => [campo, registro[campo] ?? null]));
+  }
+
+  const publico = { ...registro };
+  (CAMPOS_PRIVADOS[entidad] || []).forEach(campo => delete publico[campo]);
+  return publico;
+};
+
+// Entidad → tabla del historial de cambios
+const TABLAS_AUDITADAS = { ciudad: 'ciudades', patrocinador: 'patrocinadores', restaurante: 'restaurantes' };
+
+const ACCIONES_AUDITORIA = { created: 'insert', updated: 'update', deleted: 'delete' };
+
+// Altas y bajas de patrocinadores_ciudades que implica un cambio de
+// patrocinador. Al enviarlo a la papelera sus ciudades se conservan
+const cambiosDeCiudades = (anterior, registro, accion) => {
+  if (accion === 'deleted') {
+    return [];
+  }
+
+  const ids = (patrocinador) => (patrocinador ? patrocinador.ciudades_ids.map(Number) : []);
+  const antes = ids(anterior);
+  const despues = ids(registro);
+  const id = Number(registro.id);
+
+  return [
+    ...antes.filter(ciudadId => !despues.includes(ciudadId)).map(ciudadId => ({ accion: 'delete', id, ciudadId })),
+    ...despues.filter(ciudadId => !antes.includes(ciudadId)).map(ciudadId => ({ accion: 'insert', id, ciudadId }))
+  ];
+};
+
+// Campos que cambian entre dos versiones del registro
+const diferencias = (antes, despues) => {
+  const diff = {};
+  const campos = new Set([...Object.keys(antes), ...Object.keys(despues)]);
+
+  campos.forEach(campo => {
+    if (JSON.stringify(antes[campo]) !== JSON.stringify(despues[campo])) {
+      diff[campo] = { antes: antes[campo] ?? null, despues: despues[campo] ?? null };
+    }
+  });
+  return diff;
+};
+
+const createNotificador = ({ db, events, auditoria }) => {
+  // Deja el cambio en el historial con el executor recibido (la transacción
+  // del cambio); en una baja, registro es el último estado conocido
+  const auditar = async (req, entidad, accion, registro, anterior, executor) => {
+    const tabla = TABLAS_AUDITADAS[entidad];
+    if (!tabla) {
+      return;
+    }
+
+    const comun = { actor: req.user ? { id: req.user.id, rol: req.user.rol } : null, requestId: req.id };
+
+    await auditoria.registrar({
+      ...comun,
+      tabla,
+      registroId: Number(registro.id),
+      accion: ACCIONES_AUDITORIA[accion],
+      antes: accion === 'deleted' ? registro : anterior,
+      despues: accion === 'deleted' ? null : registro
+    }, executor);
+
+    if (entidad === 'patrocinador') {
+      const enlace = ({ id, ciudadId }) => ({ patrocinador_id: id, ciudad_id: ciudadId });
+      for (const cambio of cambiosDeCiudades(anterior, registro, accion)) {
+        await auditoria.registrar({
+          ...comun,
+          tabla: 'patrocinadores_ciudades',
+          // Los enlaces no tienen id propio: se agrupan bajo el patrocinador
+          registroId: cambio.id,
+          accion: cambio.accion,
+          antes: cambio.accion === 'delete' ? enlace(cambio) : null,
+          despues: cambio.accion === 'insert' ? enlace(cambio) : null
+        }, executor);
+      }
+    }
+  };
+
+  // opciones.tipo sustituye el tipo de evento por defecto (p. ej. "reserva_cancelada")
+  const notificar = async (req, entidad, accion, registro, anterior, opciones = {}) => {
+    const type = opciones.tipo || tipoDe(entidad, accion);
+
+    try {
+      const record = proyectar(entidad, registro);
+      const id = Number(record.id);
+      const version = Number(registro.version) + (accion === 'deleted' ? 1 : 0);
+
+      await events.sendUpdateToAllClients(type, {
+        entity: entidad,
+        action: accion,
+        id,
+        record,
+        diff: accion === 'updated' && anterior ? diferencias(proyectar(entidad, anterior), record) : null,
+        actor: req.user ? { id: req.user.id, rol: req.user.rol } : null,
+        version
+      });
+    } catch (error) {
+      console.error(`Error notificando ${type}:`, error);
+    }
+  };
+
+  return {
+    auditar,
+
+    // Ejecuta cambio(tx) y, en la misma transacción, lo deja en el historial.
+    // cambio devuelve el registro tras el cambio (en una baja, true) o un
+    // valor falso si no se aplicó, y entonces no se registra nada
+    conHistorial: (req, entidad, accion, anterior, cambio) => db.transaction(async (tx) => {
+      const resultado = await cambio(tx);
+      if (resultado) {
+        await auditar(req, entidad, accion, accion === 'deleted' ? anterior : resultado, anterior, tx);
+      }
+      return resultado;
+    }),
+
+    creado: (req, entidad, registro, opciones) => notificar(req, entidad, 'created', registro, null, opciones),
+    actualizado: (req, entidad, registro, anterior, opciones) => notificar(req, entidad, 'updated', registro, anterior, opciones),
+    eliminado: (req, entidad, registro, opciones) => notificar(req, entidad, 'deleted', registro, null, opciones)
+  };
+};
+
+module.exports = { createNotificador, proyectar };
@@ -0,0 +1,354 @@
+const { WebSocketServer } = require('ws');
+const { parseFiltros } = require('./filtros');
+
+const RUTA = '/api/ws';
+
+// Canal del broker por el que las instancias comparten presencia y bloqueos
+const CANAL = 'colaboracion';
+
+// Roles que ven y anuncian quién está editando (el resto solo recibe cambios)
+const ROLES_COLABORACION = ['admin', 'editor', 'propietario'];
+
+const ENTIDAD_VALIDA = /^[a-z_]+$/;
+
+// WebSocket en /api/ws: recibe los mismos eventos de cambio que /api/events
+// y añade colaboración entre quienes editan a la vez.
+//
+// Mensajes del cliente (JSON con "type"):
+//   suscribir   { tipos, ciudad_id, restaurante_id }  cambia los filtros (ver ./filtros)
+//   editar      { entidad, id }  anuncia que el usuario tiene abierto el registro
+//   dejar       { entidad, id }
+//   bloquear    { entidad, id }  bloqueo blando: avisa a los demás, no impide guardar
+//   desbloquear { entidad, id }
+//   ping
+//
+// Mensajes del servidor: los eventos de cambio ({ id, type, data, timestamp }),
+// "colaboracion" (estado completo al conectar), "presencia" y "bloqueo" (al
+// cambiar un registro), "bloqueo_denegado", "pong" y "error".
+//
+// Presencia y bloqueos se reparten por el broker para que todas las
+// instancias compartan el mismo estado. Cada instancia renueva en cada latido
+// los de sus conexiones, así que los de una instancia caída caducan solos.
+const createWebSocketServer = ({ events, broker, auth, options = {} }) => {
+  const { heartbeatInterval = 25000 } = options;
+  const caducidad = heartbeatInterval * 3;
+  const wss = new WebSocketServer({ noServer: true });
+
+  // Estado compartido: recurso ("restaurante:12") → conexión → { usuario, expira }
+  const presencias = new Map();
+  // recurso → { conexion, usuario, desde, expira }
+  const bloqueos = new Map();
+  // Conexiones de esta instancia: id → { ws, usuario, recursos, bloqueados }
+  const conexiones = new Map();
+
+  const recursoDe = (entidad, id) => `${entidad}:${id}`;
+
+  const separar = (recurso) => {
+    const [entidad, id] = recurso.split(':');
+    return { entidad, id: Number(id) };
+  };
+
+  const enviar = (ws, mensaje) => {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(mensaje));
+    }
+  };
+
+  const colaboradores = () => [...conexiones.values()]
+    .filter(conexion => conexion.usuario && ROLES_COLABORACION.includes(conexion.usuario.rol));
+
+  const mensajePresencia = (recurso) => ({
+    type: 'presencia',
+    ...separar(recurso),
+    usuarios: [...(presencias.get(recurso) || new Map()).values()].map(({ usuario }) => usuario),
+    timestamp: new Date().toISOString()
+  });
+
+  const mensajeBloqueo = (recurso) => {
+    const bloqueo = bloqueos.get(recurso);
+    return {
+      type: 'bloqueo',
+      ...separar(recurso),
+      usuario: bloqueo ? bloqueo.usuario : null,
+      desde: bloqueo ? bloqueo.desde : null,
+      timestamp: new Date().toISOString()
+    };
+  };
+
+  const avisar = (mensaje) => colaboradores().forEach(({ ws }) => enviar(ws, mensaje));
+
+  const vigente = (entrada) => entrada && entrada.expira > Date.now();
+
+  // Aplicar un mensaje del broker; devuelve qué cambió ('presencia', 'bloqueo' o null)
+  const aplicar = ({ accion, recurso, conexion, usuario, desde }) => {
+    const expira = Date.now() + caducidad;
+
+    if (accion === 'entrar') {
+      if (!presencias.has(recurso)) {
+        presencias.set(recurso, new Map());
+      }
+      const nuevo = !presencias.get(recurso).has(conexion);
+      presencias.get(recurso).set(conexion, { usuario, expira });
+      return nuevo ? 'presencia' : null;
+    }
+
+    if (accion === 'salir') {
+      const eliminado = presencias.get(recurso)?.delete(conexion);
+      if (presencias.get(recurso)?.size === 0) {
+        presencias.delete(recurso);
+      }
+      return eliminado ? 'presencia' : null;
+    }
+
+    const actual = bloqueos.get(recurso);
+
+    if (accion === 'bloquear') {
+      if (vigente(actual) && actual.conexion === conexion) {
+        actual.expira = expira;
+        return null;
+      }
+
+      // Dos instancias pueden conceder el mismo bloqueo a la vez: todas se
+      // quedan con el más antiguo (y, a igualdad, con la conexión menor)
+      const gana = !vigente(actual) || desde < actual.desde ||
+        (desde === actual.desde && conexion < actual.conexion);
+      if (!gana) {
+        const local = conexiones.get(conexion);
+        if (local) {
+          enviar(local.ws, { ...mensajeBloqueo(recurso), type: 'bloqueo_denegado' });
+          local.bloqueados.delete(recurso);
+        }
+        return null;
+      }
+
+      if (vigente(actual)) {
+        conexiones.get(actual.conexion)?.bloqueados.delete(recurso);
+      }
+      bloqueos.set(recurso, { conexion, usuario, desde, expira });
+      return 'bloqueo';
+    }
+
+    if (accion === 'desbloquear' && actual && actual.conexion === conexion) {
+      bloqueos.delete(recurso);
+      return 'bloqueo';
+    }
+
+    return null;
+  };
+
+  const desuscribir = broker.subscribe(CANAL, (payload) => {
+    try {
+      const mensaje = JSON.parse(payload);
+      const cambio = aplicar(mensaje);
+
+      if (cambio === 'presencia') {
+        avisar(mensajePresencia(mensaje.recurso));
+      } else if (cambio === 'bloqueo') {
+        avisar(mensajeBloqueo(mensaje.recurso));
+      }
+    } catch (error) {
+      console.error('Error aplicando mensaje de colaboración:', error);
+    }
+  });
+
+  const publicar = (accion, conexion, recurso, extra = {}) => broker
+    .publish(CANAL, JSON.stringify({ accion, recurso, conexion: conexion.id, usuario: conexion.usuario, ...extra }))
+    .catch(error => console.error(`Error publicando ${accion} de ${recurso}:`, error));
+
+  // Renovar lo propio y descartar lo que ya no renueva nadie
+  const renovar = () => {
+    conexiones.forEach(conexion => {
+      conexion.recursos.forEach(recurso => publicar('entrar', conexion, recurso));
+      conexion.bloqueados.forEach(recurso => publicar('bloquear', conexion, recurso, {
+        desde: bloqueos.get(recurso)?.desde ?? Date.now()
+      }));
+    });
+
+    presencias.forEach((usuarios, recurso) => {
+      const antes = usuarios.size;
+      usuarios.forEach((entrada, conexion) => {
+        if (!vigente(entrada)) {
+          usuarios.delete(conexion);
+        }
+      });
+
+      if (usuarios.size !== antes) {
+        avisar(mensajePresencia(recurso));
+      }
+      if (usuarios.size === 0) {
+        presencias.delete(recurso);
+      }
+    });
+
+    bloqueos.forEach((bloqueo, recurso) => {
+      if (!vigente(bloqueo)) {
+        bloqueos.delete(recurso);
+        avisar(mensajeBloqueo(recurso));
+      }
+    });
+  };
+
+  const renovacion = setInterval(renovar, heartbeatInterval);
+  renovacion.unref();
+
+  // Mensajes de colaboración del cliente; responde el error y devuelve null si no es válido
+  const recursoDelMensaje = (conexion, { entidad, id }) => {
+    if (!conexion.usuario || !ROLES_COLABORACION.includes(conexion.usuario.rol)) {
+      enviar(conexion.ws, { type: 'error', message: 'No tiene permisos para colaborar en la edición' });
+      return null;
+    }
+
+    if (typeof entidad !== 'string' || !ENTIDAD_VALIDA.test(entidad) || !Number.isInteger(Number(id))) {
+      enviar(conexion.ws, { type: 'error', message: 'La entidad y el id son requeridos' });
+      return null;
+    }
+
+    return recursoDe(entidad, Number(id));
+  };
+
+  const acciones = {
+    suscribir: (conexion, mensaje) => {
+      conexion.client.filtros = parseFiltros(mensaje);
+      enviar(conexion.ws, { type: 'suscrito', filtros: conexion.client.filtros });
+    },
+
+    editar: (conexion, mensaje) => {
+      const recurso = recursoDelMensaje(conexion, mensaje);
+      if (recurso) {
+        conexion.recursos.add(recurso);
+        publicar('entrar', conexion, recurso);
+      }
+    },
+
+    dejar: (conexion, mensaje) => {
+      const recurso = recursoDelMensaje(conexion, mensaje);
+      if (recurso && conexion.recursos.delete(recurso)) {
+        publicar('salir', conexion, recurso);
+      }
+    },
+
+    bloquear: (conexion, mensaje) => {
+      const recurso = recursoDelMensaje(conexion, mensaje);
+      if (!recurso) {
+        return;
+      }
+
+      const actual = bloqueos.get(recurso);
+      if (vigente(actual) && actual.conexion !== conexion.id) {
+        return enviar(conexion.ws, { ...mensajeBloqueo(recurso), type: 'bloqueo_denegado' });
+      }
+
+      conexion.bloqueados.add(recurso);
+      publicar('bloquear', conexion, recurso, { desde: actual?.desde ?? Date.now() });
+    },
+
+    desbloquear: (conexion, mensaje) => {
+      const recurso = recursoDelMensaje(conexion, mensaje);
+      if (recurso && conexion.bloqueados.delete(recurso)) {
+        publicar('desbloquear', conexion, recurso);
+      }
+    },
+
+    ping: (conexion) => enviar(conexion.ws, { type: 'pong', timestamp: new Date().toISOString() })
+  };
+
+  const conectar = (ws, req, query) => {
+    let vivo = true;
+    ws.on('pong', () => { vivo = true; });
+
+    const client = {
+      filtros: parseFiltros(query),
+      enviar: (id, mensaje) => enviar(ws, id ? { id, ...mensaje } : mensaje),
+      // Sin respuesta al ping anterior, la conexión se da por muerta
+      latido: () => {
+        if (!vivo) {
+          return ws.terminate();
+        }
+        vivo = false;
+        ws.ping();
+      },
+      cerrar: () => ws.close(1001, 'Servidor detenido')
+    };
+
+    const usuario = req.user ? { id: req.user.id, nombre: req.user.nombre, rol: req.user.rol } : null;
+    events.conectar(client, Number(query.lastEventId))
+      .catch(error => console.error('Error conectando cliente WebSocket:', error));
+
+    const conexion = { id: client.id, ws, client, usuario, recursos: new Set(), bloqueados: new Set() };
+    conexiones.set(conexion.id, conexion);
+
+    if (usuario && ROLES_COLABORACION.includes(usuario.rol)) {
+      enviar(ws, {
+        type: 'colaboracion',
+        presencias: [...presencias.keys()].map(mensajePresencia),
+        bloqueos: [...bloqueos.keys()].map(mensajeBloqueo)
+      });
+    }
+
+    ws.on('message', (data) => {
+      let mensaje;
+      try {
+        mensaje = JSON.parse(data);
+      } catch (error) {
+        return enviar(ws, { type: 'error', message: 'El mensaje debe ser JSON' });
+      }
+
+      // Solo las acciones propias: "constructor" o "valueOf" no son mensajes
+      const tipo = mensaje && typeof mensaje === 'object' ? mensaje.type : undefined;
+      if (typeof tipo !== 'string' || !Object.hasOwn(acciones, tipo)) {
+        return enviar(ws, { type: 'error', message: `Tipo de mensaje no soportado: ${tipo}` });
+      }
+
+      // Un mensaje que no se puede atender no debe tumbar el servidor
+      try {
+        acciones[tipo](conexion, mensaje);
+      } catch (error) {
+        console.error(`Error atendiendo el mensaje WebSocket "${tipo}":`, error);
+        enviar(ws, { type: 'error', message: 'No se pudo procesar el mensaje' });
+      }
+    });
+
+    ws.on('close', () => {
+      conexion.recursos.forEach(recurso => publicar('salir', conexion, recurso));
+      conexion.bloqueados.forEach(recurso => publicar('desbloquear', conexion, recurso));
+      conexiones.delete(conexion.id);
+      events.desconectar(conexion.id);
+    });
+  };
+
+  // Atender el upgrade a WebSocket del servidor HTTP. El navegador no permite
+  // cabeceras en WebSocket, así que el token puede ir en ?token=
+  const attach = (server) => {
+    server.on('upgrade', (req, socket, head) => {
+      const url = new URL(req.url, 'http://localhost');
+
+      if (url.pathname !== RUTA) {
+        return socket.destroy();
+      }
+
+      const token = url.searchParams.get('token');
+      if (token && !req.headers.authorization) {
+        req.headers.authorization = `Bearer ${token}`;
+      }
+
+      auth.authenticate(req, null, (error) => {
+        if (error || req.authError) {
+          socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+          return;
+        }
+
+        wss.handleUpgrade(req, socket, head, ws => conectar(ws, req, Object.fromEntries(url.searchParams)));
+      });
+    });
+  };
+
+  const close = () => {
+    desuscribir();
+    clearInterval(renovacion);
+    wss.clients.forEach(ws => ws.close(1001, 'Servidor detenido'));
+  };
+
+  return { attach, close };
+};
+
+module.exports = { createWebSocketServer };
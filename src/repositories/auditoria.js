@@ -0,0 +1,62 @@
+const mapRow = (row) => ({
+  ...row,
+  antes: row.antes ? JSON.parse(row.antes) : null,
+  despues: row.despues ? JSON.parse(row.despues) : null
+});
+
+// Historial de cambios (tabla audit_log). antes/despues guardan el registro
+// completo en JSON; null en un alta (antes) o una baja (despues)
+const createAuditoriaRepository = (db) => ({
+  registrar: async ({ tabla, registroId, accion, antes, despues, actor, requestId }, executor = db) => {
+    const result = await executor.query(`
+      INSERT INTO audit_log (tabla, registro_id, accion, antes, despues, actor_id, actor_rol, request_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id
+    `, [
+      tabla,
+      registroId,
+      accion,
+      antes ? JSON.stringify(antes) : null,
+      despues ? JSON.stringify(despues) : null,
+      actor ? actor.id : null,
+      actor ? actor.rol : null,
+      requestId || null
+    ]);
+    return result.rows[0].id;
+  },
+
+  findById: async (id) => {
+    const result = await db.query('SELECT * FROM audit_log WHERE id = $1', [id]);
+    return result.rows[0] ? mapRow(result.rows[0]) : null;
+  },
+
+  // Filtros: tablas (array), registroId, actorId, requestId, accion, desde, hasta.
+  // Del más reciente al más antiguo
+  list: async (filtros = {}, limit = 100) => {
+    const conditions = [];
+    const params = [];
+    const add = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace(/\?/g, () => `$${params.length}`));
+    };
+
+    if (filtros.tablas && filtros.tablas.length > 0) {
+      conditions.push(`tabla IN (${filtros.tablas.map(tabla => { params.push(tabla); return `$${params.length}`; }).join(', ')})`);
+    }
+    if (filtros.registroId) add('registro_id = ?', filtros.registroId);
+    if (filtros.actorId) add('actor_id = ?', filtros.actorId);
+    if (filtros.requestId) add('request_id = ?', filtros.requestId);
+    if (filtros.accion) add('accion = ?', filtros.accion);
+    if (filtros.desde) add('fecha >= ?', filtros.desde);
+    if (filtros.hasta) add('fecha <= ?', filtros.hasta);
+
+    params.push(limit);
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await db.query(
+      `SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT $${params.length}`,
+      params
+    );
+    return result.rows.map(mapRow);
+  }
+});
+
+module.exports = { createAuditoriaRepository };
@@ -0,0 +1,233 @@
+const { MARCA_INICIO, MARCA_FIN, terminos, resaltar } = require('../utils/busqueda');
+
+// Índices de las migraciones 016, 017 y 023; cada uno se llama como la tabla de la
+// que sale y comparte sus ids.
+//   columnas  columnas del índice y su peso en la relevancia
+//   visible   condición sobre el registro (alias e) para que aparezca
+//   resumen   SELECT de id, titulo y subtitulo para la búsqueda global
+const INDICES = {
+  ciudades: {
+    columnas: [['nombre', 10]],
+    visible: 'e.deleted_at IS NULL',
+    resumen: 'SELECT id, nombre AS titulo, NULL AS subtitulo FROM ciudades'
+  },
+  patrocinadores: {
+    columnas: [['nombre', 10], ['representante', 5]],
+    visible: 'e.deleted_at IS NULL',
+    resumen: 'SELECT id, nombre AS titulo, representante AS subtitulo FROM patrocinadores'
+  },
+  restaurantes: {
+    columnas: [
+      ['nombre_mostrar', 10], ['nombre_oficial', 10], ['representante', 5], ['resena', 2], ['propuestas', 2],
+      ['ciudad', 4], ['sedes', 4]
+    ],
+    visible: 'e.deleted_at IS NULL',
+    resumen: `
+      SELECT r.id, r.nombre_mostrar AS titulo, c.nombre AS subtitulo
+      FROM restaurantes r
+      LEFT JOIN ciudades c ON c.id = r.ciudad_id AND c.deleted_at IS NULL`
+  },
+  sedes: {
+    columnas: [['nombre', 10], ['direccion', 4], ['barrio', 4]],
+    visible: 'EXISTS (SELECT 1 FROM restaurantes r WHERE r.id = e.restaurante_id AND r.deleted_at IS NULL)',
+    resumen: `
+      SELECT s.id, s.nombre AS titulo, r.nombre_mostrar AS subtitulo, s.restaurante_id
+      FROM sedes s
+      JOIN restaurantes r ON r.id = s.restaurante_id`
+  }
+};
+
+// Palabras del fragmento alrededor de los términos encontrados
+const PALABRAS_FRAGMENTO = 16;
+
+// Erratas admitidas según la longitud del término
+const tolerancia = (termino) => (termino.length >= 8 ? 2 : termino.length >= 4 ? 1 : 0);
+
+const MAXIMO_ALTERNATIVAS = 5;
+
+// Distancia de edición entre dos términos (Damerau, alineamiento óptimo): dos
+// letras contiguas intercambiadas cuentan como una errata ("coicna" → "cocina")
+const distancia = (a, b) => {
+  let antepenultima = [];
+  let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const actual = [i];
+    for (let j = 1; j <= b.length; j++) {
+      actual[j] = Math.min(anterior[j] + 1, actual[j - 1] + 1, anterior[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        actual[j] = Math.min(actual[j], antepenultima[j - 2] + 1);
+      }
+    }
+    antepenultima = anterior;
+    anterior = actual;
+  }
+  return anterior[b.length];
+};
+
+// PostgreSQL: todos los términos como prefijos sobre el tsvector (sin
+// importar el orden) o, para las erratas, el texto parecido al nombre por
+// trigramas. Relevancia: ts_rank_cd más la similitud del nombre
+const postgres = {
+  consulta: async (db, indice, q) => ({
+    desde: `
+      FROM busqueda_${indice} b
+      JOIN ${indice} e ON e.id = b.id AND ${INDICES[indice].visible}
+      CROSS JOIN (
+        SELECT to_tsquery('es_sin_acentos', $1) AS consulta, busqueda_sin_acentos(LOWER($2)) AS plano
+      ) q
+      WHERE b.documento @@ q.consulta OR q.plano <% b.nombre_plano`,
+    params: [terminos(q).map(termino => `${termino}:*`).join(' & '), q]
+  }),
+
+  // El fragmento se calcula solo para las filas devueltas
+  buscar: async (db, indice, { desde, params }, limit, rapida) => {
+    const seleccion = `
+      SELECT b.id, ts_rank_cd(b.documento, q.consulta) + word_similarity(q.plano, b.nombre_plano) AS relevancia,
+        concat_ws(' · ', ${INDICES[indice].columnas.map(([columna]) => `b.${columna}`).join(', ')}) AS texto
+      ${desde}
+      ORDER BY relevancia DESC, b.id
+      LIMIT $3`;
+
+    if (rapida) {
+      return (await db.query(seleccion, [...params, limit])).rows;
+    }
+
+    const opciones = [
+      `StartSel=${MARCA_INICIO}`, `StopSel=${MARCA_FIN}`, `MaxWords=${PALABRAS_FRAGMENTO}`,
+      'MinWords=6', 'MaxFragments=2', 'FragmentDelimiter=" … "'
+    ].join(', ');
+    const result = await db.query(`
+      SELECT
+        encontrados.id,
+        encontrados.relevancia,
+        ts_headline('es_sin_acentos', encontrados.texto, to_tsquery('es_sin_acentos', $1), $4) AS fragmento
+      FROM (${seleccion}) encontrados
+      ORDER BY encontrados.relevancia DESC, encontrados.id
+    `, [...params, limit, opciones]);
+    return result.rows;
+  }
+};
+
+// SQLite: FTS5 con todos los términos como prefijos. Un término que no es
+// prefijo de ninguna palabra indexada se busca también como las palabras del
+// vocabulario a poca distancia de edición (salvo en la búsqueda rápida).
+// Relevancia: bm25 con los pesos de INDICES (en FTS5, cuanto menor, mejor)
+const sqlite = {
+  consulta: async (db, indice, q, rapida) => {
+    const vocabulario = `busqueda_${indice}_vocab`;
+    const partes = [];
+
+    for (const termino of terminos(q)) {
+      const maximo = rapida ? 0 : tolerancia(termino);
+      let alternativas = [];
+
+      const prefijo = maximo > 0 && await db.query(
+        `SELECT 1 FROM ${vocabulario} WHERE term >= $1 AND term < $2 LIMIT 1`,
+        [termino, `${termino}\u{10FFFF}`]
+      );
+
+      if (prefijo && prefijo.rows.length === 0) {
+        const candidatos = await db.query(
+          `SELECT term FROM ${vocabulario} WHERE length(term) BETWEEN $1 AND $2`,
+          [termino.length - maximo, termino.length + maximo]
+        );
+        alternativas = candidatos.rows
+          .map(({ term }) => ({ term, distancia: distancia(termino, term) }))
+          .filter(candidato => candidato.distancia <= maximo)
+          .sort((a, b) => a.distancia - b.distancia)
+          .slice(0, MAXIMO_ALTERNATIVAS)
+          .map(({ term }) => `"${term}"`);
+      }
+
+      partes.push(alternativas.length > 0 ? `("${termino}"* OR ${alternativas.join(' OR ')})` : `"${termino}"*`);
+    }
+
+    const tabla = `busqueda_${indice}`;
+    return {
+      desde: `
+        FROM ${tabla}
+        JOIN ${indice} e ON e.id = ${tabla}.rowid AND ${INDICES[indice].visible}
+        WHERE ${tabla} MATCH $1`,
+      params: [partes.join(' AND ')]
+    };
+  },
+
+  buscar: async (db, indice, { desde, params }, limit, rapida) => {
+    const tabla = `busqueda_${indice}`;
+    const pesos = INDICES[indice].columnas.map(([, peso]) => peso).join(', ');
+    const fragmento = rapida ? 'NULL' : `snippet(${tabla}, -1, $3, $4, '…', ${PALABRAS_FRAGMENTO})`;
+    const result = await db.query(`
+      SELECT ${tabla}.rowid AS id, -bm25(${tabla}, ${pesos}) AS relevancia, ${fragmento} AS fragmento
+      ${desde}
+      ORDER BY relevancia DESC, id
+      LIMIT $2
+    `, rapida ? [...params, limit] : [...params, limit, MARCA_INICIO, MARCA_FIN]);
+    return result.rows;
+  }
+};
+
+// Búsqueda de texto completo sobre los índices de busqueda_*: sin distinguir
+// mayúsculas ni tildes, en cualquier orden, con prefijos y erratas leves.
+// "rapida" (autocompletado) omite el fragmento y, en SQLite, las erratas
+const createBusquedaRepository = (db) => {
+  const motor = db.dialect.name === 'postgres' ? postgres : sqlite;
+
+  const consulta = (indice, q, rapida) => {
+    if (!INDICES[indice]) {
+      throw new Error(`Índice de búsqueda desconocido: ${indice}`);
+    }
+    return motor.consulta(db, indice, q, rapida);
+  };
+
+  return {
+    // [{ id, relevancia, fragmento }] de más a menos relevante; el fragmento
+    // viene escapado con los términos en <mark>
+    buscar: async (indice, q, { limit = 20, rapida = false } = {}) => {
+      if (terminos(q).length === 0) {
+        return [];
+      }
+
+      const rows = await motor.buscar(db, indice, await consulta(indice, q, rapida), limit, rapida);
+      return rows.map(row => ({
+        id: Number(row.id),
+        relevancia: Number(row.relevancia),
+        fragmento: resaltar(row.fragmento)
+      }));
+    },
+
+    // Número total de registros que encuentra la búsqueda
+    contar: async (indice, q) => {
+      if (terminos(q).length === 0) {
+        return 0;
+      }
+
+      const { desde, params } = await consulta(indice, q, false);
+      const result = await db.query(`SELECT COUNT(*) AS total ${desde}`, params);
+      return Number(result.rows[0].total);
+    },
+
+    // { id, titulo, subtitulo } de los registros indicados (las sedes añaden restaurante_id)
+    resumir: async (indice, ids) => {
+      if (ids.length === 0) {
+        return [];
+      }
+
+      const result = await db.query(
+        `SELECT * FROM (${INDICES[indice].resumen}) resumen WHERE resumen.id IN (${ids.map((_, i) => `$${i + 1}`).join(', ')})`,
+        ids
+      );
+      return result.rows;
+    }
+  };
+};
+
+// Registros completos en el orden de los resultados, con su relevancia y fragmento
+const unirResultados = (resultados, rows) => {
+  const porId = new Map(rows.map(row => [Number(row.id), row]));
+  return resultados
+    .filter(({ id }) => porId.has(id))
+    .map(({ id, relevancia, fragmento }) => ({ ...porId.get(id), relevancia, fragmento }));
+};
+
+module.exports = { createBusquedaRepository, unirResultados };
@@ -0,0 +1,116 @@
+const { enTransaccion } = require('../utils/transacciones');
+
+// Campos que un propietario puede modificar desde el portal
+const CAMPOS_PROPIETARIO = ['breve_resena', 'sede_horario', 'propuestas', 'logo'];
+
+const SELECT_CAMBIOS = `
+  SELECT
+    cr.*,
+    r.nombre_mostrar as restaurante_nombre,
+    u.email as usuario_email
+  FROM cambios_restaurantes cr
+  JOIN restaurantes r ON cr.restaurante_id = r.id
+  LEFT JOIN usuarios u ON cr.usuario_id = u.id
+`;
+
+const mapRow = (row) => ({ ...row, cambios: JSON.parse(row.cambios) });
+
+// Cambios de restaurantes propuestos por propietarios y su revisión
+const createCambiosRestaurantesRepository = (db) => {
+  const findById = async (id, executor = db) => {
+    const result = await executor.query(`${SELECT_CAMBIOS} WHERE cr.id = $1`, [id]);
+    return result.rows[0] ? mapRow(result.rows[0]) : null;
+  };
+
+  const findPendiente = async (restauranteId, executor = db) => {
+    const result = await executor.query(
+      `${SELECT_CAMBIOS} WHERE cr.restaurante_id = $1 AND cr.estado = 'pendiente'`,
+      [restauranteId]
+    );
+    return result.rows[0] ? mapRow(result.rows[0]) : null;
+  };
+
+  // Marca la revisión de un cambio pendiente; null si no existe o ya se revisó
+  const revisar = async (tx, id, estado, revisorId, motivo = null) => {
+    const result = await tx.query(`
+      UPDATE cambios_restaurantes
+      SET estado = $1, revisado_por = $2, motivo_rechazo = $3, fecha_revision = CURRENT_TIMESTAMP, version = version + 1
+      WHERE id = $4 AND estado = 'pendiente'
+      RETURNING *
+    `, [estado, revisorId, motivo, id]);
+    return result.rows[0] ? mapRow(result.rows[0]) : null;
+  };
+
+  return {
+    findById,
+    findPendiente,
+
+    list: async ({ estado, restauranteId } = {}) => {
+      const conditions = [];
+      const params = [];
+
+      if (estado) {
+        params.push(estado);
+        conditions.push(`cr.estado = $${params.length}`);
+      }
+      if (restauranteId) {
+        params.push(restauranteId);
+        conditions.push(`cr.restaurante_id = $${params.length}`);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const result = await db.query(`${SELECT_CAMBIOS} ${where} ORDER BY cr.fecha_creacion DESC, cr.id DESC`, params);
+      return result.rows.map(mapRow);
+    },
+
+    // Hay como máximo un cambio pendiente por restaurante: los nuevos envíos se fusionan con él
+    proponer: async (restauranteId, usuarioId, cambios) => {
+      const id = await db.transaction(async (tx) => {
+        const pendiente = await findPendiente(restauranteId, tx);
+
+        if (pendiente) {
+          await tx.query(
+            `UPDATE cambios_restaurantes SET cambios = $1, usuario_id = $2, fecha_creacion = CURRENT_TIMESTAMP,
+              version = version + 1 WHERE id = $3`,
+            [JSON.stringify({ ...pendiente.cambios, ...cambios }), usuarioId, pendiente.id]
+          );
+          return pendiente.id;
+        }
+
+        const result = await tx.query(
+          'INSERT INTO cambios_restaurantes (restaurante_id, usuario_id, cambios) VALUES ($1, $2, $3) RETURNING id',
+          [restauranteId, usuarioId, JSON.stringify(cambios)]
+        );
+        return result.rows[0].id;
+      });
+
+      return findById(id);
+    },
+
+    // Aplica los campos propuestos al restaurante y marca el cambio como
+    // aprobado, en la transacción de quien llama si la recibe
+    aprobar: async (id, revisorId, executor) => enTransaccion(db, executor, async (tx) => {
+      const cambio = await revisar(tx, id, 'aprobado', revisorId);
+      if (!cambio) {
+        return null;
+      }
+
+      const campos = Object.keys(cambio.cambios).filter(campo => CAMPOS_PROPIETARIO.includes(campo));
+      if (campos.length > 0) {
+        const assignments = campos.map((campo, i) => `${campo} = $${i + 1}`).join(', ');
+        await tx.query(
+          `UPDATE restaurantes SET ${assignments}, version = version + 1 WHERE id = $${campos.length + 1}`,
+          [...campos.map(campo => cambio.cambios[campo]), cambio.restaurante_id]
+        );
+      }
+
+      return cambio;
+    }),
+
+    rechazar: async (id, revisorId, motivo) => db.transaction(
+      (tx) => revisar(tx, id, 'rechazado', revisorId, motivo)
+    )
+  };
+};
+
+module.exports = { createCambiosRestaurantesRepository, CAMPOS_PROPIETARIO };
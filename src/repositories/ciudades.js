@@ -0,0 +1,189 @@
+const { conVersion } = require('../utils/concurrencia');
+const { createBusquedaRepository, unirResultados } = require('./busqueda');
+const { finDelDia, clausulasPagina, resultadoPagina } = require('../utils/listados');
+const { enTransaccion } = require('../utils/transacciones');
+
+// Campos por los que se puede ordenar el listado (todos con índice)
+const ORDENABLES = ['id', 'nombre', 'fecha_creacion'];
+
+// Acceso a datos de ciudades. Las eliminadas quedan en la papelera
+// (deleted_at) y no aparecen en las consultas salvo en las de papelera. Las
+// escrituras aceptan la transacción de quien llama (ver utils/transacciones)
+const createCiudadesRepository = (db) => {
+  const busqueda = createBusquedaRepository(db);
+
+  return {
+    // Filtros: creado_desde, creado_hasta. pagina viene de utils/listados
+    // (parsePagina); devuelve { items, total, hayMas }
+    list: async (filtros = {}, pagina = { campo: 'fecha_creacion', desc: true }) => {
+      const conditions = ['deleted_at IS NULL'];
+      const params = [];
+      const add = (sql, value) => {
+        params.push(value);
+        conditions.push(sql.replace(/\?/g, () => `$${params.length}`));
+      };
+
+      if (filtros.creado_desde) add('fecha_creacion >= ?', filtros.creado_desde);
+      if (filtros.creado_hasta) add('fecha_creacion <= ?', finDelDia(filtros.creado_hasta));
+
+      const total = await db.query(`SELECT COUNT(*) as total FROM ciudades WHERE ${conditions.join(' AND ')}`, [...params]);
+      const { columnaCursor, orderBy, limite } = clausulasPagina(pagina, { columna: pagina.campo, id: 'id' }, conditions, params);
+      const result = await db.query(
+        `SELECT *${columnaCursor} FROM ciudades WHERE ${conditions.join(' AND ')} ${orderBy}${limite}`,
+        params
+      );
+      return resultadoPagina(pagina, result.rows, Number(total.rows[0].total));
+    },
+
+    findById: async (id, executor = db) => {
+      const result = await executor.query('SELECT * FROM ciudades WHERE id = $1 AND deleted_at IS NULL', [id]);
+      return result.rows[0] || null;
+    },
+
+    // Búsqueda de texto completo (ver ./busqueda) con relevancia y fragmento
+    search: async (q, { limit } = {}) => {
+      const resultados = await busqueda.buscar('ciudades', q, { limit });
+      if (resultados.length === 0) {
+        return [];
+      }
+
+      const ids = resultados.map(({ id }) => id);
+      const result = await db.query(
+        `SELECT * FROM ciudades WHERE id IN (${ids.map((_, i) => `$${i + 1}`).join(', ')})`,
+        ids
+      );
+      return unirResultados(resultados, result.rows);
+    },
+
+    // latitud y longitud son opcionales. Con "id" vuelve a crear una ciudad
+    // eliminada con su id original (ver routes/auditoria)
+    create: async ({ nombre, latitud = null, longitud = null }, { id } = {}, executor = db) => {
+      const result = id
+        ? await executor.query('INSERT INTO ciudades (id, nombre, latitud, longitud) VALUES ($1, $2, $3, $4) RETURNING *', [id, nombre, latitud, longitud])
+        : await executor.query('INSERT INTO ciudades (nombre, latitud, longitud) VALUES ($1, $2, $3) RETURNING *', [nombre, latitud, longitud]);
+      return result.rows[0];
+    },
+
+    // Devuelve null si la ciudad no existe o no está en la versión indicada
+    update: async (id, { nombre, latitud = null, longitud = null }, { version } = {}, executor = db) => {
+      const params = [nombre, latitud, longitud, id];
+      const result = await executor.query(
+        `UPDATE ciudades SET nombre = $1, latitud = $2, longitud = $3, version = version + 1 WHERE id = $4 AND deleted_at IS NULL${conVersion(version, params)} RETURNING *`,
+        params
+      );
+      return result.rows[0] || null;
+    },
+
+    // Bloquear hasta el final de la transacción tx las ciudades de "ids" fuera
+    // de la papelera, que devuelve: mientras, nadie puede asociarles
+    // restaurantes ni patrocinadores (la clave foránea espera al bloqueo). En
+    // orden de id para que dos bajas simultáneas no se interbloqueen
+    bloquear: async (ids, tx) => {
+      const result = await tx.query(
+        `SELECT * FROM ciudades WHERE id IN (${ids.map((_, i) => `$${i + 1}`).join(', ')}) AND deleted_at IS NULL
+        ORDER BY id ${db.dialect.forUpdate}`,
+        ids
+      );
+      return result.rows;
+    },
+
+    // Ids de "ids" sin ciudad fuera de la papelera
+    inexistentes: async (ids, executor = db) => {
+      if (ids.length === 0) {
+        return [];
+      }
+      const result = await executor.query(
+        `SELECT id FROM ciudades WHERE id IN (${ids.map((_, i) => `$${i + 1}`).join(', ')}) AND deleted_at IS NULL`,
+        ids
+      );
+      const existentes = result.rows.map(row => Number(row.id));
+      return ids.filter(id => !existentes.includes(Number(id)));
+    },
+
+    // Restaurantes y patrocinadores (fuera de la papelera) que apuntan a la ciudad
+    dependencias: async (id, executor = db) => {
+      const restaurantes = await executor.query(`
+        SELECT id, nombre_oficial, nombre_mostrar FROM restaurantes
+        WHERE ciudad_id = $1 AND deleted_at IS NULL
+        ORDER BY nombre_mostrar
+      `, [id]);
+      const patrocinadores = await executor.query(`
+        SELECT p.id, p.nombre FROM patrocinadores p
+        JOIN patrocinadores_ciudades pc ON pc.patrocinador_id = p.id
+        WHERE pc.ciudad_id = $1 AND p.deleted_at IS NULL
+        ORDER BY p.nombre
+      `, [id]);
+      return { restaurantes: restaurantes.rows, patrocinadores: patrocinadores.rows };
+    },
+
+    // Envía la ciudad a la papelera. Con reasignarA, sus restaurantes y
+    // patrocinadores pasan antes a esa ciudad en la misma transacción; si no, siguen
+    // apuntando a ella y la recuperan al restaurarla. Devuelve false si no
+    // existe o no está en la versión indicada
+    remove: (id, { version, reasignarA } = {}, executor) => enTransaccion(db, executor, async (tx) => {
+      const params = [id];
+      const result = await tx.query(
+        `UPDATE ciudades SET deleted_at = CURRENT_TIMESTAMP, version = version + 1 WHERE id = $1 AND deleted_at IS NULL${conVersion(version, params)}`,
+        params
+      );
+
+      if (result.rowCount === 0 || !reasignarA) {
+        return result.rowCount > 0;
+      }
+
+      await tx.query(
+        'UPDATE restaurantes SET ciudad_id = $2, version = version + 1 WHERE ciudad_id = $1 AND deleted_at IS NULL',
+        [id, reasignarA]
+      );
+
+      // Los patrocinadores de la papelera conservan la ciudad para cuando se restauren
+      const patrocinadores = 'SELECT id FROM patrocinadores WHERE deleted_at IS NULL';
+      await tx.query(`
+        UPDATE patrocinadores SET version = version + 1
+        WHERE deleted_at IS NULL AND id IN (SELECT patrocinador_id FROM patrocinadores_ciudades WHERE ciudad_id = $1)
+      `, [id]);
+      await tx.query(`
+        INSERT INTO patrocinadores_ciudades (patrocinador_id, ciudad_id)
+        SELECT patrocinador_id, $2 FROM patrocinadores_ciudades
+        WHERE ciudad_id = $1 AND patrocinador_id IN (${patrocinadores})
+        ON CONFLICT (patrocinador_id, ciudad_id) DO NOTHING
+      `, [id, reasignarA]);
+      await tx.query(
+        `DELETE FROM patrocinadores_ciudades WHERE ciudad_id = $1 AND patrocinador_id IN (${patrocinadores})`,
+        [id]
+      );
+      return true;
+    }),
+
+    listPapelera: async () => {
+      const result = await db.query('SELECT * FROM ciudades WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC');
+      return result.rows;
+    },
+
+    findEnPapelera: async (id) => {
+      const result = await db.query('SELECT * FROM ciudades WHERE id = $1 AND deleted_at IS NOT NULL', [id]);
+      return result.rows[0] || null;
+    },
+
+    // Sacar de la papelera; devuelve null si no estaba en ella
+    restaurar: async (id, executor = db) => {
+      const result = await executor.query(
+        'UPDATE ciudades SET deleted_at = NULL, version = version + 1 WHERE id = $1 AND deleted_at IS NOT NULL RETURNING *',
+        [id]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Borrado definitivo de lo que lleva en la papelera más de "dias" días
+    // (en cascada los enlaces con patrocinadores); devuelve las filas purgadas
+    purgar: async (dias, executor = db) => {
+      const result = await executor.query(
+        `DELETE FROM ciudades WHERE deleted_at IS NOT NULL AND deleted_at < ${db.dialect.daysAgo('$1')} RETURNING *`,
+        [dias]
+      );
+      return result.rows;
+    }
+  };
+};
+
+module.exports = { createCiudadesRepository, ORDENABLES };
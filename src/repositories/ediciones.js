@@ -0,0 +1,85 @@
+// Columnas editables de ediciones, en el orden de los parámetros SQL
+const COLUMNS = ['nombre', 'anio', 'ciudad_id', 'fecha_inicio', 'fecha_fin', 'estado'];
+
+const SELECT_EDICIONES = `
+  SELECT
+    e.*,
+    c.nombre as ciudad_nombre,
+    (SELECT COUNT(*) FROM participaciones p
+      WHERE p.edicion_id = e.id AND p.estado = 'inscrito') as total_participantes
+  FROM ediciones e
+  LEFT JOIN ciudades c ON e.ciudad_id = c.id
+`;
+
+// COUNT(*) llega como string desde pg
+const mapRow = (row) => ({ ...row, total_participantes: Number(row.total_participantes) });
+
+const fieldsToParams = (fields) => [
+  fields.nombre.trim(),
+  Number(fields.anio),
+  fields.ciudad_id || null,
+  fields.fecha_inicio || null,
+  fields.fecha_fin || null,
+  fields.estado || 'planificada'
+];
+
+// Acceso a datos de ediciones del festival
+const createEdicionesRepository = (db) => {
+  const findById = async (id) => {
+    const result = await db.query(`${SELECT_EDICIONES} WHERE e.id = $1`, [id]);
+    return result.rows[0] ? mapRow(result.rows[0]) : null;
+  };
+
+  return {
+    findById,
+
+    list: async ({ anio, ciudadId, estado } = {}) => {
+      const conditions = [];
+      const params = [];
+
+      if (anio) {
+        params.push(Number(anio));
+        conditions.push(`e.anio = $${params.length}`);
+      }
+      if (ciudadId) {
+        params.push(ciudadId);
+        conditions.push(`e.ciudad_id = $${params.length}`);
+      }
+      if (estado) {
+        params.push(estado);
+        conditions.push(`e.estado = $${params.length}`);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const result = await db.query(`${SELECT_EDICIONES} ${where} ORDER BY e.anio DESC, e.nombre`, params);
+      return result.rows.map(mapRow);
+    },
+
+    create: async (fields) => {
+      const placeholders = COLUMNS.map((_, i) => `$${i + 1}`).join(', ');
+      const result = await db.query(
+        `INSERT INTO ediciones (${COLUMNS.join(', ')}) VALUES (${placeholders}) RETURNING id`,
+        fieldsToParams(fields)
+      );
+      return findById(result.rows[0].id);
+    },
+
+    // Devuelve null si la edición no existe
+    update: async (id, fields) => {
+      const assignments = COLUMNS.map((column, i) => `${column} = $${i + 1}`).join(', ');
+      const result = await db.query(
+        `UPDATE ediciones SET ${assignments}, version = version + 1 WHERE id = $${COLUMNS.length + 1} RETURNING id`,
+        [...fieldsToParams(fields), id]
+      );
+      return result.rows.length > 0 ? findById(id) : null;
+    },
+
+    // Devuelve false si la edición no existe
+    remove: async (id) => {
+      const result = await db.query('DELETE FROM ediciones WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    }
+  };
+};
+
+module.exports = { createEdicionesRepository };
@@ -0,0 +1,50 @@
+// Registro persistente de los eventos enviados por SSE. "datos" guarda el
+// mensaje completo ({ type, data, timestamp }) tal como se difundió.
+const createEventosRepository = (db) => ({
+  // Devuelve el id asignado al evento
+  append: async (tipo, mensaje) => {
+    const result = await db.query(
+      'INSERT INTO eventos (tipo, datos) VALUES ($1, $2) RETURNING id',
+      [tipo, JSON.stringify(mensaje)]
+    );
+    return { id: Number(result.rows[0].id) };
+  },
+
+  findById: async (id) => {
+    const result = await db.query('SELECT id, tipo, datos FROM eventos WHERE id = $1', [id]);
+    const row = result.rows[0];
+    return row ? { id: Number(row.id), tipo: row.tipo, mensaje: JSON.parse(row.datos) } : null;
+  },
+
+  // Eventos posteriores a un id, en orden
+  listAfter: async (id, limit) => {
+    const result = await db.query(
+      'SELECT id, tipo, datos FROM eventos WHERE id > $1 ORDER BY id LIMIT $2',
+      [id, limit]
+    );
+    return result.rows.map(row => ({ id: Number(row.id), tipo: row.tipo, mensaje: JSON.parse(row.datos) }));
+  },
+
+  // Id más antiguo que sigue en el registro; null si está vacío
+  oldestId: async () => {
+    const result = await db.query('SELECT MIN(id) as id FROM eventos');
+    return result.rows[0].id === null ? null : Number(result.rows[0].id);
+  },
+
+  // Id más reciente del registro; 0 si está vacío
+  latestId: async () => {
+    const result = await db.query('SELECT MAX(id) as id FROM eventos');
+    return result.rows[0].id === null ? 0 : Number(result.rows[0].id);
+  },
+
+  // Conserva solo los últimos "maximo" eventos
+  purge: async (maximo) => {
+    const result = await db.query(
+      'DELETE FROM eventos WHERE id <= (SELECT MAX(id) FROM eventos) - $1',
+      [maximo]
+    );
+    return result.rowCount;
+  }
+});
+
+module.exports = { createEventosRepository };
@@ -0,0 +1,36 @@
+const { createAuditoriaRepository } = require('./auditoria');
+const { createBusquedaRepository } = require('./busqueda');
+const { createCambiosRestaurantesRepository } = require('./cambiosRestaurantes');
+const { createCiudadesRepository } = require('./ciudades');
+const { createEdicionesRepository } = require('./ediciones');
+const { createEventosRepository } = require('./eventos');
+const { createParticipacionesRepository } = require('./participaciones');
+const { createPatrocinadoresRepository } = require('./patrocinadores');
+const { createPremiosRepository } = require('./premios');
+const { createPropuestasRepository } = require('./propuestas');
+const { createReservasRepository } = require('./reservas');
+const { createRestaurantesRepository } = require('./restaurantes');
+const { createSedesRepository } = require('./sedes');
+const { createUsuariosRepository } = require('./usuarios');
+const { createVotacionesRepository } = require('./votaciones');
+
+// Repositorios de todas las entidades sobre un mismo driver
+const createRepositories = (db) => ({
+  auditoria: createAuditoriaRepository(db),
+  busqueda: createBusquedaRepository(db),
+  cambiosRestaurantes: createCambiosRestaurantesRepository(db),
+  ciudades: createCiudadesRepository(db),
+  ediciones: createEdicionesRepository(db),
+  eventos: createEventosRepository(db),
+  participaciones: createParticipacionesRepository(db),
+  patrocinadores: createPatrocinadoresRepository(db),
+  premios: createPremiosRepository(db),
+  propuestas: createPropuestasRepository(db),
+  reservas: createReservasRepository(db),
+  restaurantes: createRestaurantesRepository(db),
+  sedes: createSedesRepository(db),
+  usuarios: createUsuariosRepository(db),
+  votaciones: createVotacionesRepository(db)
+});
+
+module.exports = { createRepositories };
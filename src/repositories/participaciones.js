@@ -0,0 +1,84 @@
+// Participación de restaurantes en ediciones (inscripción y retiro)
+const createParticipacionesRepository = (db) => {
+  const find = async (edicionId, restauranteId, executor = db) => {
+    const result = await executor.query(
+      'SELECT * FROM participaciones WHERE edicion_id = $1 AND restaurante_id = $2',
+      [edicionId, restauranteId]
+    );
+    return result.rows[0] || null;
+  };
+
+  return {
+    find,
+
+    // Restaurantes de una edición; por defecto solo los inscritos
+    listByEdicion: async (edicionId, { incluirRetirados = false } = {}) => {
+      const result = await db.query(`
+        SELECT
+          p.id as participacion_id, p.estado as participacion_estado,
+          p.fecha_inscripcion, p.fecha_retiro,
+          r.id, r.nombre_oficial, r.nombre_mostrar, r.logo, r.ciudad_id,
+          c.nombre as ciudad_nombre
+        FROM participaciones p
+        JOIN restaurantes r ON p.restaurante_id = r.id
+        LEFT JOIN ciudades c ON r.ciudad_id = c.id
+        WHERE p.edicion_id = $1 ${incluirRetirados ? '' : "AND p.estado = 'inscrito'"}
+        ORDER BY r.nombre_mostrar
+      `, [edicionId]);
+      return result.rows;
+    },
+
+    // Historial de ediciones de un restaurante, de la más reciente a la más antigua
+    listByRestaurante: async (restauranteId) => {
+      const result = await db.query(`
+        SELECT
+          p.id as participacion_id, p.estado as participacion_estado,
+          p.fecha_inscripcion, p.fecha_retiro,
+          e.id, e.nombre, e.anio, e.ciudad_id, e.estado,
+          c.nombre as ciudad_nombre
+        FROM participaciones p
+        JOIN ediciones e ON p.edicion_id = e.id
+        LEFT JOIN ciudades c ON e.ciudad_id = c.id
+        WHERE p.restaurante_id = $1
+        ORDER BY e.anio DESC, e.nombre
+      `, [restauranteId]);
+      return result.rows;
+    },
+
+    // Inscribe (o reinscribe tras un retiro); null si ya estaba inscrito
+    inscribir: (edicionId, restauranteId) => db.transaction(async (tx) => {
+      const actual = await find(edicionId, restauranteId, tx);
+
+      if (actual && actual.estado === 'inscrito') {
+        return null;
+      }
+
+      if (actual) {
+        await tx.query(
+          `UPDATE participaciones SET estado = 'inscrito', fecha_inscripcion = CURRENT_TIMESTAMP, fecha_retiro = NULL,
+            version = version + 1 WHERE id = $1`,
+          [actual.id]
+        );
+      } else {
+        await tx.query(
+          'INSERT INTO participaciones (edicion_id, restaurante_id) VALUES ($1, $2)',
+          [edicionId, restauranteId]
+        );
+      }
+
+      return find(edicionId, restauranteId, tx);
+    }),
+
+    // Marca la participación como retirada; null si no estaba inscrito
+    retirar: async (edicionId, restauranteId) => {
+      const result = await db.query(`
+        UPDATE participaciones SET estado = 'retirado', fecha_retiro = CURRENT_TIMESTAMP, version = version + 1
+        WHERE edicion_id = $1 AND restaurante_id = $2 AND estado = 'inscrito'
+        RETURNING *
+      `, [edicionId, restauranteId]);
+      return result.rows[0] || null;
+    }
+  };
+};
+
+module.exports = { createParticipacionesRepository };
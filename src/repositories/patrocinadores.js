@@ -0,0 +1,286 @@
+const { conVersion } = require('../utils/concurrencia');
+const { createBusquedaRepository, unirResultados } = require('./busqueda');
+const { finDelDia, clausulasPagina, resultadoPagina } = require('../utils/listados');
+const { enTransaccion } = require('../utils/transacciones');
+
+// Campos por los que se puede ordenar el listado (todos con índice)
+const ORDENABLES = ['id', 'nombre', 'fecha_creacion'];
+
+// Consulta base de patrocinadores con sus ciudades agregadas (sin las que
+// están en la papelera). "extra" añade columnas al SELECT
+const selectWithCiudades = (dialect, where = '', extra = '') => `
+  SELECT
+    p.*${extra},
+    ${dialect.stringAgg('c.nombre')} as ciudades_nombres,
+    ${dialect.stringAgg('CAST(c.id AS TEXT)')} as ciudades_ids
+  FROM patrocinadores p
+  LEFT JOIN patrocinadores_ciudades pc ON p.id = pc.patrocinador_id
+  LEFT JOIN ciudades c ON pc.ciudad_id = c.id AND c.deleted_at IS NULL
+  ${where}
+  GROUP BY p.id
+`;
+
+// Convertir las columnas agregadas en arrays (vacíos si no hay ciudades)
+const mapRow = (row) => ({
+  ...row,
+  ciudades_nombres: row.ciudades_nombres ? row.ciudades_nombres.split(',') : [],
+  ciudades_ids: row.ciudades_ids ? row.ciudades_ids.split(',') : []
+});
+
+// Columnas editables de patrocinadores, en el orden de los parámetros SQL
+const COLUMNS = ['nombre', 'email', 'telefono', 'representante', 'logo_fondo_claro', 'logo_fondo_oscuro'];
+
+// Normalizar un valor de la petición al que se guarda (vacíos como NULL)
+const normalizeField = (value) => (typeof value === 'string' ? value.trim() || null : value ?? null);
+
+const fieldsToParams = (fields) => COLUMNS.map(column => normalizeField(fields[column]));
+
+const insertCiudades = async (tx, patrocinadorId, ciudadesIds) => {
+  if (ciudadesIds && ciudadesIds.length > 0) {
+    for (const ciudadId of ciudadesIds) {
+      await tx.query(
+        'INSERT INTO patrocinadores_ciudades (patrocinador_id, ciudad_id) VALUES ($1, $2)',
+        [patrocinadorId, ciudadId]
+      );
+    }
+  }
+};
+
+// Dejar exactamente las ciudades indicadas, sin tocar las que se mantienen.
+// Los enlaces con ciudades de la papelera no se ven, así que se conservan
+// para cuando la ciudad se restaure
+const syncCiudades = async (tx, patrocinadorId, ciudadesIds) => {
+  const nuevas = [...new Set((ciudadesIds || []).map(Number))];
+  const { rows } = await tx.query(`
+    SELECT pc.ciudad_id, c.deleted_at
+    FROM patrocinadores_ciudades pc
+    JOIN ciudades c ON pc.ciudad_id = c.id
+    WHERE pc.patrocinador_id = $1
+  `, [patrocinadorId]);
+  const actuales = rows.map(row => Number(row.ciudad_id));
+  const visibles = rows.filter(row => !row.deleted_at).map(row => Number(row.ciudad_id));
+
+  for (const ciudadId of visibles.filter(id => !nuevas.includes(id))) {
+    await tx.query(
+      'DELETE FROM patrocinadores_ciudades WHERE patrocinador_id = $1 AND ciudad_id = $2',
+      [patrocinadorId, ciudadId]
+    );
+  }
+  await insertCiudades(tx, patrocinadorId, nuevas.filter(id => !actuales.includes(id)));
+};
+
+// Incrementa la versión del patrocinador si existe y está en la indicada
+const nuevaVersion = async (tx, id, version) => {
+  const params = [id];
+  const result = await tx.query(
+    `UPDATE patrocinadores SET version = version + 1 WHERE id = $1 AND deleted_at IS NULL${conVersion(version, params)}`,
+    params
+  );
+  return result.rowCount > 0;
+};
+
+// Acceso a datos de patrocinadores y su relación con ciudades. Los eliminados
+// quedan en la papelera (deleted_at) y solo aparecen en las consultas de
+// papelera. Las escrituras aceptan la transacción de quien llama (ver
+// utils/transacciones)
+const createPatrocinadoresRepository = (db) => {
+  const busqueda = createBusquedaRepository(db);
+
+  const findById = async (id, executor = db) => {
+    const result = await executor.query(selectWithCiudades(db.dialect, 'WHERE p.id = $1 AND p.deleted_at IS NULL'), [id]);
+    return result.rows[0] ? mapRow(result.rows[0]) : null;
+  };
+
+  return {
+    findById,
+
+    // Filtros: ciudad_id, con_logo, creado_desde, creado_hasta. pagina viene de
+    // utils/listados (parsePagina); devuelve { items, total, hayMas }
+    list: async (filtros = {}, pagina = { campo: 'fecha_creacion', desc: true }) => {
+      const conditions = ['p.deleted_at IS NULL'];
+      const params = [];
+      const add = (sql, value) => {
+        params.push(value);
+        conditions.push(sql.replace(/\?/g, () => `$${params.length}`));
+      };
+
+      if (filtros.ciudad_id) {
+        add('EXISTS (SELECT 1 FROM patrocinadores_ciudades f WHERE f.patrocinador_id = p.id AND f.ciudad_id = ?)', filtros.ciudad_id);
+      }
+      if (filtros.con_logo !== undefined) {
+        const conLogo = "(COALESCE(p.logo_fondo_claro, '') <> '' OR COALESCE(p.logo_fondo_oscuro, '') <> '')";
+        conditions.push(filtros.con_logo ? conLogo : `NOT ${conLogo}`);
+      }
+      if (filtros.creado_desde) add('p.fecha_creacion >= ?', filtros.creado_desde);
+      if (filtros.creado_hasta) add('p.fecha_creacion <= ?', finDelDia(filtros.creado_hasta));
+
+      const total = await db.query(`SELECT COUNT(*) as total FROM patrocinadores p WHERE ${conditions.join(' AND ')}`, [...params]);
+      const { columnaCursor, orderBy, limite } = clausulasPagina(pagina, { columna: `p.${pagina.campo}`, id: 'p.id' }, conditions, params);
+      const result = await db.query(
+        `${selectWithCiudades(db.dialect, `WHERE ${conditions.join(' AND ')}`, columnaCursor)} ${orderBy}${limite}`,
+        params
+      );
+      return resultadoPagina(pagina, result.rows.map(mapRow), Number(total.rows[0].total));
+    },
+
+    // Búsqueda de texto completo (ver ./busqueda) con relevancia y fragmento
+    search: async (q, { limit } = {}) => {
+      const resultados = await busqueda.buscar('patrocinadores', q, { limit });
+      if (resultados.length === 0) {
+        return [];
+      }
+
+      const ids = resultados.map(({ id }) => id);
+      const result = await db.query(
+        selectWithCiudades(db.dialect, `WHERE p.id IN (${ids.map((_, i) => `$${i + 1}`).join(', ')})`),
+        ids
+      );
+      return unirResultados(resultados, result.rows.map(mapRow));
+    },
+
+    // Con "id" vuelve a crear un patrocinador eliminado con su id original
+    create: async (fields, { id: idOriginal } = {}, executor) => {
+      const columnas = idOriginal ? ['id', ...COLUMNS] : COLUMNS;
+      const params = idOriginal ? [idOriginal, ...fieldsToParams(fields)] : fieldsToParams(fields);
+      const patrocinadorId = await enTransaccion(db, executor, async (tx) => {
+        const result = await tx.query(
+          `INSERT INTO patrocinadores (${columnas.join(', ')}) VALUES (${columnas.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+          params
+        );
+
+        const id = result.rows[0].id;
+        await insertCiudades(tx, id, fields.ciudades_ids);
+        return id;
+      });
+
+      return findById(patrocinadorId, executor);
+    },
+
+    // Reemplaza los datos y las ciudades asociadas; devuelve null si no existe
+    // o no está en la versión indicada
+    update: async (id, fields, { version } = {}, executor) => {
+      const updated = await enTransaccion(db, executor, async (tx) => {
+        const params = [...fieldsToParams(fields), id];
+        const result = await tx.query(
+          `UPDATE patrocinadores SET nombre = $1, email = $2, telefono = $3, representante = $4, logo_fondo_claro = $5, logo_fondo_oscuro = $6, version = version + 1 WHERE id = $7 AND deleted_at IS NULL${conVersion(version, params)} RETURNING *`,
+          params
+        );
+
+        if (result.rows.length === 0) {
+          return false;
+        }
+
+        await syncCiudades(tx, id, fields.ciudades_ids);
+        return true;
+      });
+
+      return updated ? findById(id, executor) : null;
+    },
+
+    // Actualización parcial (JSON Merge Patch): solo cambian las columnas
+    // presentes en "cambios"; ciudades_ids, si se envía, sustituye la lista
+    // (null la vacía). Devuelve null si no existe o no está en la versión indicada
+    patch: async (id, cambios, { version } = {}, executor) => {
+      const columnas = COLUMNS.filter(column => cambios[column] !== undefined);
+      const assignments = columnas.map((column, i) => `${column} = $${i + 1}, `).join('');
+      const updated = await enTransaccion(db, executor, async (tx) => {
+        const params = [...columnas.map(column => normalizeField(cambios[column])), id];
+        const result = await tx.query(
+          `UPDATE patrocinadores SET ${assignments}version = version + 1 WHERE id = $${params.length} AND deleted_at IS NULL${conVersion(version, params)} RETURNING id`,
+          params
+        );
+
+        if (result.rows.length === 0) {
+          return false;
+        }
+
+        if (cambios.ciudades_ids !== undefined) {
+          await syncCiudades(tx, id, cambios.ciudades_ids);
+        }
+        return true;
+      });
+
+      return updated ? findById(id, executor) : null;
+    },
+
+    // Asociar o quitar una ciudad y pasar el patrocinador a una nueva versión.
+    // Devuelve false si la ciudad ya estaba (o no estaba) asociada y null si el
+    // patrocinador no existe o no está en la versión indicada; en ese caso el
+    // enlace se deshace dentro de la misma transacción
+    agregarCiudad: (id, ciudadId, { version } = {}, executor) => enTransaccion(db, executor, async (tx) => {
+      const result = await tx.query(`
+        INSERT INTO patrocinadores_ciudades (patrocinador_id, ciudad_id) VALUES ($1, $2)
+        ON CONFLICT (patrocinador_id, ciudad_id) DO NOTHING
+      `, [id, ciudadId]);
+
+      if (result.rowCount === 0) {
+        return false;
+      }
+      if (await nuevaVersion(tx, id, version)) {
+        return true;
+      }
+
+      await tx.query('DELETE FROM patrocinadores_ciudades WHERE patrocinador_id = $1 AND ciudad_id = $2', [id, ciudadId]);
+      return null;
+    }),
+
+    quitarCiudad: (id, ciudadId, { version } = {}, executor) => enTransaccion(db, executor, async (tx) => {
+      const result = await tx.query(
+        'DELETE FROM patrocinadores_ciudades WHERE patrocinador_id = $1 AND ciudad_id = $2',
+        [id, ciudadId]
+      );
+
+      if (result.rowCount === 0) {
+        return false;
+      }
+      if (await nuevaVersion(tx, id, version)) {
+        return true;
+      }
+
+      await tx.query('INSERT INTO patrocinadores_ciudades (patrocinador_id, ciudad_id) VALUES ($1, $2)', [id, ciudadId]);
+      return null;
+    }),
+
+    // Envía el patrocinador a la papelera con sus ciudades, que recupera al
+    // restaurarlo. Devuelve false si no existe o no está en la versión indicada
+    remove: async (id, { version } = {}, executor = db) => {
+      const params = [id];
+      const result = await executor.query(
+        `UPDATE patrocinadores SET deleted_at = CURRENT_TIMESTAMP, version = version + 1 WHERE id = $1 AND deleted_at IS NULL${conVersion(version, params)}`,
+        params
+      );
+      return result.rowCount > 0;
+    },
+
+    listPapelera: async () => {
+      const result = await db.query(`${selectWithCiudades(db.dialect, 'WHERE p.deleted_at IS NOT NULL')} ORDER BY p.deleted_at DESC`);
+      return result.rows.map(mapRow);
+    },
+
+    findEnPapelera: async (id) => {
+      const result = await db.query(selectWithCiudades(db.dialect, 'WHERE p.id = $1 AND p.deleted_at IS NOT NULL'), [id]);
+      return result.rows[0] ? mapRow(result.rows[0]) : null;
+    },
+
+    // Sacar de la papelera; devuelve null si no estaba en ella
+    restaurar: async (id, executor = db) => {
+      const result = await executor.query(
+        'UPDATE patrocinadores SET deleted_at = NULL, version = version + 1 WHERE id = $1 AND deleted_at IS NOT NULL RETURNING id',
+        [id]
+      );
+      return result.rows[0] ? findById(id, executor) : null;
+    },
+
+    // Borrado definitivo de lo que lleva en la papelera más de "dias" días;
+    // devuelve las filas purgadas
+    purgar: async (dias, executor = db) => {
+      const result = await executor.query(
+        `DELETE FROM patrocinadores WHERE deleted_at IS NOT NULL AND deleted_at < ${db.dialect.daysAgo('$1')} RETURNING *`,
+        [dias]
+      );
+      return result.rows;
+    }
+  };
+};
+
+module.exports = { createPatrocinadoresRepository, COLUMNS, ORDENABLES };
@@ -0,0 +1,287 @@
+const SELECT_CATEGORIAS = `
+  SELECT
+    cp.*,
+    e.nombre as edicion_nombre,
+    e.anio as edicion_anio,
+    e.ciudad_id
+  FROM categorias_premio cp
+  JOIN ediciones e ON cp.edicion_id = e.id
+`;
+
+const redondear = (valor) => Math.round(valor * 100) / 100;
+
+// Nota de cada restaurante sobre 100: media de los jurados con la hoja completa,
+// donde la nota de un jurado es la media ponderada de sus criterios normalizados.
+// Los empates comparten posición (1, 2, 2, 4...).
+const calcularClasificacion = (criterios, puntuaciones) => {
+  const pesoTotal = criterios.reduce((total, c) => total + Number(c.peso), 0);
+  const porRestaurante = new Map();
+
+  for (const fila of puntuaciones) {
+    if (!porRestaurante.has(fila.restaurante_id)) {
+      porRestaurante.set(fila.restaurante_id, { nombre: fila.restaurante_nombre, jurados: new Map() });
+    }
+    const { jurados } = porRestaurante.get(fila.restaurante_id);
+    if (!jurados.has(fila.jurado_id)) {
+      jurados.set(fila.jurado_id, new Map());
+    }
+    jurados.get(fila.jurado_id).set(fila.criterio_id, Number(fila.puntuacion));
+  }
+
+  const filas = [];
+  for (const [restauranteId, { nombre, jurados }] of porRestaurante) {
+    const notas = [...jurados.values()]
+      .filter(hoja => criterios.every(c => hoja.has(c.id)))
+      .map(hoja => criterios.reduce(
+        (total, c) => total + Number(c.peso) * hoja.get(c.id) / c.puntuacion_maxima, 0
+      ) / pesoTotal * 100);
+
+    if (notas.length > 0) {
+      filas.push({
+        restaurante_id: restauranteId,
+        restaurante_nombre: nombre,
+        puntuacion: redondear(notas.reduce((a, b) => a + b, 0) / notas.length),
+        jurados: notas.length
+      });
+    }
+  }
+
+  filas.sort((a, b) => b.puntuacion - a.puntuacion);
+  return filas.map(fila => ({
+    posicion: filas.findIndex(otra => otra.puntuacion === fila.puntuacion) + 1,
+    ...fila
+  }));
+};
+
+// Acceso a datos de premios del jurado
+const createPremiosRepository = (db) => {
+  const findById = async (id, executor = db) => {
+    const result = await executor.query(`${SELECT_CATEGORIAS} WHERE cp.id = $1`, [id]);
+    const categoria = result.rows[0];
+    if (!categoria) {
+      return null;
+    }
+
+    const criterios = await executor.query(
+      'SELECT id, nombre, peso, puntuacion_maxima FROM criterios_premio WHERE categoria_id = $1 ORDER BY id',
+      [id]
+    );
+    const jurados = await executor.query(`
+      SELECT j.id, j.usuario_id, u.nombre
+      FROM jurados_premio j
+      JOIN usuarios u ON j.usuario_id = u.id
+      WHERE j.categoria_id = $1
+      ORDER BY u.nombre
+    `, [id]);
+
+    return {
+      ...categoria,
+      criterios: criterios.rows.map(c => ({ ...c, peso: Number(c.peso) })),
+      jurados: jurados.rows
+    };
+  };
+
+  const replaceCriterios = async (tx, categoriaId, criterios) => {
+    await tx.query('DELETE FROM criterios_premio WHERE categoria_id = $1', [categoriaId]);
+
+    for (const criterio of criterios) {
+      await tx.query(
+        'INSERT INTO criterios_premio (categoria_id, nombre, peso, puntuacion_maxima) VALUES ($1, $2, $3, $4)',
+        [categoriaId, criterio.nombre, criterio.peso, criterio.puntuacion_maxima]
+      );
+    }
+  };
+
+  const clasificacion = async (categoria, executor = db) => {
+    const result = await executor.query(`
+      SELECT pj.jurado_id, pj.criterio_id, pj.restaurante_id, pj.puntuacion, r.nombre_mostrar as restaurante_nombre
+      FROM puntuaciones_jurado pj
+      JOIN jurados_premio j ON pj.jurado_id = j.id
+      JOIN restaurantes r ON pj.restaurante_id = r.id
+      WHERE j.categoria_id = $1
+    `, [categoria.id]);
+    return calcularClasificacion(categoria.criterios, result.rows);
+  };
+
+  const listPremios = async (where, params) => {
+    const result = await db.query(`
+      SELECT
+        p.*,
+        r.nombre_mostrar as restaurante_nombre,
+        cp.nombre as categoria_nombre,
+        cp.edicion_id,
+        e.nombre as edicion_nombre,
+        e.anio as edicion_anio
+      FROM premios p
+      JOIN restaurantes r ON p.restaurante_id = r.id
+      JOIN categorias_premio cp ON p.categoria_id = cp.id
+      JOIN ediciones e ON cp.edicion_id = e.id
+      WHERE ${where}
+      ORDER BY e.anio DESC, cp.nombre, p.posicion
+    `, params);
+    return result.rows.map(row => ({ ...row, puntuacion: Number(row.puntuacion) }));
+  };
+
+  return {
+    findById,
+    clasificacion,
+
+    list: async ({ edicionId, estado } = {}) => {
+      const conditions = [];
+      const params = [];
+
+      if (edicionId) {
+        params.push(edicionId);
+        conditions.push(`cp.edicion_id = $${params.length}`);
+      }
+      if (estado) {
+        params.push(estado);
+        conditions.push(`cp.estado = $${params.length}`);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const result = await db.query(`${SELECT_CATEGORIAS} ${where} ORDER BY e.anio DESC, cp.nombre`, params);
+      return result.rows;
+    },
+
+    // Los criterios deben venir ya normalizados
+    create: async ({ edicion_id, nombre, descripcion, criterios }) => {
+      const id = await db.transaction(async (tx) => {
+        const result = await tx.query(
+          'INSERT INTO categorias_premio (edicion_id, nombre, descripcion) VALUES ($1, $2, $3) RETURNING id',
+          [edicion_id, nombre.trim(), descripcion?.trim() || null]
+        );
+        await replaceCriterios(tx, result.rows[0].id, criterios);
+        return result.rows[0].id;
+      });
+      return findById(id);
+    },
+
+    // Los criterios solo se sustituyen si se envía el array; devuelve null si no existe
+    update: async (id, { nombre, descripcion, criterios }) => {
+      const updated = await db.transaction(async (tx) => {
+        const result = await tx.query(
+          'UPDATE categorias_premio SET nombre = $1, descripcion = $2, version = version + 1 WHERE id = $3 RETURNING id',
+          [nombre.trim(), descripcion?.trim() || null, id]
+        );
+
+        if (result.rows.length === 0) {
+          return false;
+        }
+
+        if (Array.isArray(criterios)) {
+          await replaceCriterios(tx, id, criterios);
+        }
+        return true;
+      });
+      return updated ? findById(id) : null;
+    },
+
+    // Devuelve false si la categoría no existe
+    remove: async (id) => {
+      const result = await db.query('DELETE FROM categorias_premio WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    },
+
+    tienePuntuaciones: async (categoriaId) => {
+      const result = await db.query(`
+        SELECT 1 FROM puntuaciones_jurado pj
+        JOIN jurados_premio j ON pj.jurado_id = j.id
+        WHERE j.categoria_id = $1
+        LIMIT 1
+      `, [categoriaId]);
+      return result.rows.length > 0;
+    },
+
+    findJurado: async (categoriaId, usuarioId) => {
+      const result = await db.query(
+        'SELECT * FROM jurados_premio WHERE categoria_id = $1 AND usuario_id = $2',
+        [categoriaId, usuarioId]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Los jurados forman parte de la categoría: cambiarlos es una nueva versión
+    agregarJurado: (categoriaId, usuarioId) => db.transaction(async (tx) => {
+      const result = await tx.query(
+        'INSERT INTO jurados_premio (categoria_id, usuario_id) VALUES ($1, $2) RETURNING *',
+        [categoriaId, usuarioId]
+      );
+      await tx.query('UPDATE categorias_premio SET version = version + 1 WHERE id = $1', [categoriaId]);
+      return result.rows[0];
+    }),
+
+    // Devuelve false si el usuario no era jurado; se borran también sus puntuaciones
+    quitarJurado: (categoriaId, usuarioId) => db.transaction(async (tx) => {
+      const result = await tx.query(
+        'DELETE FROM jurados_premio WHERE categoria_id = $1 AND usuario_id = $2',
+        [categoriaId, usuarioId]
+      );
+      if (result.rowCount === 0) {
+        return false;
+      }
+      await tx.query('UPDATE categorias_premio SET version = version + 1 WHERE id = $1', [categoriaId]);
+      return true;
+    }),
+
+    // Hoja de puntuación de un jurado: sus notas agrupadas por restaurante
+    hoja: async (juradoId) => {
+      const result = await db.query(
+        'SELECT restaurante_id, criterio_id, puntuacion FROM puntuaciones_jurado WHERE jurado_id = $1',
+        [juradoId]
+      );
+      const porRestaurante = {};
+      for (const fila of result.rows) {
+        porRestaurante[fila.restaurante_id] = porRestaurante[fila.restaurante_id] || {};
+        porRestaurante[fila.restaurante_id][fila.criterio_id] = Number(fila.puntuacion);
+      }
+      return porRestaurante;
+    },
+
+    // Sustituye las notas de un jurado para un restaurante
+    guardarPuntuaciones: (juradoId, restauranteId, puntuaciones) => db.transaction(async (tx) => {
+      await tx.query(
+        'DELETE FROM puntuaciones_jurado WHERE jurado_id = $1 AND restaurante_id = $2',
+        [juradoId, restauranteId]
+      );
+
+      for (const { criterio_id, puntuacion } of puntuaciones) {
+        await tx.query(
+          'INSERT INTO puntuaciones_jurado (jurado_id, criterio_id, restaurante_id, puntuacion) VALUES ($1, $2, $3, $4)',
+          [juradoId, criterio_id, restauranteId, puntuacion]
+        );
+      }
+    }),
+
+    // Publica la categoría y registra como premiados a los restaurantes hasta
+    // la posición indicada; null si ya estaba publicada
+    publicar: (categoriaId, podio) => db.transaction(async (tx) => {
+      const result = await tx.query(`
+        UPDATE categorias_premio SET estado = 'publicada', fecha_publicacion = CURRENT_TIMESTAMP, version = version + 1
+        WHERE id = $1 AND estado = 'abierta'
+        RETURNING id
+      `, [categoriaId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const categoria = await findById(categoriaId, tx);
+      const ganadores = (await clasificacion(categoria, tx)).filter(fila => fila.posicion <= podio);
+
+      for (const ganador of ganadores) {
+        await tx.query(
+          'INSERT INTO premios (categoria_id, restaurante_id, posicion, puntuacion) VALUES ($1, $2, $3, $4)',
+          [categoriaId, ganador.restaurante_id, ganador.posicion, ganador.puntuacion]
+        );
+      }
+      return categoria;
+    }),
+
+    listByCategoria: (categoriaId) => listPremios('p.categoria_id = $1', [categoriaId]),
+
+    listByRestaurante: (restauranteId) => listPremios('p.restaurante_id = $1', [restauranteId])
+  };
+};
+
+module.exports = { createPremiosRepository };
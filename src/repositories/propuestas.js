@@ -0,0 +1,122 @@
+// Columnas editables de propuestas, en el orden de los parámetros SQL
+const COLUMNS = [
+  'edicion_id', 'nombre', 'descripcion', 'precio', 'foto',
+  'ingredientes', 'alergenos', 'vegetariano', 'vegano', 'sin_gluten'
+];
+
+const ETIQUETAS = ['vegetariano', 'vegano', 'sin_gluten'];
+
+const SELECT_PROPUESTAS = `
+  SELECT
+    p.*,
+    r.nombre_mostrar as restaurante_nombre,
+    r.ciudad_id,
+    e.nombre as edicion_nombre,
+    e.anio as edicion_anio
+  FROM propuestas p
+  JOIN restaurantes r ON p.restaurante_id = r.id
+  LEFT JOIN ediciones e ON p.edicion_id = e.id
+`;
+
+// NUMERIC llega como string desde pg; los booleanos como 0/1 desde SQLite
+const mapRow = (row) => ({
+  ...row,
+  precio: row.precio === null ? null : Number(row.precio),
+  ingredientes: JSON.parse(row.ingredientes),
+  alergenos: JSON.parse(row.alergenos),
+  vegetariano: Boolean(row.vegetariano),
+  vegano: Boolean(row.vegano),
+  sin_gluten: Boolean(row.sin_gluten)
+});
+
+// La propuesta ya viene normalizada por la ruta
+const fieldsToParams = (propuesta) => COLUMNS.map(column => (
+  ['ingredientes', 'alergenos'].includes(column) ? JSON.stringify(propuesta[column]) : propuesta[column]
+));
+
+// Acceso a datos del catálogo de propuestas
+const createPropuestasRepository = (db) => {
+  const findById = async (restauranteId, propuestaId) => {
+    const result = await db.query(
+      `${SELECT_PROPUESTAS} WHERE p.id = $1 AND p.restaurante_id = $2`,
+      [propuestaId, restauranteId]
+    );
+    return result.rows[0] ? mapRow(result.rows[0]) : null;
+  };
+
+  return {
+    findById,
+
+    // Propuesta presentada a una edición; null si no pertenece a ella
+    findByEdicion: async (edicionId, propuestaId) => {
+      const result = await db.query(
+        `${SELECT_PROPUESTAS} WHERE p.id = $1 AND p.edicion_id = $2`,
+        [propuestaId, edicionId]
+      );
+      return result.rows[0] ? mapRow(result.rows[0]) : null;
+    },
+
+    // Filtros: restauranteId, edicionId, ciudadId, etiquetas (vegetariano, vegano,
+    // sin_gluten), sinAlergenos (array), precioMin, precioMax, q (nombre/descripción)
+    list: async (filtros = {}) => {
+      const conditions = [];
+      const params = [];
+      const add = (sql, value) => {
+        params.push(value);
+        conditions.push(sql.replace(/\?/g, () => `$${params.length}`));
+      };
+
+      if (filtros.restauranteId) add('p.restaurante_id = ?', filtros.restauranteId);
+      if (filtros.edicionId) add('p.edicion_id = ?', filtros.edicionId);
+      if (filtros.ciudadId) add('r.ciudad_id = ?', filtros.ciudadId);
+      if (filtros.precioMin !== undefined) add('p.precio >= ?', filtros.precioMin);
+      if (filtros.precioMax !== undefined) add('p.precio <= ?', filtros.precioMax);
+      if (filtros.q) add(`(p.nombre ${db.dialect.ilike} ? OR p.descripcion ${db.dialect.ilike} ?)`, `%${filtros.q}%`);
+
+      for (const etiqueta of filtros.etiquetas || []) {
+        if (ETIQUETAS.includes(etiqueta)) {
+          conditions.push(`p.${etiqueta} = TRUE`);
+        }
+      }
+
+      // Los alérgenos se guardan como array JSON de strings en minúsculas
+      for (const alergeno of filtros.sinAlergenos || []) {
+        add('p.alergenos NOT LIKE ?', `%${JSON.stringify(alergeno)}%`);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const result = await db.query(`${SELECT_PROPUESTAS} ${where} ORDER BY p.nombre`, params);
+      return result.rows.map(mapRow);
+    },
+
+    create: async (restauranteId, propuesta) => {
+      const placeholders = COLUMNS.map((_, i) => `$${i + 2}`).join(', ');
+      const result = await db.query(
+        `INSERT INTO propuestas (restaurante_id, ${COLUMNS.join(', ')}) VALUES ($1, ${placeholders}) RETURNING id`,
+        [restauranteId, ...fieldsToParams(propuesta)]
+      );
+      return findById(restauranteId, result.rows[0].id);
+    },
+
+    // Devuelve null si la propuesta no existe en ese restaurante
+    update: async (restauranteId, propuestaId, propuesta) => {
+      const assignments = COLUMNS.map((column, i) => `${column} = $${i + 1}`).join(', ');
+      const result = await db.query(
+        `UPDATE propuestas SET ${assignments}, version = version + 1 WHERE id = $${COLUMNS.length + 1} AND restaurante_id = $${COLUMNS.length + 2} RETURNING id`,
+        [...fieldsToParams(propuesta), propuestaId, restauranteId]
+      );
+      return result.rows.length > 0 ? findById(restauranteId, propuestaId) : null;
+    },
+
+    // Devuelve false si la propuesta no existe en ese restaurante
+    remove: async (restauranteId, propuestaId) => {
+      const result = await db.query(
+        'DELETE FROM propuestas WHERE id = $1 AND restaurante_id = $2',
+        [propuestaId, restauranteId]
+      );
+      return result.rowCount > 0;
+    }
+  };
+};
+
+module.exports = { createPropuestasRepository, ETIQUETAS };
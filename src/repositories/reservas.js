@@ -0,0 +1,187 @@
+const SELECT_FRANJAS = `
+  SELECT
+    f.*,
+    r.nombre_mostrar as restaurante_nombre,
+    r.ciudad_id,
+    r.numero_mesas,
+    (SELECT COALESCE(SUM(rv.mesas), 0) FROM reservas rv
+      WHERE rv.franja_id = f.id AND rv.estado = 'confirmada') as mesas_ocupadas
+  FROM franjas_reserva f
+  JOIN restaurantes r ON f.restaurante_id = r.id
+`;
+
+const SELECT_RESERVAS = `
+  SELECT
+    rv.*,
+    f.restaurante_id,
+    f.fecha,
+    f.hora_inicio,
+    f.hora_fin,
+    r.nombre_mostrar as restaurante_nombre
+  FROM reservas rv
+  JOIN franjas_reserva f ON rv.franja_id = f.id
+  JOIN restaurantes r ON f.restaurante_id = r.id
+`;
+
+// SUM llega como string desde pg; sin numero_mesas no hay mesas que reservar
+const mapFranja = (row) => {
+  const ocupadas = Number(row.mesas_ocupadas);
+  return {
+    ...row,
+    mesas_ocupadas: ocupadas,
+    mesas_disponibles: Math.max((row.numero_mesas || 0) - ocupadas, 0)
+  };
+};
+
+// Acceso a datos de franjas reservables y reservas de mesas
+const createReservasRepository = (db) => {
+  const findFranja = async (id) => {
+    const result = await db.query(`${SELECT_FRANJAS} WHERE f.id = $1`, [id]);
+    return result.rows[0] ? mapFranja(result.rows[0]) : null;
+  };
+
+  const findById = async (id, executor = db) => {
+    const result = await executor.query(`${SELECT_RESERVAS} WHERE rv.id = $1`, [id]);
+    return result.rows[0] || null;
+  };
+
+  return {
+    findFranja,
+    findById,
+
+    // Franjas de un restaurante (filtros opcionales desde/hasta: YYYY-MM-DD)
+    listFranjas: async (restauranteId, { desde, hasta } = {}) => {
+      const conditions = ['f.restaurante_id = $1'];
+      const params = [restauranteId];
+
+      if (desde) {
+        params.push(desde);
+        conditions.push(`f.fecha >= $${params.length}`);
+      }
+      if (hasta) {
+        params.push(hasta);
+        conditions.push(`f.fecha <= $${params.length}`);
+      }
+
+      const result = await db.query(
+        `${SELECT_FRANJAS} WHERE ${conditions.join(' AND ')} ORDER BY f.fecha, f.hora_inicio`,
+        params
+      );
+      return result.rows.map(mapFranja);
+    },
+
+    // Las mesas del restaurante se reparten por franja: dos franjas del mismo
+    // día no pueden solaparse o las mismas mesas se reservarían dos veces.
+    // Devuelve null si se solapa con otra; el restaurante se bloquea para que
+    // dos altas simultáneas no pasen ambas la comprobación
+    createFranja: async (restauranteId, { fecha, hora_inicio, hora_fin, personas_por_mesa }) => {
+      const id = await db.transaction(async (tx) => {
+        await tx.query(`SELECT id FROM restaurantes WHERE id = $1 ${db.dialect.forUpdate}`, [restauranteId]);
+        const { rows: solapadas } = await tx.query(`
+          SELECT 1 FROM franjas_reserva
+          WHERE restaurante_id = $1 AND fecha = $2 AND hora_inicio < $3 AND hora_fin > $4
+          LIMIT 1
+        `, [restauranteId, fecha, hora_fin, hora_inicio]);
+
+        if (solapadas.length > 0) {
+          return null;
+        }
+
+        const result = await tx.query(`
+          INSERT INTO franjas_reserva (restaurante_id, fecha, hora_inicio, hora_fin, personas_por_mesa)
+          VALUES ($1, $2, $3, $4, $5) RETURNING id
+        `, [restauranteId, fecha, hora_inicio, hora_fin, personas_por_mesa || 4]);
+        return result.rows[0].id;
+      });
+      return id ? findFranja(id) : null;
+    },
+
+    // Solo se eliminan franjas sin reservas confirmadas; devuelve false en otro caso
+    removeFranja: async (franjaId) => {
+      const result = await db.query(`
+        DELETE FROM franjas_reserva
+        WHERE id = $1 AND NOT EXISTS (
+          SELECT 1 FROM reservas WHERE franja_id = $1 AND estado = 'confirmada'
+        )
+      `, [franjaId]);
+      return result.rowCount > 0;
+    },
+
+    // Reservas de un restaurante (filtros opcionales: fecha, estado)
+    listByRestaurante: async (restauranteId, { fecha, estado } = {}) => {
+      const conditions = ['f.restaurante_id = $1'];
+      const params = [restauranteId];
+
+      if (fecha) {
+        params.push(fecha);
+        conditions.push(`f.fecha = $${params.length}`);
+      }
+      if (estado) {
+        params.push(estado);
+        conditions.push(`rv.estado = $${params.length}`);
+      }
+
+      const result = await db.query(
+        `${SELECT_RESERVAS} WHERE ${conditions.join(' AND ')} ORDER BY f.fecha, f.hora_inicio, rv.id`,
+        params
+      );
+      return result.rows;
+    },
+
+    listByUsuario: async (usuarioId) => {
+      const result = await db.query(
+        `${SELECT_RESERVAS} WHERE rv.usuario_id = $1 ORDER BY f.fecha DESC, f.hora_inicio DESC`,
+        [usuarioId]
+      );
+      return result.rows;
+    },
+
+    // Reserva las mesas necesarias para el grupo si caben en la franja; null si no
+    // y false si la franja ya no existe (se eliminó tras consultarla).
+    // La franja se bloquea durante la transacción para que dos reservas
+    // simultáneas no puedan superar numero_mesas.
+    reservar: (franjaId, usuarioId, { nombre_contacto, telefono, personas }) => db.transaction(async (tx) => {
+      const { rows: [franja] } = await tx.query(
+        `SELECT * FROM franjas_reserva WHERE id = $1 ${db.dialect.forUpdate}`,
+        [franjaId]
+      );
+      if (!franja) {
+        return false;
+      }
+
+      const { rows: [ocupacion] } = await tx.query(`
+        SELECT
+          r.numero_mesas,
+          (SELECT COALESCE(SUM(mesas), 0) FROM reservas
+            WHERE franja_id = $1 AND estado = 'confirmada') as mesas_ocupadas
+        FROM restaurantes r WHERE r.id = $2
+      `, [franjaId, franja.restaurante_id]);
+      if (!ocupacion) {
+        return false;
+      }
+
+      const mesas = Math.ceil(personas / franja.personas_por_mesa);
+      if (Number(ocupacion.mesas_ocupadas) + mesas > (ocupacion.numero_mesas || 0)) {
+        return null;
+      }
+
+      const result = await tx.query(`
+        INSERT INTO reservas (franja_id, usuario_id, nombre_contacto, telefono, personas, mesas)
+        VALUES ($1, $2, $3, $4, $5, $6) RETURNING id
+      `, [franjaId, usuarioId, nombre_contacto.trim(), telefono?.trim() || null, personas, mesas]);
+      return findById(result.rows[0].id, tx);
+    }),
+
+    // Libera las mesas de la reserva; null si ya estaba cancelada
+    cancelar: async (id) => {
+      const result = await db.query(`
+        UPDATE reservas SET estado = 'cancelada', fecha_cancelacion = CURRENT_TIMESTAMP, version = version + 1
+        WHERE id = $1 AND estado = 'confirmada'
+        RETURNING id
+      `, [id]);
+      return result.rows.length > 0 ? findById(id) : null;
+    }
+  };
+};
+
+module.exports = { createReservasRepository };
@@ -0,0 +1,351 @@
+const { createSedesRepository } = require('./sedes');
+const { createBusquedaRepository, unirResultados } = require('./busqueda');
+const { conVersion } = require('../utils/concurrencia');
+const { finDelDia, clausulasPagina, resultadoPagina } = require('../utils/listados');
+const { distanciaKm, cajaAlrededor, condicionCaja } = require('../utils/geo');
+const { enTransaccion } = require('../utils/transacciones');
+
+// Campos por los que se puede ordenar el listado (todos con índice)
+const ORDENABLES = ['id', 'nombre_oficial', 'nombre_mostrar', 'fecha_creacion'];
+
+// Columnas editables de restaurantes, en el orden de los parámetros SQL
+const COLUMNS = [
+  'nombre_oficial', 'nombre_mostrar', 'breve_resena', 'representante', 'numero_mesas',
+  'ciudad_id', 'email', 'telefono', 'instagram', 'logo', 'sede_ubicacion_corta',
+  'sede_horario', 'propuestas', 'ediciones', 'premios_obtenidos'
+];
+
+// Una ciudad en la papelera no aporta nombre, aunque el restaurante conserva
+// su ciudad_id para recuperarla si se restaura. "extra" añade columnas al SELECT
+const selectWithCiudad = (extra = '') => `
+  SELECT
+    r.*${extra},
+    c.nombre as ciudad_nombre
+  FROM restaurantes r
+  LEFT JOIN ciudades c ON r.ciudad_id = c.id AND c.deleted_at IS NULL
+`;
+
+// Puntos del mapa: las sedes con coordenadas y, para los restaurantes sin
+// ninguna, la ubicación de sede_ubicacion_corta (sin sede: sede_id NULL)
+const UBICACIONES = `
+  SELECT s.id AS sede_id, s.restaurante_id, s.nombre AS sede_nombre, s.direccion, s.latitud, s.longitud
+  FROM sedes s
+  WHERE s.latitud IS NOT NULL AND s.longitud IS NOT NULL
+  UNION ALL
+  SELECT NULL, r.id, NULL, r.sede_ubicacion_corta, r.latitud, r.longitud
+  FROM restaurantes r
+  WHERE r.latitud IS NOT NULL AND r.longitud IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM sedes s WHERE s.restaurante_id = r.id AND s.latitud IS NOT NULL AND s.longitud IS NOT NULL
+  )
+`;
+
+// Normalizar un valor de la petición al que se guarda: vacíos y ausentes como
+// NULL, pero un 0 (numero_mesas) se conserva
+const normalizeField = (value) => (typeof value === 'string' ? value.trim() || null : value ?? null);
+
+const fieldsToParams = (fields) => COLUMNS.map(column => normalizeField(fields[column]));
+
+// Acceso a datos de restaurantes; cada restaurante incluye sus sedes. Los
+// eliminados quedan en la papelera (deleted_at) y solo aparecen en las
+// consultas de papelera. Las escrituras aceptan la transacción de quien llama
+// (ver utils/transacciones)
+const createRestaurantesRepository = (db) => {
+  const sedes = createSedesRepository(db);
+  const busqueda = createBusquedaRepository(db);
+
+  const withSedes = async (rows, executor = db) => {
+    const porRestaurante = await sedes.listByRestaurantes(rows.map(r => r.id), executor);
+    return rows.map(r => ({ ...r, sedes: porRestaurante.get(r.id) }));
+  };
+
+  const findById = async (id, executor = db) => {
+    const result = await executor.query(`${selectWithCiudad()} WHERE r.id = $1 AND r.deleted_at IS NULL`, [id]);
+    return result.rows[0] ? (await withSedes(result.rows, executor))[0] : null;
+  };
+
+  return {
+    findById,
+
+    // Filtros: ciudad_id, edicion_id (inscritos en la edición), con_logo,
+    // creado_desde, creado_hasta. pagina viene de utils/listados (parsePagina);
+    // devuelve { items, total, hayMas }
+    list: async (filtros = {}, pagina = { campo: 'fecha_creacion', desc: true }) => {
+      const conditions = ['r.deleted_at IS NULL'];
+      const params = [];
+      const add = (sql, value) => {
+        params.push(value);
+        conditions.push(sql.replace(/\?/g, () => `$${params.length}`));
+      };
+
+      if (filtros.ciudad_id) add('r.ciudad_id = ?', filtros.ciudad_id);
+      if (filtros.edicion_id) {
+        add(`EXISTS (
+          SELECT 1 FROM participaciones pa
+          WHERE pa.restaurante_id = r.id AND pa.edicion_id = ? AND pa.estado = 'inscrito'
+        )`, filtros.edicion_id);
+      }
+      if (filtros.con_logo !== undefined) {
+        conditions.push(filtros.con_logo ? "COALESCE(r.logo, '') <> ''" : "COALESCE(r.logo, '') = ''");
+      }
+      if (filtros.creado_desde) add('r.fecha_creacion >= ?', filtros.creado_desde);
+      if (filtros.creado_hasta) add('r.fecha_creacion <= ?', finDelDia(filtros.creado_hasta));
+
+      const total = await db.query(`SELECT COUNT(*) as total FROM restaurantes r WHERE ${conditions.join(' AND ')}`, [...params]);
+      const { columnaCursor, orderBy, limite } = clausulasPagina(pagina, { columna: `r.${pagina.campo}`, id: 'r.id' }, conditions, params);
+      const result = await db.query(
+        `${selectWithCiudad(columnaCursor)} WHERE ${conditions.join(' AND ')} ${orderBy}${limite}`,
+        params
+      );
+      const { items, ...resto } = resultadoPagina(pagina, result.rows, Number(total.rows[0].total));
+      return { items: await withSedes(items), ...resto };
+    },
+
+    // Búsqueda de texto completo (ver ./busqueda); cada restaurante lleva
+    // además su relevancia y el fragmento con los términos resaltados
+    search: async (q, { limit } = {}) => {
+      const resultados = await busqueda.buscar('restaurantes', q, { limit });
+      if (resultados.length === 0) {
+        return [];
+      }
+
+      const ids = resultados.map(({ id }) => id);
+      const result = await db.query(
+        `${selectWithCiudad()} WHERE r.id IN (${ids.map((_, i) => `$${i + 1}`).join(', ')})`,
+        ids
+      );
+      return withSedes(unirResultados(resultados, result.rows));
+    },
+
+    // Restaurantes con alguna sede a menos de radioKm del punto, del más
+    // cercano al más lejano; cada uno lleva distancia_km y sede_cercana_id (la
+    // sede más próxima; null si el punto es su sede_ubicacion_corta). La base
+    // filtra por la caja que contiene el círculo y la distancia se calcula en
+    // utils/geo. Filtro opcional: ciudadId
+    cercanos: async (punto, { radioKm, limit, ciudadId }) => {
+      const params = [];
+      const conditions = [
+        'r.deleted_at IS NULL',
+        condicionCaja(cajaAlrededor(punto, radioKm), { latitud: 'u.latitud', longitud: 'u.longitud' }, params)
+      ];
+
+      if (ciudadId) {
+        params.push(ciudadId);
+        conditions.push(`r.ciudad_id = $${params.length}`);
+      }
+
+      const result = await db.query(`
+        SELECT u.sede_id AS id, u.restaurante_id, u.latitud, u.longitud
+        FROM (${UBICACIONES}) u
+        JOIN restaurantes r ON r.id = u.restaurante_id
+        WHERE ${conditions.join(' AND ')}
+      `, params);
+
+      const masCercana = new Map();
+      for (const sede of result.rows) {
+        const distancia = distanciaKm(punto, sede);
+        const actual = masCercana.get(sede.restaurante_id);
+        if (distancia <= radioKm && (!actual || distancia < actual.distancia)) {
+          masCercana.set(sede.restaurante_id, { sedeId: sede.id, distancia });
+        }
+      }
+
+      const elegidos = [...masCercana.entries()]
+        .sort(([, a], [, b]) => a.distancia - b.distancia)
+        .slice(0, limit);
+
+      if (elegidos.length === 0) {
+        return [];
+      }
+
+      const restaurantes = await db.query(
+        `${selectWithCiudad()} WHERE r.id IN (${elegidos.map((_, i) => `$${i + 1}`).join(', ')})`,
+        elegidos.map(([id]) => id)
+      );
+      const porId = new Map(restaurantes.rows.map(row => [row.id, row]));
+
+      return withSedes(elegidos
+        .filter(([id]) => porId.has(id))
+        .map(([id, { sedeId, distancia }]) => ({
+          ...porId.get(id),
+          distancia_km: Number(distancia.toFixed(3)),
+          sede_cercana_id: sedeId
+        })));
+    },
+
+    // Puntos del mapa (UBICACIONES) dentro de la caja y/o de la ciudad (al
+    // menos uno de los dos), con los datos del restaurante para el marcador
+    marcadores: async ({ caja, ciudadId }, limit) => {
+      const params = [];
+      const conditions = ['r.deleted_at IS NULL'];
+
+      if (caja) {
+        conditions.push(condicionCaja(caja, { latitud: 'u.latitud', longitud: 'u.longitud' }, params));
+      }
+      if (ciudadId) {
+        params.push(ciudadId);
+        conditions.push(`r.ciudad_id = $${params.length}`);
+      }
+      params.push(limit);
+
+      const result = await db.query(`
+        SELECT
+          u.sede_id, u.sede_nombre, u.direccion, u.latitud, u.longitud,
+          r.id as restaurante_id, r.nombre_mostrar, r.logo, r.ciudad_id
+        FROM (${UBICACIONES}) u
+        JOIN restaurantes r ON r.id = u.restaurante_id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY r.id, u.sede_id
+        LIMIT $${params.length}
+      `, params);
+      return result.rows;
+    },
+
+    // fields.sedes (opcional) debe venir ya normalizado. Con "id" vuelve a
+    // crear un restaurante eliminado con su id original
+    create: async (fields, { id: idOriginal } = {}, executor) => {
+      const columnas = idOriginal ? ['id', ...COLUMNS] : COLUMNS;
+      const params = idOriginal ? [idOriginal, ...fieldsToParams(fields)] : fieldsToParams(fields);
+      const placeholders = columnas.map((_, i) => `$${i + 1}`).join(', ');
+      const id = await enTransaccion(db, executor, async (tx) => {
+        const result = await tx.query(
+          `INSERT INTO restaurantes (${columnas.join(', ')}) VALUES (${placeholders}) RETURNING *`,
+          params
+        );
+        await sedes.replaceAll(result.rows[0].id, fields.sedes || [], tx);
+        return result.rows[0].id;
+      });
+      return findById(id, executor);
+    },
+
+    // Las sedes solo se sustituyen si se envía el array; devuelve null si no
+    // existe o no está en la versión indicada
+    update: async (id, fields, { version } = {}, executor) => {
+      const assignments = COLUMNS.map((column, i) => `${column} = $${i + 1}`).join(', ');
+      const updated = await enTransaccion(db, executor, async (tx) => {
+        const params = [...fieldsToParams(fields), id];
+        const result = await tx.query(
+          `UPDATE restaurantes SET ${assignments}, version = version + 1 WHERE id = $${COLUMNS.length + 1} AND deleted_at IS NULL${conVersion(version, params)} RETURNING *`,
+          params
+        );
+
+        if (result.rows.length === 0) {
+          return false;
+        }
+
+        if (Array.isArray(fields.sedes)) {
+          await sedes.replaceAll(id, fields.sedes, tx);
+        }
+        return true;
+      });
+      return updated ? findById(id, executor) : null;
+    },
+
+    // Actualización parcial (JSON Merge Patch): solo cambian las columnas
+    // presentes en "cambios"; sedes: array sustituye, null las elimina todas.
+    // Devuelve null si no existe o no está en la versión indicada
+    patch: async (id, cambios, { version } = {}, executor) => {
+      const columnas = COLUMNS.filter(column => cambios[column] !== undefined);
+      const assignments = columnas.map((column, i) => `${column} = $${i + 1}, `).join('');
+      const updated = await enTransaccion(db, executor, async (tx) => {
+        const params = [...columnas.map(column => normalizeField(cambios[column])), id];
+        const result = await tx.query(
+          `UPDATE restaurantes SET ${assignments}version = version + 1 WHERE id = $${params.length} AND deleted_at IS NULL${conVersion(version, params)} RETURNING id`,
+          params
+        );
+
+        if (result.rows.length === 0) {
+          return false;
+        }
+
+        if (cambios.sedes !== undefined) {
+          await sedes.replaceAll(id, cambios.sedes || [], tx);
+        }
+        return true;
+      });
+      return updated ? findById(id, executor) : null;
+    },
+
+    // Guardar lo que calculó el geocodificador (ver geocoding/restaurantes):
+    // restaurante (opcional) y sedes [{ id, latitud, longitud,
+    // direccion_normalizada }], como un cambio más del restaurante. Devuelve
+    // null si no existe o no está en la versión indicada
+    guardarUbicaciones: async (id, { restaurante, sedes: ubicacionesSedes = [] }, { version } = {}, executor) => {
+      const campos = restaurante ? ['latitud', 'longitud', 'direccion_normalizada'] : [];
+      const assignments = campos.map((campo, i) => `${campo} = $${i + 1}, `).join('');
+      const updated = await enTransaccion(db, executor, async (tx) => {
+        const params = [...campos.map(campo => restaurante[campo]), id];
+        const result = await tx.query(
+          `UPDATE restaurantes SET ${assignments}version = version + 1 WHERE id = $${params.length} AND deleted_at IS NULL${conVersion(version, params)} RETURNING id`,
+          params
+        );
+
+        if (result.rows.length === 0) {
+          return false;
+        }
+
+        for (const sede of ubicacionesSedes) {
+          await sedes.guardarUbicacion(id, sede.id, sede, tx);
+        }
+        return true;
+      });
+      return updated ? findById(id, executor) : null;
+    },
+
+    // Ids (por orden, a partir de desdeId) de restaurantes con direcciones sin
+    // coordenadas; con forzar, de todos los que tienen alguna dirección
+    pendientesDeGeocodificar: async ({ forzar = false, desdeId = 0, limit }) => {
+      const pendiente = forzar
+        ? 'r.sede_ubicacion_corta IS NOT NULL OR EXISTS (SELECT 1 FROM sedes s WHERE s.restaurante_id = r.id)'
+        : `(r.sede_ubicacion_corta IS NOT NULL AND r.latitud IS NULL) OR
+           (r.sede_ubicacion_corta IS NULL AND r.latitud IS NOT NULL) OR
+           EXISTS (SELECT 1 FROM sedes s WHERE s.restaurante_id = r.id AND (s.latitud IS NULL OR s.longitud IS NULL))`;
+      const result = await db.query(
+        `SELECT r.id FROM restaurantes r WHERE r.deleted_at IS NULL AND r.id > $1 AND (${pendiente}) ORDER BY r.id LIMIT $2`,
+        [desdeId, limit]
+      );
+      return result.rows.map(row => Number(row.id));
+    },
+
+    // Envía el restaurante a la papelera (sus sedes, propuestas y reservas se
+    // conservan). Devuelve false si no existe o no está en la versión indicada
+    remove: async (id, { version } = {}, executor = db) => {
+      const params = [id];
+      const result = await executor.query(
+        `UPDATE restaurantes SET deleted_at = CURRENT_TIMESTAMP, version = version + 1 WHERE id = $1 AND deleted_at IS NULL${conVersion(version, params)}`,
+        params
+      );
+      return result.rowCount > 0;
+    },
+
+    listPapelera: async () => {
+      const result = await db.query(`${selectWithCiudad()} WHERE r.deleted_at IS NOT NULL ORDER BY r.deleted_at DESC`);
+      return withSedes(result.rows);
+    },
+
+    findEnPapelera: async (id) => {
+      const result = await db.query(`${selectWithCiudad()} WHERE r.id = $1 AND r.deleted_at IS NOT NULL`, [id]);
+      return result.rows[0] ? (await withSedes(result.rows))[0] : null;
+    },
+
+    // Sacar de la papelera; devuelve null si no estaba en ella
+    restaurar: async (id, executor = db) => {
+      const result = await executor.query(
+        'UPDATE restaurantes SET deleted_at = NULL, version = version + 1 WHERE id = $1 AND deleted_at IS NOT NULL RETURNING id',
+        [id]
+      );
+      return result.rows[0] ? findById(id, executor) : null;
+    },
+
+    // Borrado definitivo de lo que lleva en la papelera más de "dias" días
+    // (en cascada sus sedes y lo que dependa de él); devuelve las filas purgadas
+    purgar: async (dias, executor = db) => {
+      const result = await executor.query(
+        `DELETE FROM restaurantes WHERE deleted_at IS NOT NULL AND deleted_at < ${db.dialect.daysAgo('$1')} RETURNING *`,
+        [dias]
+      );
+      return result.rows;
+    }
+  };
+};
+
+module.exports = { createRestaurantesRepository, COLUMNS, ORDENABLES };
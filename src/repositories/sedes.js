@@ -0,0 +1,149 @@
+const { enTransaccion } = require('../utils/transacciones');
+
+const COLUMNS = [
+  'nombre', 'direccion', 'barrio', 'latitud', 'longitud', 'direccion_normalizada', 'telefono', 'mesas', 'horario_texto'
+];
+
+// Adjuntar a cada sede sus franjas horarias
+const withHorarios = async (executor, sedes) => {
+  if (sedes.length === 0) {
+    return [];
+  }
+
+  const ids = sedes.map(s => s.id);
+  const placeholders = ids.map((_, i) => `$${i + 1}`).join(', ');
+  const result = await executor.query(
+    `SELECT sede_id, dia, apertura, cierre FROM sedes_horarios WHERE sede_id IN (${placeholders}) ORDER BY id`,
+    ids
+  );
+
+  return sedes.map(sede => ({
+    ...sede,
+    horarios: result.rows
+      .filter(h => h.sede_id === sede.id)
+      .map(({ dia, apertura, cierre }) => ({ dia, apertura, cierre }))
+  }));
+};
+
+const insertHorarios = async (executor, sedeId, horarios) => {
+  for (const h of horarios) {
+    await executor.query(
+      'INSERT INTO sedes_horarios (sede_id, dia, apertura, cierre) VALUES ($1, $2, $3, $4)',
+      [sedeId, h.dia, h.apertura, h.cierre]
+    );
+  }
+};
+
+// Las sedes forman parte del restaurante: cada cambio incrementa su versión
+const incrementarVersion = (executor, restauranteId) => executor.query(
+  'UPDATE restaurantes SET version = version + 1 WHERE id = $1',
+  [restauranteId]
+);
+
+// Acceso a datos de sedes de restaurantes. Las funciones de escritura aceptan
+// un executor para poder participar en la transacción de restaurantes o de
+// quien llama (ver utils/transacciones).
+const createSedesRepository = (db) => {
+  const findById = async (restauranteId, sedeId, executor = db) => {
+    const result = await executor.query(
+      'SELECT * FROM sedes WHERE id = $1 AND restaurante_id = $2',
+      [sedeId, restauranteId]
+    );
+    return result.rows[0] ? (await withHorarios(executor, result.rows))[0] : null;
+  };
+
+  const create = async (restauranteId, sede, executor = db) => {
+    const placeholders = COLUMNS.map((_, i) => `$${i + 2}`).join(', ');
+    const result = await executor.query(
+      `INSERT INTO sedes (restaurante_id, ${COLUMNS.join(', ')}) VALUES ($1, ${placeholders}) RETURNING id`,
+      [restauranteId, ...COLUMNS.map(column => sede[column])]
+    );
+    await insertHorarios(executor, result.rows[0].id, sede.horarios);
+    return findById(restauranteId, result.rows[0].id, executor);
+  };
+
+  return {
+    findById,
+
+    listByRestaurante: async (restauranteId, executor = db) => {
+      const result = await executor.query(
+        'SELECT * FROM sedes WHERE restaurante_id = $1 ORDER BY id',
+        [restauranteId]
+      );
+      return withHorarios(executor, result.rows);
+    },
+
+    // Sedes de varios restaurantes agrupadas por restaurante_id
+    listByRestaurantes: async (restauranteIds, executor = db) => {
+      const porRestaurante = new Map(restauranteIds.map(id => [id, []]));
+      if (restauranteIds.length === 0) {
+        return porRestaurante;
+      }
+
+      const placeholders = restauranteIds.map((_, i) => `$${i + 1}`).join(', ');
+      const result = await executor.query(
+        `SELECT * FROM sedes WHERE restaurante_id IN (${placeholders}) ORDER BY id`,
+        restauranteIds
+      );
+
+      for (const sede of await withHorarios(executor, result.rows)) {
+        porRestaurante.get(sede.restaurante_id).push(sede);
+      }
+      return porRestaurante;
+    },
+
+    create: (restauranteId, sede, executor) => enTransaccion(db, executor, async (tx) => {
+      const nuevaSede = await create(restauranteId, sede, tx);
+      await incrementarVersion(tx, restauranteId);
+      return nuevaSede;
+    }),
+
+    // Devuelve null si la sede no existe en ese restaurante
+    update: (restauranteId, sedeId, sede, executor) => enTransaccion(db, executor, async (tx) => {
+      const assignments = COLUMNS.map((column, i) => `${column} = $${i + 1}`).join(', ');
+      const result = await tx.query(
+        `UPDATE sedes SET ${assignments} WHERE id = $${COLUMNS.length + 1} AND restaurante_id = $${COLUMNS.length + 2} RETURNING id`,
+        [...COLUMNS.map(column => sede[column]), sedeId, restauranteId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await tx.query('DELETE FROM sedes_horarios WHERE sede_id = $1', [sedeId]);
+      await insertHorarios(tx, sedeId, sede.horarios);
+      await incrementarVersion(tx, restauranteId);
+      return findById(restauranteId, sedeId, tx);
+    }),
+
+    // Sustituye todas las sedes de un restaurante (PUT/POST con el array completo)
+    replaceAll: async (restauranteId, sedes, executor) => {
+      await executor.query('DELETE FROM sedes WHERE restaurante_id = $1', [restauranteId]);
+      for (const sede of sedes) {
+        await create(restauranteId, sede, executor);
+      }
+    },
+
+    // Coordenadas del geocodificador; la versión del restaurante la
+    // incrementa quien llama (restaurantes.guardarUbicaciones)
+    guardarUbicacion: (restauranteId, sedeId, { latitud, longitud, direccion_normalizada }, executor = db) => executor.query(
+      'UPDATE sedes SET latitud = $1, longitud = $2, direccion_normalizada = $3 WHERE id = $4 AND restaurante_id = $5',
+      [latitud, longitud, direccion_normalizada, sedeId, restauranteId]
+    ),
+
+    // Devuelve false si la sede no existe en ese restaurante
+    remove: (restauranteId, sedeId, executor) => enTransaccion(db, executor, async (tx) => {
+      const result = await tx.query(
+        'DELETE FROM sedes WHERE id = $1 AND restaurante_id = $2',
+        [sedeId, restauranteId]
+      );
+
+      if (result.rowCount > 0) {
+        await incrementarVersion(tx, restauranteId);
+      }
+      return result.rowCount > 0;
+    })
+  };
+};
+
+module.exports = { createSedesRepository };
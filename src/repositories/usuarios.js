@@ -0,0 +1,138 @@
+const { hashPassword } = require('../auth/passwords');
+
+const PUBLIC_COLUMNS = 'u.id, u.email, u.nombre, u.rol, u.restaurante_id, u.activo, u.verificado, u.version, u.fecha_creacion';
+
+const selectWithCiudades = (dialect, where = '') => `
+  SELECT
+    ${PUBLIC_COLUMNS},
+    ${dialect.stringAgg('CAST(uc.ciudad_id AS TEXT)')} as ciudades_ids
+  FROM usuarios u
+  LEFT JOIN usuarios_ciudades uc ON u.id = uc.usuario_id
+  ${where}
+  GROUP BY u.id
+`;
+
+// Nunca se expone password_hash; las ciudades del editor se devuelven como números
+const mapRow = (row) => ({
+  ...row,
+  activo: Boolean(row.activo),
+  verificado: Boolean(row.verificado),
+  ciudades_ids: row.ciudades_ids ? row.ciudades_ids.split(',').map(Number) : []
+});
+
+const replaceCiudades = async (tx, usuarioId, ciudadesIds) => {
+  await tx.query('DELETE FROM usuarios_ciudades WHERE usuario_id = $1', [usuarioId]);
+
+  for (const ciudadId of ciudadesIds || []) {
+    await tx.query(
+      'INSERT INTO usuarios_ciudades (usuario_id, ciudad_id) VALUES ($1, $2)',
+      [usuarioId, ciudadId]
+    );
+  }
+};
+
+// Acceso a datos de usuarios y sus ciudades asignadas
+const createUsuariosRepository = (db) => {
+  const findById = async (id) => {
+    const result = await db.query(selectWithCiudades(db.dialect, 'WHERE u.id = $1'), [id]);
+    return result.rows[0] ? mapRow(result.rows[0]) : null;
+  };
+
+  return {
+    findById,
+
+    // Incluye password_hash: solo para el login
+    findCredentialsByEmail: async (email) => {
+      const result = await db.query(
+        'SELECT id, password_hash, activo FROM usuarios WHERE LOWER(email) = LOWER($1)',
+        [email]
+      );
+      return result.rows[0] || null;
+    },
+
+    list: async () => {
+      const result = await db.query(`${selectWithCiudades(db.dialect)} ORDER BY u.email`);
+      return result.rows.map(mapRow);
+    },
+
+    // Las cuentas que crea un administrador nacen verificadas
+    create: async ({ email, nombre, password, rol, restaurante_id, ciudades_ids }) => {
+      const passwordHash = await hashPassword(password);
+
+      const id = await db.transaction(async (tx) => {
+        const result = await tx.query(
+          'INSERT INTO usuarios (email, nombre, password_hash, rol, restaurante_id, verificado) VALUES ($1, $2, $3, $4, $5, TRUE) RETURNING id',
+          [email.trim().toLowerCase(), nombre?.trim() || null, passwordHash, rol, restaurante_id || null]
+        );
+        await replaceCiudades(tx, result.rows[0].id, ciudades_ids);
+        return result.rows[0].id;
+      });
+
+      return findById(id);
+    },
+
+    // Solo actualiza la contraseña si se envía una nueva; devuelve null si no existe
+    update: async (id, { email, nombre, password, rol, restaurante_id, ciudades_ids, activo }) => {
+      const passwordHash = password ? await hashPassword(password) : null;
+
+      const updated = await db.transaction(async (tx) => {
+        const result = await tx.query(`
+          UPDATE usuarios SET
+            email = $1, nombre = $2, rol = $3, restaurante_id = $4, activo = $5,
+            password_hash = COALESCE($6, password_hash), version = version + 1
+          WHERE id = $7
+          RETURNING id
+        `, [email.trim().toLowerCase(), nombre?.trim() || null, rol, restaurante_id || null, activo !== false, passwordHash, id]);
+
+        if (result.rows.length === 0) {
+          return false;
+        }
+
+        await replaceCiudades(tx, id, ciudades_ids);
+        return true;
+      });
+
+      return updated ? findById(id) : null;
+    },
+
+    // Registro público: rol "lectura" y sin verificar hasta que use el token
+    // (verificacion: { hash, expira } de auth/verificacion)
+    registrar: async ({ email, nombre, password }, verificacion) => {
+      const result = await db.query(`
+        INSERT INTO usuarios (email, nombre, password_hash, rol, verificado, verificacion_hash, verificacion_expira)
+        VALUES ($1, $2, $3, 'lectura', FALSE, $4, $5)
+        RETURNING id
+      `, [email.trim().toLowerCase(), nombre?.trim() || null, await hashPassword(password), verificacion.hash, verificacion.expira]);
+      return findById(result.rows[0].id);
+    },
+
+    // Marca como verificada la cuenta del token (por su hash) si no ha
+    // caducado; devuelve el usuario o null
+    verificar: async (hash) => {
+      const result = await db.query(`
+        UPDATE usuarios SET verificado = TRUE, verificacion_hash = NULL, verificacion_expira = NULL, version = version + 1
+        WHERE verificacion_hash = $1 AND verificacion_expira > $2
+        RETURNING id
+      `, [hash, Date.now()]);
+      return result.rows[0] ? findById(result.rows[0].id) : null;
+    },
+
+    // Nuevo token para una cuenta sin verificar; devuelve el usuario o null
+    renovarVerificacion: async (email, verificacion) => {
+      const result = await db.query(`
+        UPDATE usuarios SET verificacion_hash = $1, verificacion_expira = $2, version = version + 1
+        WHERE LOWER(email) = LOWER($3) AND verificado = FALSE AND activo = TRUE
+        RETURNING id
+      `, [verificacion.hash, verificacion.expira, email]);
+      return result.rows[0] ? findById(result.rows[0].id) : null;
+    },
+
+    // Devuelve false si el usuario no existe
+    remove: async (id) => {
+      const result = await db.query('DELETE FROM usuarios WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    }
+  };
+};
+
+module.exports = { createUsuariosRepository };
@@ -0,0 +1,145 @@
+const SELECT_CATEGORIAS = `
+  SELECT
+    cv.*,
+    e.nombre as edicion_nombre,
+    e.anio as edicion_anio,
+    e.ciudad_id,
+    e.estado as edicion_estado,
+    (SELECT COUNT(*) FROM votos v WHERE v.categoria_id = cv.id) as total_votos
+  FROM categorias_votacion cv
+  JOIN ediciones e ON cv.edicion_id = e.id
+`;
+
+// COUNT(*) llega como string desde pg; los resultados congelados se guardan como JSON
+const mapCategoria = (row) => ({
+  ...row,
+  total_votos: Number(row.total_votos),
+  resultados: row.resultados ? JSON.parse(row.resultados) : null
+});
+
+// Ordena por votos o por puntuación media según la modalidad y asigna la posición
+const ordenarRecuento = (modalidad, rows) => rows
+  .map(row => ({
+    restaurante_id: row.restaurante_id,
+    restaurante_nombre: row.restaurante_nombre,
+    propuesta_id: row.propuesta_id,
+    propuesta_nombre: row.propuesta_nombre,
+    votos: Number(row.votos),
+    promedio: modalidad === 'puntuacion' ? Math.round(Number(row.promedio) * 100) / 100 : null
+  }))
+  .sort((a, b) => (modalidad === 'puntuacion' ? b.promedio - a.promedio : 0) || b.votos - a.votos)
+  .map((fila, i) => ({ posicion: i + 1, ...fila }));
+
+// Acceso a datos de la votación del público
+const createVotacionesRepository = (db) => {
+  const findById = async (id, executor = db) => {
+    const result = await executor.query(`${SELECT_CATEGORIAS} WHERE cv.id = $1`, [id]);
+    return result.rows[0] ? mapCategoria(result.rows[0]) : null;
+  };
+
+  // Recuento en vivo de una categoría
+  const recuento = async (categoria, executor = db) => {
+    const result = await executor.query(`
+      SELECT
+        v.restaurante_id, r.nombre_mostrar as restaurante_nombre,
+        v.propuesta_id, p.nombre as propuesta_nombre,
+        COUNT(*) as votos, AVG(v.puntuacion) as promedio
+      FROM votos v
+      JOIN restaurantes r ON v.restaurante_id = r.id
+      LEFT JOIN propuestas p ON v.propuesta_id = p.id
+      WHERE v.categoria_id = $1
+      GROUP BY v.restaurante_id, r.nombre_mostrar, v.propuesta_id, p.nombre
+    `, [categoria.id]);
+    return ordenarRecuento(categoria.modalidad, result.rows);
+  };
+
+  return {
+    findById,
+    recuento,
+
+    list: async ({ edicionId, estado } = {}) => {
+      const conditions = [];
+      const params = [];
+
+      if (edicionId) {
+        params.push(edicionId);
+        conditions.push(`cv.edicion_id = $${params.length}`);
+      }
+      if (estado) {
+        params.push(estado);
+        conditions.push(`cv.estado = $${params.length}`);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const result = await db.query(`${SELECT_CATEGORIAS} ${where} ORDER BY e.anio DESC, cv.nombre`, params);
+      return result.rows.map(mapCategoria);
+    },
+
+    create: async ({ edicion_id, nombre, descripcion, modalidad, objetivo }) => {
+      const result = await db.query(`
+        INSERT INTO categorias_votacion (edicion_id, nombre, descripcion, modalidad, objetivo)
+        VALUES ($1, $2, $3, $4, $5) RETURNING id
+      `, [edicion_id, nombre.trim(), descripcion?.trim() || null, modalidad || 'voto', objetivo || 'restaurante']);
+      return findById(result.rows[0].id);
+    },
+
+    // Devuelve false si la categoría no existe
+    remove: async (id) => {
+      const result = await db.query('DELETE FROM categorias_votacion WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    },
+
+    findVoto: async (categoriaId, usuarioId) => {
+      const result = await db.query(
+        'SELECT * FROM votos WHERE categoria_id = $1 AND usuario_id = $2',
+        [categoriaId, usuarioId]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Registra el voto si la categoría sigue abierta; null si ya se cerró.
+    // Un segundo voto del mismo usuario viola UNIQUE(categoria_id, usuario_id).
+    votar: (categoriaId, usuarioId, { restauranteId, propuestaId, puntuacion }) => db.transaction(async (tx) => {
+      // En PostgreSQL el bloqueo compartido hace esperar al cierre hasta que
+      // el voto confirme, así el resultado congelado lo incluye siempre
+      const { rows } = await tx.query(
+        `SELECT estado FROM categorias_votacion WHERE id = $1 ${db.dialect.forShare}`,
+        [categoriaId]
+      );
+
+      if (!rows[0] || rows[0].estado !== 'abierta') {
+        return null;
+      }
+
+      const result = await tx.query(`
+        INSERT INTO votos (categoria_id, usuario_id, restaurante_id, propuesta_id, puntuacion)
+        VALUES ($1, $2, $3, $4, $5) RETURNING *
+      `, [categoriaId, usuarioId, restauranteId, propuestaId || null, puntuacion || null]);
+      return result.rows[0];
+    }),
+
+    // Cierra la votación y congela el recuento; null si ya estaba cerrada
+    cerrar: (categoriaId, usuarioId) => db.transaction(async (tx) => {
+      const result = await tx.query(`
+        UPDATE categorias_votacion SET estado = 'cerrada', fecha_cierre = CURRENT_TIMESTAMP, cerrada_por = $2,
+          version = version + 1
+        WHERE id = $1 AND estado = 'abierta'
+        RETURNING id
+      `, [categoriaId, usuarioId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const categoria = await findById(categoriaId, tx);
+      const resultados = await recuento(categoria, tx);
+      await tx.query(
+        'UPDATE categorias_votacion SET resultados = $1 WHERE id = $2',
+        [JSON.stringify(resultados), categoriaId]
+      );
+      return findById(categoriaId, tx);
+    })
+  };
+};
+
+module.exports = { createVotacionesRepository };
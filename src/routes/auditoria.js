@@ -0,0 +1,213 @@
+const express = require('express');
+const { normalizarSede } = require('../utils/sedes');
+const { cumpleIfMatch, versionEsperada, conEtag, responderConflicto } = require('../utils/concurrencia');
+
+const TABLAS = ['ciudades', 'patrocinadores', 'patrocinadores_ciudades', 'restaurantes'];
+
+const ACCIONES = ['insert', 'update', 'delete'];
+
+// El historial de un patrocinador incluye las altas y bajas de sus ciudades
+const TABLAS_DEL_REGISTRO = {
+  ciudades: ['ciudades'],
+  patrocinadores: ['patrocinadores', 'patrocinadores_ciudades'],
+  restaurantes: ['restaurantes']
+};
+
+const LIMITE_MAXIMO = 500;
+
+const limiteDe = (limit) => Math.min(Math.max(parseInt(limit, 10) || 100, 1), LIMITE_MAXIMO);
+
+// Cómo devolver cada tabla al estado guardado en el historial. "guardar"
+// actualiza el registro si existe o lo vuelve a crear con su id si ya se
+// purgó de la papelera, en la transacción tx. "ciudades" lista las ciudades a
+// las que apunta el estado guardado
+const restauradores = (repos) => ({
+  ciudades: {
+    entidad: 'ciudad',
+    repo: repos.ciudades,
+    ciudades: () => [],
+    // Las entradas anteriores a las coordenadas conservan las actuales
+    guardar: (id, estado, actual, opciones, tx) => (actual
+      ? repos.ciudades.update(id, { ...actual, ...estado }, opciones, tx)
+      : repos.ciudades.create(estado, { id }, tx))
+  },
+
+  patrocinadores: {
+    entidad: 'patrocinador',
+    repo: repos.patrocinadores,
+    ciudades: (estado) => estado.ciudades_ids.map(Number),
+    guardar: (id, estado, actual, opciones, tx) => (actual
+      ? repos.patrocinadores.update(id, estado, opciones, tx)
+      : repos.patrocinadores.create(estado, { id }, tx))
+  },
+
+  restaurantes: {
+    entidad: 'restaurante',
+    repo: repos.restaurantes,
+    ciudades: (estado) => (estado.ciudad_id ? [Number(estado.ciudad_id)] : []),
+    guardar: (id, estado, actual, opciones, tx) => {
+      const fields = { ...estado, sedes: (estado.sedes || []).map(normalizarSede) };
+      return actual
+        ? repos.restaurantes.update(id, fields, opciones, tx)
+        : repos.restaurantes.create(fields, { id }, tx);
+    }
+  }
+});
+
+// Se lanza dentro de la transacción de la restauración para deshacerla
+// (también la salida de la papelera) si el registro cambió entretanto
+const SIN_RESTAURAR = new Error('El registro cambió durante la restauración');
+
+// Endpoints del historial de cambios (solo administradores)
+const createAuditoriaRouter = ({ db, repos, notificador, auth }) => {
+  const router = express.Router();
+  const restaurar = restauradores(repos);
+
+  router.use(auth.requireRole('admin'));
+
+  // GET - Historial (filtros opcionales: tabla, registro_id, actor_id, request_id, accion, desde, hasta, limit)
+  router.get('/', async (req, res) => {
+    const { tabla, registro_id, actor_id, request_id, accion, desde, hasta, limit } = req.query;
+
+    if (tabla && !TABLAS.includes(tabla)) {
+      return res.status(400).json({ error: `Tabla no válida. Use: ${TABLAS.join(', ')}` });
+    }
+
+    if (accion && !ACCIONES.includes(accion)) {
+      return res.status(400).json({ error: `Acción no válida. Use: ${ACCIONES.join(', ')}` });
+    }
+
+    try {
+      res.json(await repos.auditoria.list({
+        tablas: tabla ? [tabla] : undefined,
+        registroId: registro_id,
+        actorId: actor_id,
+        requestId: request_id,
+        accion,
+        desde,
+        hasta
+      }, limiteDe(limit)));
+    } catch (error) {
+      console.error('Error obteniendo historial:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Historial de un registro, del cambio más reciente al más antiguo
+  router.get('/:tabla/:registroId', async (req, res) => {
+    const { tabla, registroId } = req.params;
+
+    if (!TABLAS_DEL_REGISTRO[tabla]) {
+      return res.status(400).json({ error: `Tabla no válida. Use: ${Object.keys(TABLAS_DEL_REGISTRO).join(', ')}` });
+    }
+
+    try {
+      res.json(await repos.auditoria.list(
+        { tablas: TABLAS_DEL_REGISTRO[tabla], registroId },
+        limiteDe(req.query.limit)
+      ));
+    } catch (error) {
+      console.error('Error obteniendo historial del registro:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // POST - Devolver el registro al estado de una entrada del historial: el
+  // posterior al cambio o, si la entrada es una baja, el anterior (lo saca de
+  // la papelera o, si ya se purgó, lo vuelve a crear). La restauración queda a
+  // su vez en el historial. Admite If-Match
+  router.post('/:id/restaurar', async (req, res) => {
+    try {
+      const entrada = await repos.auditoria.findById(req.params.id);
+
+      if (!entrada) {
+        return res.status(404).json({ error: 'Entrada del historial no encontrada' });
+      }
+
+      const estado = entrada.despues || entrada.antes;
+
+      // Un enlace patrocinador-ciudad se restaura volviendo a asociar la ciudad
+      if (entrada.tabla === 'patrocinadores_ciudades') {
+        const anterior = await repos.patrocinadores.findById(estado.patrocinador_id);
+
+        if (!anterior) {
+          return res.status(409).json({ error: 'El patrocinador ya no existe' });
+        }
+
+        if (!(await repos.ciudades.findById(estado.ciudad_id))) {
+          return res.status(409).json({ error: 'La ciudad ya no existe' });
+        }
+
+        if (!cumpleIfMatch(req, anterior)) {
+          return responderConflicto(res, anterior);
+        }
+
+        const patrocinador = await notificador.conHistorial(req, 'patrocinador', 'updated', anterior, async (tx) => {
+          await repos.patrocinadores.agregarCiudad(anterior.id, estado.ciudad_id, {}, tx);
+          return repos.patrocinadores.findById(anterior.id, tx);
+        });
+        notificador.actualizado(req, 'patrocinador', patrocinador, anterior);
+        return conEtag(res, patrocinador).json(patrocinador);
+      }
+
+      const restaurador = restaurar[entrada.tabla];
+      const faltan = await repos.ciudades.inexistentes(restaurador.ciudades(estado));
+
+      if (faltan.length > 0) {
+        return res.status(409).json({ error: 'Alguna ciudad del registro ya no existe', ciudades_ids: faltan });
+      }
+
+      const { repo } = restaurador;
+      const enPapelera = await repo.findEnPapelera(entrada.registro_id);
+      const vigente = enPapelera || await repo.findById(entrada.registro_id);
+
+      if (vigente && !cumpleIfMatch(req, vigente)) {
+        return responderConflicto(res, vigente);
+      }
+
+      // Salida de la papelera, restauración e historial, todo o nada
+      let restaurado;
+      try {
+        restaurado = await db.transaction(async (tx) => {
+          const anterior = enPapelera ? await repo.restaurar(entrada.registro_id, tx) : vigente;
+          const guardado = await restaurador.guardar(entrada.registro_id, estado, anterior, {
+            version: anterior ? versionEsperada(req, anterior) : undefined
+          }, tx);
+
+          if (!guardado) {
+            throw SIN_RESTAURAR;
+          }
+
+          await notificador.auditar(req, restaurador.entidad, vigente ? 'updated' : 'created', guardado, vigente, tx);
+          return guardado;
+        });
+      } catch (error) {
+        if (error !== SIN_RESTAURAR) {
+          throw error;
+        }
+        // Otro usuario lo cambió o eliminó entre la lectura y la escritura
+        const actual = await repo.findById(entrada.registro_id);
+        return actual ? responderConflicto(res, actual) : res.status(409).json({ error: 'El registro se eliminó durante la restauración' });
+      }
+
+      if (vigente) {
+        notificador.actualizado(req, restaurador.entidad, restaurado, vigente);
+        conEtag(res, restaurado).json(restaurado);
+      } else {
+        notificador.creado(req, restaurador.entidad, restaurado);
+        conEtag(res, restaurado).status(201).json(restaurado);
+      }
+    } catch (error) {
+      if (db.isUniqueViolation(error)) {
+        res.status(409).json({ error: 'Otro registro ya usa alguno de los valores únicos de esta versión' });
+      } else {
+        console.error('Error restaurando desde el historial:', error);
+        res.status(500).json({ error: 'Error interno del servidor' });
+      }
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAuditoriaRouter };
@@ -0,0 +1,164 @@
+const express = require('express');
+const { verifyPassword } = require('../auth/passwords');
+const { ROLES } = require('../middleware/auth');
+const { hashToken, crearTokenVerificacion } = require('../auth/verificacion');
+const { validarCredenciales } = require('../utils/usuarios');
+
+// Endpoints de autenticación y registro público (votantes y comensales)
+const createAuthRouter = ({ db, repos, tokens, auth, mailer, config }) => {
+  const router = express.Router();
+
+  // Enviar el enlace de verificación; si el correo falla la cuenta queda
+  // creada y el usuario puede pedir otro enlace
+  const enviarVerificacion = async (usuario, token) => {
+    const enlace = `${config.mail.verifyUrl}?token=${encodeURIComponent(token)}`;
+    try {
+      await mailer.enviar({
+        para: usuario.email,
+        asunto: 'Verifique su cuenta de As Gastronómico',
+        texto: `Para votar y reservar en As Gastronómico, confirme su email en este enlace:\n\n${enlace}\n\nSi no creó esta cuenta, ignore este mensaje.`
+      });
+    } catch (error) {
+      console.error(`Error enviando la verificación a ${usuario.email}:`, error);
+    }
+  };
+
+  // Avisar a quien ya tiene cuenta de que alguien intentó registrar su email;
+  // la respuesta del registro no lo dice para no revelar qué emails existen
+  const enviarAvisoCuentaExistente = async (email) => {
+    try {
+      await mailer.enviar({
+        para: email,
+        asunto: 'Ya tiene una cuenta en As Gastronómico',
+        texto: 'Alguien intentó crear una cuenta en As Gastronómico con este email, pero ya está registrado. ' +
+          'Puede iniciar sesión con su contraseña o, si aún no verificó su email, pedir un nuevo enlace de verificación.\n\n' +
+          'Si no fue usted, ignore este mensaje.'
+      });
+    } catch (error) {
+      console.error(`Error enviando el aviso de cuenta existente a ${email}:`, error);
+    }
+  };
+
+  const registroRecibido = 'Registro recibido; revise su email para verificar la cuenta';
+
+  const sinRegistro = (res) => res.status(503).json({ error: 'El registro de usuarios no está disponible' });
+
+  // POST - Iniciar sesión y obtener un token
+  router.post('/login', async (req, res) => {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'El email y la contraseña son requeridos' });
+    }
+
+    try {
+      const credenciales = await repos.usuarios.findCredentialsByEmail(email.trim());
+      const valido = credenciales && credenciales.activo &&
+        await verifyPassword(password, credenciales.password_hash);
+
+      if (!valido) {
+        return res.status(401).json({ error: 'Credenciales inválidas' });
+      }
+
+      const usuario = await repos.usuarios.findById(credenciales.id);
+      res.json({ token: tokens.sign(usuario), usuario });
+    } catch (error) {
+      console.error('Error iniciando sesión:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // POST - Registrarse para votar y reservar: la cuenta (rol lectura) puede
+  // iniciar sesión, pero votar y reservar exigen verificar el email. Responde
+  // igual si el email ya estaba registrado (el aviso llega solo por email)
+  router.post('/registro', async (req, res) => {
+    const { email, password } = req.body;
+
+    if (!mailer) {
+      return sinRegistro(res);
+    }
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'El email y la contraseña son requeridos' });
+    }
+
+    const validationError = validarCredenciales(req.body, { passwordRequerida: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const { token, ...verificacion } = crearTokenVerificacion(config.auth.verificationTtl);
+      const usuario = await repos.usuarios.registrar(req.body, verificacion);
+
+      await enviarVerificacion(usuario, token);
+      res.status(202).json({ message: registroRecibido });
+    } catch (error) {
+      if (db.isUniqueViolation(error)) {
+        await enviarAvisoCuentaExistente(email.trim().toLowerCase());
+        res.status(202).json({ message: registroRecibido });
+      } else {
+        console.error('Error registrando usuario:', error);
+        res.status(500).json({ error: 'Error interno del servidor' });
+      }
+    }
+  });
+
+  // POST - Verificar el email con el token del enlace
+  router.post('/verificar', async (req, res) => {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'El token es requerido' });
+    }
+
+    try {
+      const usuario = await repos.usuarios.verificar(hashToken(token));
+
+      if (!usuario) {
+        return res.status(400).json({ error: 'El enlace de verificación no es válido o ha caducado' });
+      }
+
+      res.json({ message: 'Email verificado correctamente', usuario });
+    } catch (error) {
+      console.error('Error verificando usuario:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // POST - Pedir un nuevo enlace de verificación. Responde igual exista o no
+  // la cuenta para no revelar qué emails están registrados
+  router.post('/reenviar-verificacion', async (req, res) => {
+    const { email } = req.body;
+
+    if (!mailer) {
+      return sinRegistro(res);
+    }
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ error: 'El email es requerido' });
+    }
+
+    try {
+      const { token, ...verificacion } = crearTokenVerificacion(config.auth.verificationTtl);
+      const usuario = await repos.usuarios.renovarVerificacion(email.trim(), verificacion);
+
+      if (usuario) {
+        await enviarVerificacion(usuario, token);
+      }
+      res.status(202).json({ message: 'Si la cuenta existe y no está verificada, recibirá un nuevo enlace' });
+    } catch (error) {
+      console.error('Error reenviando la verificación:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Usuario autenticado actual
+  router.get('/me', auth.requireRole(...ROLES), (req, res) => {
+    res.json(req.user);
+  });
+
+  return router;
+};
+
+module.exports = { createAuthRouter };
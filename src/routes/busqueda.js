@@ -0,0 +1,74 @@
+const express = require('express');
+const { parseBusqueda } = require('../utils/busqueda');
+const { unirResultados } = require('../repositories/busqueda');
+
+// Tipos de resultado de la búsqueda global, en el orden de los grupos, y su índice
+const TIPOS = { restaurante: 'restaurantes', sede: 'sedes', patrocinador: 'patrocinadores', ciudad: 'ciudades' };
+
+// Resultados por tipo en autocompletado si no se indica limit
+const LIMITE_AUTOCOMPLETAR = 5;
+
+const esVerdadero = (valor) => valor === 'true' || valor === '1';
+
+// Búsqueda en todas las entidades con una sola petición (ver repositories/busqueda)
+const createBusquedaRouter = ({ repos }) => {
+  const router = express.Router();
+
+  // GET - Buscar en ciudades, patrocinadores, restaurantes y sedes. Parámetros:
+  // q; tipos (separados por comas, por defecto todos); limit (por tipo);
+  // autocompletar=true para la respuesta más rápida: sin fragmentos, sin
+  // corrección de erratas en SQLite y sin totales (total: null).
+  // Responde { q, total, grupos: [{ tipo, total, resultados }] } con un grupo por
+  // tipo; cada resultado es { tipo, id, titulo, subtitulo, relevancia, fragmento }
+  // (las sedes añaden restaurante_id)
+  router.get('/', async (req, res) => {
+    try {
+      const autocompletar = esVerdadero(req.query.autocompletar);
+      const { q, limit, error } = parseBusqueda(autocompletar ? { limit: LIMITE_AUTOCOMPLETAR, ...req.query } : req.query);
+
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      if (req.query.tipos !== undefined && typeof req.query.tipos !== 'string') {
+        return res.status(400).json({ error: 'tipos debe ser un único valor, separado por comas' });
+      }
+
+      const tipos = req.query.tipos ? req.query.tipos.split(',').map(tipo => tipo.trim()) : Object.keys(TIPOS);
+      const desconocido = tipos.find(tipo => !Object.hasOwn(TIPOS, tipo));
+
+      if (desconocido) {
+        return res.status(400).json({ error: `Tipo no válido: ${desconocido}. Use: ${Object.keys(TIPOS).join(', ')}` });
+      }
+
+      if (!q) {
+        return res.json({ q: '', total: 0, grupos: [] });
+      }
+
+      const grupos = await Promise.all(Object.keys(TIPOS).filter(tipo => tipos.includes(tipo)).map(async (tipo) => {
+        const indice = TIPOS[tipo];
+        const encontrados = await repos.busqueda.buscar(indice, q, { limit, rapida: autocompletar });
+        const resumenes = await repos.busqueda.resumir(indice, encontrados.map(({ id }) => id));
+
+        return {
+          tipo,
+          total: autocompletar ? null : await repos.busqueda.contar(indice, q),
+          resultados: unirResultados(encontrados, resumenes).map(resultado => ({ tipo, ...resultado }))
+        };
+      }));
+
+      res.json({
+        q,
+        total: autocompletar ? null : grupos.reduce((suma, grupo) => suma + grupo.total, 0),
+        grupos
+      });
+    } catch (error) {
+      console.error('Error en la búsqueda global:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createBusquedaRouter };
@@ -0,0 +1,81 @@
+const express = require('express');
+
+const ESTADOS = ['pendiente', 'aprobado', 'rechazado'];
+
+// Revisión de cambios propuestos por propietarios (solo administradores)
+const createCambiosRestaurantesRouter = ({ repos, notificador, auth, geocodificacion }) => {
+  const router = express.Router();
+
+  router.use(auth.requireRole('admin'));
+
+  // GET - Listar cambios; por defecto solo los pendientes
+  router.get('/', async (req, res) => {
+    const estado = req.query.estado || 'pendiente';
+
+    if (estado !== 'todos' && !ESTADOS.includes(estado)) {
+      return res.status(400).json({ error: `El estado debe ser uno de: ${ESTADOS.join(', ')}, todos` });
+    }
+
+    try {
+      res.json(await repos.cambiosRestaurantes.list({ estado: estado === 'todos' ? null : estado }));
+    } catch (error) {
+      console.error('Error obteniendo cambios de restaurantes:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // POST - Aprobar y publicar un cambio pendiente
+  router.post('/:id/aprobar', async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const pendiente = await repos.cambiosRestaurantes.findById(id);
+      const anterior = pendiente && await repos.restaurantes.findById(pendiente.restaurante_id);
+      const restaurante = anterior && await notificador.conHistorial(req, 'restaurante', 'updated', anterior, async (tx) => {
+        const cambio = await repos.cambiosRestaurantes.aprobar(id, req.user.id, tx);
+        return cambio && repos.restaurantes.findById(cambio.restaurante_id, tx);
+      });
+
+      if (!restaurante) {
+        return res.status(404).json({ error: 'Cambio pendiente no encontrado' });
+      }
+
+      const cambioAprobado = await repos.cambiosRestaurantes.findById(id);
+
+      notificador.actualizado(req, 'restaurante', restaurante, anterior);
+      notificador.actualizado(req, 'cambio_restaurante', cambioAprobado, pendiente);
+      geocodificacion.encolar(restaurante.id, anterior);
+
+      res.json({ cambio: cambioAprobado, restaurante });
+    } catch (error) {
+      console.error('Error aprobando cambio de restaurante:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // POST - Rechazar un cambio pendiente
+  router.post('/:id/rechazar', async (req, res) => {
+    const { id } = req.params;
+    const { motivo } = req.body;
+
+    try {
+      const pendiente = await repos.cambiosRestaurantes.findById(id);
+      const cambio = pendiente && await repos.cambiosRestaurantes.rechazar(id, req.user.id, motivo?.trim() || null);
+
+      if (!cambio) {
+        return res.status(404).json({ error: 'Cambio pendiente no encontrado' });
+      }
+
+      const cambioRechazado = await repos.cambiosRestaurantes.findById(id);
+      notificador.actualizado(req, 'cambio_restaurante', cambioRechazado, pendiente);
+      res.json(cambioRechazado);
+    } catch (error) {
+      console.error('Error rechazando cambio de restaurante:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createCambiosRestaurantesRouter };
@@ -0,0 +1,370 @@
+const express = require('express');
+const { parsePagina, parseFiltros, responderListado } = require('../utils/listados');
+const { parseBusqueda } = require('../utils/busqueda');
+const { numero, validarCoordenadas } = require('../utils/geo');
+const { cumpleIfMatch, versionEsperada, conEtag, responderConflicto } = require('../utils/concurrencia');
+const { ORDENABLES } = require('../repositories/ciudades');
+
+// Filtros del listado y su tipo (ver utils/listados)
+const FILTROS = { creado_desde: 'fecha', creado_hasta: 'fecha' };
+
+const esVerdadero = (valor) => valor === true || valor === 'true' || valor === '1';
+
+// latitud y longitud del cuerpo; las que no se envían se conservan de
+// "anterior". Devuelve { coordenadas } o { error }
+const coordenadasDe = (body, anterior = {}) => {
+  const coordenadas = {
+    latitud: body.latitud === undefined ? anterior.latitud ?? null : numero(body.latitud),
+    longitud: body.longitud === undefined ? anterior.longitud ?? null : numero(body.longitud)
+  };
+  const error = validarCoordenadas(coordenadas);
+  return error ? { error } : { coordenadas };
+};
+
+// Qué haría la baja de la ciudad según reassign_to / force (en la query o en el
+// cuerpo). Devuelve { status, error } si los parámetros no son válidos, o el
+// plan { dependencias, destino, forzar, bloqueada }: bloqueada si la ciudad
+// tiene dependientes y no se indicó ni reassign_to ni force. Las consultas van
+// por executor (la transacción de la baja)
+const planificarEliminacion = async (repos, ciudad, { reassign_to, force }, executor) => {
+  const forzar = esVerdadero(force);
+  let destino = null;
+
+  if (reassign_to !== undefined && reassign_to !== null && reassign_to !== '') {
+    if (forzar) {
+      return { status: 400, error: 'Indique reassign_to o force, no ambos' };
+    }
+
+    if (!Number.isInteger(Number(reassign_to))) {
+      return { status: 400, error: 'reassign_to debe ser el id de una ciudad' };
+    }
+
+    if (Number(reassign_to) === Number(ciudad.id)) {
+      return { status: 400, error: 'La ciudad de destino debe ser distinta de la que se elimina' };
+    }
+
+    destino = await repos.ciudades.findById(reassign_to, executor);
+    if (!destino) {
+      return { status: 400, error: 'La ciudad de destino no existe' };
+    }
+  }
+
+  const dependencias = await repos.ciudades.dependencias(ciudad.id, executor);
+  const tieneDependientes = dependencias.restaurantes.length > 0 || dependencias.patrocinadores.length > 0;
+
+  return { dependencias, destino, forzar, bloqueada: tieneDependientes && !destino && !forzar };
+};
+
+const MENSAJE_BLOQUEADA = 'La ciudad tiene restaurantes o patrocinadores asociados; indique reassign_to con otra ciudad o force=true';
+
+// Endpoints para ciudades
+const createCiudadesRouter = ({ db, repos, notificador, auth }) => {
+  const router = express.Router();
+
+  // GET - Listado de ciudades (filtros: creado_desde, creado_hasta; orden y
+  // paginación en utils/listados)
+  router.get('/', async (req, res) => {
+    const pagina = parsePagina(req.query, { ordenables: ORDENABLES, ordenPorDefecto: '-fecha_creacion' });
+    const { filtros, error } = parseFiltros(req.query, FILTROS);
+
+    if (pagina.error || error) {
+      return res.status(400).json({ error: pagina.error || error });
+    }
+
+    try {
+      responderListado(req, res, pagina, await repos.ciudades.list(filtros, pagina));
+    } catch (error) {
+      console.error('Error obteniendo ciudades:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // POST - Crear nueva ciudad (latitud y longitud opcionales)
+  router.post('/', auth.requireRole('admin'), async (req, res) => {
+    const { nombre } = req.body;
+
+    if (!nombre || nombre.trim() === '') {
+      return res.status(400).json({ error: 'El nombre de la ciudad es requerido' });
+    }
+
+    const { coordenadas, error } = coordenadasDe(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      const nuevaCiudad = await notificador.conHistorial(req, 'ciudad', 'created', null,
+        (tx) => repos.ciudades.create({ nombre: nombre.trim(), ...coordenadas }, {}, tx));
+      notificador.creado(req, 'ciudad', nuevaCiudad);
+      res.status(201).json(nuevaCiudad);
+    } catch (error) {
+      if (db.isUniqueViolation(error)) {
+        res.status(400).json({ error: 'Ya existe una ciudad con ese nombre' });
+      } else {
+        console.error('Error creando ciudad:', error);
+        res.status(500).json({ error: 'Error interno del servidor' });
+      }
+    }
+  });
+
+  // PUT - Actualizar ciudad (sin latitud ni longitud se conservan las actuales)
+  router.put('/:id', auth.requireRole('admin'), async (req, res) => {
+    const { id } = req.params;
+    const { nombre } = req.body;
+
+    if (!nombre || nombre.trim() === '') {
+      return res.status(400).json({ error: 'El nombre de la ciudad es requerido' });
+    }
+
+    try {
+      const anterior = await repos.ciudades.findById(id);
+
+      if (!anterior) {
+        return res.status(404).json({ error: 'Ciudad no encontrada' });
+      }
+
+      if (!cumpleIfMatch(req, anterior)) {
+        return responderConflicto(res, anterior);
+      }
+
+      const { coordenadas, error } = coordenadasDe(req.body, anterior);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const ciudadActualizada = await notificador.conHistorial(req, 'ciudad', 'updated', anterior, (tx) => repos.ciudades.update(
+        id,
+        { nombre: nombre.trim(), ...coordenadas },
+        { version: versionEsperada(req, anterior) },
+        tx
+      ));
+
+      // Otro usuario la cambió o eliminó entre la lectura y la escritura
+      if (!ciudadActualizada) {
+        const vigente = await repos.ciudades.findById(id);
+        return vigente ? responderConflicto(res, vigente) : res.status(404).json({ error: 'Ciudad no encontrada' });
+      }
+
+      notificador.actualizado(req, 'ciudad', ciudadActualizada, anterior);
+      conEtag(res, ciudadActualizada).json(ciudadActualizada);
+    } catch (error) {
+      if (db.isUniqueViolation(error)) {
+        res.status(400).json({ error: 'Ya existe una ciudad con ese nombre' });
+      } else {
+        console.error('Error actualizando ciudad:', error);
+        res.status(500).json({ error: 'Error interno del servidor' });
+      }
+    }
+  });
+
+  // GET - Simulación de la baja: dependientes y qué pasaría con los mismos
+  // reassign_to / force que se enviarían al DELETE (no modifica nada)
+  router.get('/:id/impacto-eliminacion', auth.requireRole('admin'), async (req, res) => {
+    try {
+      const ciudad = await repos.ciudades.findById(req.params.id);
+
+      if (!ciudad) {
+        return res.status(404).json({ error: 'Ciudad no encontrada' });
+      }
+
+      const plan = await planificarEliminacion(repos, ciudad, req.query);
+
+      if (plan.error) {
+        return res.status(plan.status).json({ error: plan.error });
+      }
+
+      const { restaurantes, patrocinadores } = plan.dependencias;
+      res.json({
+        ciudad,
+        permitida: !plan.bloqueada,
+        accion: plan.bloqueada ? null : (plan.destino ? 'reasignar' : 'eliminar'),
+        ...(plan.bloqueada && { error: MENSAJE_BLOQUEADA }),
+        reasignar_a: plan.destino,
+        // Con force los dependientes siguen apuntando a la ciudad en la papelera
+        quedan_sin_ciudad: plan.forzar ? { restaurantes: restaurantes.length, patrocinadores: patrocinadores.length } : null,
+        restaurantes,
+        patrocinadores
+      });
+    } catch (error) {
+      console.error('Error simulando eliminación de ciudad:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // DELETE - Eliminar ciudad (pasa a la papelera). Con dependientes responde 409
+  // salvo que se indique reassign_to (los pasa a otra ciudad) o force=true
+  router.delete('/:id', auth.requireRole('admin'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const anterior = await repos.ciudades.findById(id);
+
+      if (!anterior) {
+        return res.status(404).json({ error: 'Ciudad no encontrada' });
+      }
+
+      if (!cumpleIfMatch(req, anterior)) {
+        return responderConflicto(res, anterior);
+      }
+
+      const parametros = { ...req.body, ...req.query };
+
+      // Comprobación de dependientes, reasignaciones, baja e historial en una
+      // transacción con la ciudad (y la de destino) bloqueadas: un restaurante
+      // o patrocinador que se le asocie entretanto espera a que termine
+      const resultado = await db.transaction(async (tx) => {
+        const destinoId = Number(parametros.reassign_to);
+        const bloqueadas = await repos.ciudades.bloquear(
+          Number.isInteger(destinoId) && destinoId !== Number(id) ? [Number(id), destinoId] : [Number(id)],
+          tx
+        );
+
+        const ciudad = bloqueadas.find(bloqueada => Number(bloqueada.id) === Number(id));
+        if (!ciudad) {
+          return { plan: { status: 404, error: 'Ciudad no encontrada' } };
+        }
+
+        const plan = await planificarEliminacion(repos, ciudad, parametros, tx);
+        if (plan.error || plan.bloqueada) {
+          return { plan };
+        }
+
+        // Estado previo de lo que se reasigna, para notificar cada cambio
+        const { restaurantes, patrocinadores } = plan.dependencias;
+        const reasignados = plan.destino ? {
+          restaurantes: await Promise.all(restaurantes.map(r => repos.restaurantes.findById(r.id, tx))),
+          patrocinadores: await Promise.all(patrocinadores.map(p => repos.patrocinadores.findById(p.id, tx)))
+        } : { restaurantes: [], patrocinadores: [] };
+
+        const eliminada = await repos.ciudades.remove(id, {
+          version: versionEsperada(req, anterior),
+          reasignarA: plan.destino ? plan.destino.id : undefined
+        }, tx);
+
+        if (!eliminada) {
+          return { plan, conflicto: true };
+        }
+
+        const cambios = [];
+        for (const [entidad, repo, registros] of [
+          ['restaurante', repos.restaurantes, reasignados.restaurantes],
+          ['patrocinador', repos.patrocinadores, reasignados.patrocinadores]
+        ]) {
+          for (const antes of registros.filter(Boolean)) {
+            const despues = await repo.findById(antes.id, tx);
+            await notificador.auditar(req, entidad, 'updated', despues, antes, tx);
+            cambios.push({ entidad, antes, despues });
+          }
+        }
+        await notificador.auditar(req, 'ciudad', 'deleted', ciudad, null, tx);
+        return { plan, ciudad, reasignados, cambios };
+      });
+
+      const { plan, ciudad, reasignados, cambios, conflicto } = resultado;
+
+      if (plan.error) {
+        return res.status(plan.status).json({ error: plan.error });
+      }
+
+      if (plan.bloqueada) {
+        return res.status(409).json({ error: MENSAJE_BLOQUEADA, ...plan.dependencias });
+      }
+
+      if (conflicto) {
+        const vigente = await repos.ciudades.findById(id);
+        return vigente ? responderConflicto(res, vigente) : res.status(404).json({ error: 'Ciudad no encontrada' });
+      }
+
+      cambios.forEach(({ entidad, antes, despues }) => notificador.actualizado(req, entidad, despues, antes));
+      notificador.eliminado(req, 'ciudad', ciudad);
+
+      res.json({
+        message: 'Ciudad eliminada correctamente',
+        reasignados: { restaurantes: reasignados.restaurantes.length, patrocinadores: reasignados.patrocinadores.length }
+      });
+    } catch (error) {
+      console.error('Error eliminando ciudad:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Ciudades en la papelera (las más recientes primero)
+  router.get('/trash', auth.requireRole('admin'), async (req, res) => {
+    try {
+      res.json(await repos.ciudades.listPapelera());
+    } catch (error) {
+      console.error('Error obteniendo papelera de ciudades:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // POST - Restaurar ciudad de la papelera; recupera sus patrocinadores y restaurantes
+  router.post('/:id/restaurar', auth.requireRole('admin'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const eliminada = await repos.ciudades.findEnPapelera(id);
+
+      if (!eliminada) {
+        return res.status(404).json({ error: 'La ciudad no está en la papelera' });
+      }
+
+      if (!cumpleIfMatch(req, eliminada)) {
+        return responderConflicto(res, eliminada);
+      }
+
+      const restaurada = await notificador.conHistorial(req, 'ciudad', 'updated', eliminada,
+        (tx) => repos.ciudades.restaurar(id, tx));
+
+      if (!restaurada) {
+        return res.status(404).json({ error: 'La ciudad no está en la papelera' });
+      }
+
+      notificador.actualizado(req, 'ciudad', restaurada, eliminada, { tipo: 'ciudad_restaurada' });
+      conEtag(res, restaurada).json(restaurada);
+    } catch (error) {
+      console.error('Error restaurando ciudad:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Buscar ciudades por texto (q; limit, por defecto 20). Ver repositories/busqueda
+  router.get('/buscar', async (req, res) => {
+    const { q, limit, error } = parseBusqueda(req.query);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (!q) {
+      return res.json([]);
+    }
+
+    try {
+      res.json(await repos.ciudades.search(q, { limit }));
+    } catch (error) {
+      console.error('Error buscando ciudades:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Obtener ciudad por ID (con ETag para If-Match / If-None-Match)
+  router.get('/:id', async (req, res) => {
+    try {
+      const ciudad = await repos.ciudades.findById(req.params.id);
+
+      if (!ciudad) {
+        return res.status(404).json({ error: 'Ciudad no encontrada' });
+      }
+
+      conEtag(res, ciudad).json(ciudad);
+    } catch (error) {
+      console.error('Error obteniendo ciudad:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createCiudadesRouter };
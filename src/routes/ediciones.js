@@ -0,0 +1,233 @@
+const express = require('express');
+const { puedeEditarCiudad, puedeEditarRestaurante, forbidden } = require('../middleware/auth');
+
+const ESTADOS = ['planificada', 'en_curso', 'finalizada', 'cancelada'];
+const FECHA = /^\d{4}-\d{2}-\d{2}$/;
+
+// Solo se puede inscribir o retirar restaurantes en ediciones abiertas
+const ESTADOS_ABIERTOS = ['planificada', 'en_curso'];
+
+// Validar datos de la edición; devuelve el mensaje de error o null
+const validateEdicion = ({ nombre, anio, fecha_inicio, fecha_fin, estado }) => {
+  if (!nombre || nombre.trim() === '' || !anio) {
+    return 'El nombre y el año de la edición son requeridos';
+  }
+
+  if (!Number.isInteger(Number(anio)) || Number(anio) < 2000 || Number(anio) > 2100) {
+    return 'El año de la edición no es válido';
+  }
+
+  if ((fecha_inicio && !FECHA.test(fecha_inicio)) || (fecha_fin && !FECHA.test(fecha_fin))) {
+    return 'Las fechas deben tener el formato YYYY-MM-DD';
+  }
+
+  if (fecha_inicio && fecha_fin && fecha_fin < fecha_inicio) {
+    return 'La fecha de fin no puede ser anterior a la de inicio';
+  }
+
+  if (estado && !ESTADOS.includes(estado)) {
+    return `El estado debe ser uno de: ${ESTADOS.join(', ')}`;
+  }
+
+  return null;
+};
+
+// Endpoints para ediciones del festival y sus participantes
+const createEdicionesRouter = ({ db, repos, notificador, auth }) => {
+  const router = express.Router();
+
+  // Cargar la edición de las rutas /:id; 404 si no existe
+  router.param('id', async (req, res, next, id) => {
+    try {
+      req.edicion = await repos.ediciones.findById(id);
+
+      if (!req.edicion) {
+        return res.status(404).json({ error: 'Edición no encontrada' });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET - Obtener ediciones (filtros opcionales: anio, ciudad_id, estado)
+  router.get('/', async (req, res) => {
+    const { anio, ciudad_id, estado } = req.query;
+
+    try {
+      res.json(await repos.ediciones.list({ anio, ciudadId: ciudad_id, estado }));
+    } catch (error) {
+      console.error('Error obteniendo ediciones:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Obtener edición por ID
+  router.get('/:id', (req, res) => {
+    res.json(req.edicion);
+  });
+
+  // POST - Crear nueva edición
+  router.post('/', auth.requireRole('admin', 'editor'), async (req, res) => {
+    const validationError = validateEdicion(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (!puedeEditarCiudad(req.user, req.body.ciudad_id)) {
+      return forbidden(res);
+    }
+
+    try {
+      const nuevaEdicion = await repos.ediciones.create(req.body);
+      notificador.creado(req, 'edicion', nuevaEdicion);
+      res.status(201).json(nuevaEdicion);
+    } catch (error) {
+      if (db.isUniqueViolation(error)) {
+        res.status(400).json({ error: 'Ya existe una edición con ese nombre, año y ciudad' });
+      } else {
+        console.error('Error creando edición:', error);
+        res.status(500).json({ error: 'Error interno del servidor' });
+      }
+    }
+  });
+
+  // PUT - Actualizar edición
+  router.put('/:id', auth.requireRole('admin', 'editor'), async (req, res) => {
+    const validationError = validateEdicion(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (!puedeEditarCiudad(req.user, req.edicion.ciudad_id) || !puedeEditarCiudad(req.user, req.body.ciudad_id)) {
+      return forbidden(res);
+    }
+
+    try {
+      const edicionActualizada = await repos.ediciones.update(req.edicion.id, req.body);
+      notificador.actualizado(req, 'edicion', edicionActualizada, req.edicion);
+      res.json(edicionActualizada);
+    } catch (error) {
+      if (db.isUniqueViolation(error)) {
+        res.status(400).json({ error: 'Ya existe una edición con ese nombre, año y ciudad' });
+      } else {
+        console.error('Error actualizando edición:', error);
+        res.status(500).json({ error: 'Error interno del servidor' });
+      }
+    }
+  });
+
+  // DELETE - Eliminar edición (y sus registros de participación)
+  router.delete('/:id', auth.requireRole('admin'), async (req, res) => {
+    try {
+      await repos.ediciones.remove(req.edicion.id);
+      notificador.eliminado(req, 'edicion', req.edicion);
+      res.json({ message: 'Edición eliminada correctamente' });
+    } catch (error) {
+      console.error('Error eliminando edición:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Restaurantes participantes (?incluir_retirados=true para ver también los retirados)
+  router.get('/:id/participantes', async (req, res) => {
+    try {
+      res.json(await repos.participaciones.listByEdicion(req.edicion.id, {
+        incluirRetirados: req.query.incluir_retirados === 'true'
+      }));
+    } catch (error) {
+      console.error('Error obteniendo participantes:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // Las participaciones se difunden con la ciudad de la edición para los clientes que filtran por ella
+  const conCiudad = (req, participacion) => participacion && { ...participacion, ciudad_id: req.edicion.ciudad_id };
+
+  // Comprobar que el restaurante existe, que el usuario lo gestiona y que la edición está abierta
+  const prepararParticipacion = async (req, res, restauranteId) => {
+    const restaurante = await repos.restaurantes.findById(restauranteId);
+
+    if (!restaurante) {
+      res.status(404).json({ error: 'Restaurante no encontrado' });
+      return null;
+    }
+
+    if (!puedeEditarRestaurante(req.user, restaurante)) {
+      forbidden(res);
+      return null;
+    }
+
+    if (!ESTADOS_ABIERTOS.includes(req.edicion.estado)) {
+      res.status(409).json({ error: `La edición está ${req.edicion.estado} y no admite cambios de participantes` });
+      return null;
+    }
+
+    return restaurante;
+  };
+
+  // POST - Inscribir un restaurante en la edición
+  router.post('/:id/participantes', auth.requireRole('admin', 'editor'), async (req, res) => {
+    const { restaurante_id } = req.body;
+
+    if (!restaurante_id) {
+      return res.status(400).json({ error: 'El restaurante_id es requerido' });
+    }
+
+    try {
+      const restaurante = await prepararParticipacion(req, res, restaurante_id);
+      if (!restaurante) {
+        return;
+      }
+
+      const anterior = await repos.participaciones.find(req.edicion.id, restaurante.id);
+      const participacion = await repos.participaciones.inscribir(req.edicion.id, restaurante.id);
+
+      if (!participacion) {
+        return res.status(409).json({ error: 'El restaurante ya está inscrito en esta edición' });
+      }
+
+      // Reinscribir un restaurante retirado reactiva su registro de participación
+      if (anterior) {
+        notificador.actualizado(req, 'participacion', conCiudad(req, participacion), conCiudad(req, anterior), {
+          tipo: 'participacion_agregada'
+        });
+      } else {
+        notificador.creado(req, 'participacion', conCiudad(req, participacion));
+      }
+      res.status(201).json(participacion);
+    } catch (error) {
+      console.error('Error inscribiendo restaurante:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // DELETE - Retirar un restaurante de la edición (se conserva el registro)
+  router.delete('/:id/participantes/:restauranteId', auth.requireRole('admin', 'editor'), async (req, res) => {
+    try {
+      const restaurante = await prepararParticipacion(req, res, req.params.restauranteId);
+      if (!restaurante) {
+        return;
+      }
+
+      const anterior = await repos.participaciones.find(req.edicion.id, restaurante.id);
+      const participacion = await repos.participaciones.retirar(req.edicion.id, restaurante.id);
+
+      if (!participacion) {
+        return res.status(404).json({ error: 'El restaurante no está inscrito en esta edición' });
+      }
+
+      notificador.actualizado(req, 'participacion', conCiudad(req, participacion), conCiudad(req, anterior), {
+        tipo: 'participacion_retirada'
+      });
+      res.json(participacion);
+    } catch (error) {
+      console.error('Error retirando restaurante:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createEdicionesRouter };
@@ -0,0 +1,417 @@
+const express = require('express');
+const { puedeEditarCiudades, forbidden } = require('../middleware/auth');
+const { parsePagina, parseFiltros, responderListado } = require('../utils/listados');
+const { parseBusqueda } = require('../utils/busqueda');
+const { cumpleIfMatch, versionEsperada, conEtag, responderConflicto } = require('../utils/concurrencia');
+const { COLUMNS, ORDENABLES } = require('../repositories/patrocinadores');
+
+// Filtros del listado y su tipo (ver utils/listados)
+const FILTROS = { ciudad_id: 'entero', con_logo: 'booleano', creado_desde: 'fecha', creado_hasta: 'fecha' };
+
+const CAMPOS_PATCH = [...COLUMNS, 'ciudades_ids'];
+
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Validar campos requeridos; devuelve el mensaje de error o null
+const validatePatrocinador = ({ nombre, email }) => {
+  if (!nombre || !email) {
+    return 'El nombre y email son requeridos';
+  }
+
+  if (!emailRegex.test(email)) {
+    return 'El formato del email no es válido';
+  }
+
+  return null;
+};
+
+// Validar un cuerpo JSON Merge Patch; devuelve el mensaje de error o null
+const validarParche = (cambios) => {
+  const campos = Object.keys(cambios);
+  const noPermitidos = campos.filter(campo => !CAMPOS_PATCH.includes(campo));
+
+  if (noPermitidos.length > 0) {
+    return `Campos no editables: ${noPermitidos.join(', ')}`;
+  }
+
+  if (campos.length === 0) {
+    return `Debe enviar al menos uno de: ${CAMPOS_PATCH.join(', ')}`;
+  }
+
+  if (['nombre', 'email'].some(campo => campo in cambios && !cambios[campo])) {
+    return 'El nombre y email no pueden quedar vacíos';
+  }
+
+  if (cambios.email !== undefined && !emailRegex.test(cambios.email)) {
+    return 'El formato del email no es válido';
+  }
+
+  return null;
+};
+
+// Cuerpo con ciudades_ids (si se envía) sin repetidos, o { error }: cada id
+// debe ser un entero positivo de una ciudad fuera de la papelera
+const validarCiudades = async (repos, cuerpo) => {
+  const { ciudades_ids: ciudadesIds } = cuerpo;
+
+  if (ciudadesIds === undefined || ciudadesIds === null) {
+    return { cuerpo };
+  }
+
+  if (!Array.isArray(ciudadesIds)) {
+    return { error: 'Las ciudades deben enviarse como un array de ids' };
+  }
+
+  const ids = ciudadesIds.map(id => (typeof id === 'string' && /^\d+$/.test(id) ? Number(id) : id));
+  if (!ids.every(id => Number.isInteger(id) && id > 0)) {
+    return { error: 'Los ids de ciudades deben ser enteros positivos' };
+  }
+
+  const unicos = [...new Set(ids)];
+  const faltan = await repos.ciudades.inexistentes(unicos);
+  if (faltan.length > 0) {
+    return { error: 'Alguna ciudad indicada no existe', ciudades_ids: faltan };
+  }
+
+  return { cuerpo: { ...cuerpo, ciudades_ids: unicos } };
+};
+
+// Endpoints para patrocinadores
+const createPatrocinadoresRouter = ({ db, repos, notificador, auth }) => {
+  const router = express.Router();
+
+  // GET - Listado de patrocinadores con sus ciudades (filtros: ciudad_id,
+  // con_logo, creado_desde, creado_hasta; orden y paginación en utils/listados)
+  router.get('/', async (req, res) => {
+    const pagina = parsePagina(req.query, { ordenables: ORDENABLES, ordenPorDefecto: '-fecha_creacion' });
+    const { filtros, error } = parseFiltros(req.query, FILTROS);
+
+    if (pagina.error || error) {
+      return res.status(400).json({ error: pagina.error || error });
+    }
+
+    try {
+      responderListado(req, res, pagina, await repos.patrocinadores.list(filtros, pagina));
+    } catch (error) {
+      console.error('Error obteniendo patrocinadores:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // POST - Crear nuevo patrocinador
+  router.post('/', auth.requireRole('admin', 'editor'), async (req, res) => {
+    const validationError = validatePatrocinador(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const { cuerpo, ...errorCiudades } = await validarCiudades(repos, req.body);
+      if (errorCiudades.error) {
+        return res.status(400).json(errorCiudades);
+      }
+
+      // Un editor solo puede asociar el patrocinador a sus ciudades
+      if (!puedeEditarCiudades(req.user, cuerpo.ciudades_ids || [])) {
+        return forbidden(res);
+      }
+
+      const patrocinadorFinal = await notificador.conHistorial(req, 'patrocinador', 'created', null,
+        (tx) => repos.patrocinadores.create(cuerpo, {}, tx));
+      notificador.creado(req, 'patrocinador', patrocinadorFinal);
+      res.status(201).json(patrocinadorFinal);
+    } catch (error) {
+      if (db.isUniqueViolation(error)) {
+        res.status(400).json({ error: 'Ya existe un patrocinador con ese email' });
+      } else {
+        console.error('Error creando patrocinador:', error);
+        res.status(500).json({ error: 'Error interno del servidor' });
+      }
+    }
+  });
+
+  // PUT - Actualizar patrocinador
+  router.put('/:id', auth.requireRole('admin', 'editor'), async (req, res) => {
+    const { id } = req.params;
+
+    const validationError = validatePatrocinador(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const actual = await repos.patrocinadores.findById(id);
+
+      if (!actual) {
+        return res.status(404).json({ error: 'Patrocinador no encontrado' });
+      }
+
+      const { cuerpo, ...errorCiudades } = await validarCiudades(repos, req.body);
+      if (errorCiudades.error) {
+        return res.status(400).json(errorCiudades);
+      }
+
+      if (!puedeEditarCiudades(req.user, actual.ciudades_ids) ||
+          !puedeEditarCiudades(req.user, cuerpo.ciudades_ids || [])) {
+        return forbidden(res);
+      }
+
+      if (!cumpleIfMatch(req, actual)) {
+        return responderConflicto(res, actual);
+      }
+
+      const patrocinadorFinal = await notificador.conHistorial(req, 'patrocinador', 'updated', actual,
+        (tx) => repos.patrocinadores.update(id, cuerpo, { version: versionEsperada(req, actual) }, tx));
+
+      // Otro usuario lo cambió o eliminó entre la lectura y la escritura
+      if (!patrocinadorFinal) {
+        const vigente = await repos.patrocinadores.findById(id);
+        return vigente ? responderConflicto(res, vigente) : res.status(404).json({ error: 'Patrocinador no encontrado' });
+      }
+
+      notificador.actualizado(req, 'patrocinador', patrocinadorFinal, actual);
+      conEtag(res, patrocinadorFinal).json(patrocinadorFinal);
+    } catch (error) {
+      if (db.isUniqueViolation(error)) {
+        res.status(400).json({ error: 'Ya existe un patrocinador con ese email' });
+      } else {
+        console.error('Error actualizando patrocinador:', error);
+        res.status(500).json({ error: 'Error interno del servidor' });
+      }
+    }
+  });
+
+  // PATCH - Actualización parcial (JSON Merge Patch): solo cambian los campos
+  // enviados; ciudades_ids sustituye la lista (para añadir o quitar una sola
+  // ciudad, ver /:id/ciudades)
+  router.patch('/:id', auth.requireRole('admin', 'editor'), async (req, res) => {
+    const { id } = req.params;
+
+    const validationError = validarParche(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const actual = await repos.patrocinadores.findById(id);
+
+      if (!actual) {
+        return res.status(404).json({ error: 'Patrocinador no encontrado' });
+      }
+
+      const { cuerpo, ...errorCiudades } = await validarCiudades(repos, req.body);
+      if (errorCiudades.error) {
+        return res.status(400).json(errorCiudades);
+      }
+
+      if (!puedeEditarCiudades(req.user, actual.ciudades_ids) ||
+          (cuerpo.ciudades_ids !== undefined && !puedeEditarCiudades(req.user, cuerpo.ciudades_ids || []))) {
+        return forbidden(res);
+      }
+
+      if (!cumpleIfMatch(req, actual)) {
+        return responderConflicto(res, actual);
+      }
+
+      const patrocinadorFinal = await notificador.conHistorial(req, 'patrocinador', 'updated', actual,
+        (tx) => repos.patrocinadores.patch(id, cuerpo, { version: versionEsperada(req, actual) }, tx));
+
+      if (!patrocinadorFinal) {
+        const vigente = await repos.patrocinadores.findById(id);
+        return vigente ? responderConflicto(res, vigente) : res.status(404).json({ error: 'Patrocinador no encontrado' });
+      }
+
+      notificador.actualizado(req, 'patrocinador', patrocinadorFinal, actual);
+      conEtag(res, patrocinadorFinal).json(patrocinadorFinal);
+    } catch (error) {
+      if (db.isUniqueViolation(error)) {
+        res.status(400).json({ error: 'Ya existe un patrocinador con ese email' });
+      } else {
+        console.error('Error actualizando patrocinador parcialmente:', error);
+        res.status(500).json({ error: 'Error interno del servidor' });
+      }
+    }
+  });
+
+  // Añadir o quitar una ciudad del patrocinador sin tocar el resto de la lista;
+  // responde el patrocinador actualizado
+  const cambiarCiudad = (operacion) => async (req, res) => {
+    const { id } = req.params;
+    const ciudadId = Number(operacion === 'agregar' ? req.body.ciudad_id : req.params.ciudadId);
+
+    if (!Number.isInteger(ciudadId)) {
+      return res.status(400).json({ error: 'El ciudad_id es requerido' });
+    }
+
+    try {
+      const actual = await repos.patrocinadores.findById(id);
+
+      if (!actual) {
+        return res.status(404).json({ error: 'Patrocinador no encontrado' });
+      }
+
+      if (!puedeEditarCiudades(req.user, [...actual.ciudades_ids, ciudadId])) {
+        return forbidden(res);
+      }
+
+      if (!cumpleIfMatch(req, actual)) {
+        return responderConflicto(res, actual);
+      }
+
+      if (operacion === 'agregar' && !(await repos.ciudades.findById(ciudadId))) {
+        return res.status(400).json({ error: 'La ciudad indicada no existe' });
+      }
+
+      const opciones = { version: versionEsperada(req, actual) };
+      let cambiada;
+      const patrocinadorFinal = await notificador.conHistorial(req, 'patrocinador', 'updated', actual, async (tx) => {
+        cambiada = operacion === 'agregar'
+          ? await repos.patrocinadores.agregarCiudad(id, ciudadId, opciones, tx)
+          : await repos.patrocinadores.quitarCiudad(id, ciudadId, opciones, tx);
+        return cambiada && repos.patrocinadores.findById(id, tx);
+      });
+
+      if (cambiada === null) {
+        const vigente = await repos.patrocinadores.findById(id);
+        return vigente ? responderConflicto(res, vigente) : res.status(404).json({ error: 'Patrocinador no encontrado' });
+      }
+      if (!cambiada) {
+        return operacion === 'agregar'
+          ? res.status(409).json({ error: 'La ciudad ya está asociada al patrocinador' })
+          : res.status(404).json({ error: 'La ciudad no está asociada al patrocinador' });
+      }
+
+      notificador.actualizado(req, 'patrocinador', patrocinadorFinal, actual);
+      conEtag(res, patrocinadorFinal).status(operacion === 'agregar' ? 201 : 200).json(patrocinadorFinal);
+    } catch (error) {
+      console.error('Error cambiando ciudades del patrocinador:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  };
+
+  // POST - Asociar una ciudad al patrocinador
+  router.post('/:id/ciudades', auth.requireRole('admin', 'editor'), cambiarCiudad('agregar'));
+
+  // DELETE - Quitar una ciudad del patrocinador
+  router.delete('/:id/ciudades/:ciudadId', auth.requireRole('admin', 'editor'), cambiarCiudad('quitar'));
+
+  // DELETE - Eliminar patrocinador (pasa a la papelera)
+  router.delete('/:id', auth.requireRole('admin', 'editor'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const actual = await repos.patrocinadores.findById(id);
+
+      if (!actual) {
+        return res.status(404).json({ error: 'Patrocinador no encontrado' });
+      }
+
+      if (!puedeEditarCiudades(req.user, actual.ciudades_ids)) {
+        return forbidden(res);
+      }
+
+      if (!cumpleIfMatch(req, actual)) {
+        return responderConflicto(res, actual);
+      }
+
+      const eliminado = await notificador.conHistorial(req, 'patrocinador', 'deleted', actual,
+        (tx) => repos.patrocinadores.remove(id, { version: versionEsperada(req, actual) }, tx));
+
+      if (!eliminado) {
+        const vigente = await repos.patrocinadores.findById(id);
+        return vigente ? responderConflicto(res, vigente) : res.status(404).json({ error: 'Patrocinador no encontrado' });
+      }
+
+      notificador.eliminado(req, 'patrocinador', actual);
+      res.json({ message: 'Patrocinador eliminado correctamente' });
+    } catch (error) {
+      console.error('Error eliminando patrocinador:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Patrocinadores en la papelera (un editor ve los de sus ciudades)
+  router.get('/trash', auth.requireRole('admin', 'editor'), async (req, res) => {
+    try {
+      const eliminados = await repos.patrocinadores.listPapelera();
+      res.json(eliminados.filter(patrocinador => puedeEditarCiudades(req.user, patrocinador.ciudades_ids)));
+    } catch (error) {
+      console.error('Error obteniendo papelera de patrocinadores:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // POST - Restaurar patrocinador de la papelera con sus ciudades
+  router.post('/:id/restaurar', auth.requireRole('admin', 'editor'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const eliminado = await repos.patrocinadores.findEnPapelera(id);
+
+      if (!eliminado) {
+        return res.status(404).json({ error: 'El patrocinador no está en la papelera' });
+      }
+
+      if (!puedeEditarCiudades(req.user, eliminado.ciudades_ids)) {
+        return forbidden(res);
+      }
+
+      if (!cumpleIfMatch(req, eliminado)) {
+        return responderConflicto(res, eliminado);
+      }
+
+      const restaurado = await notificador.conHistorial(req, 'patrocinador', 'updated', eliminado,
+        (tx) => repos.patrocinadores.restaurar(id, tx));
+
+      if (!restaurado) {
+        return res.status(404).json({ error: 'El patrocinador no está en la papelera' });
+      }
+
+      notificador.actualizado(req, 'patrocinador', restaurado, eliminado, { tipo: 'patrocinador_restaurado' });
+      conEtag(res, restaurado).json(restaurado);
+    } catch (error) {
+      console.error('Error restaurando patrocinador:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Buscar patrocinadores por texto (q; limit, por defecto 20). Ver repositories/busqueda
+  router.get('/buscar', async (req, res) => {
+    const { q, limit, error } = parseBusqueda(req.query);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (!q) {
+      return res.json([]);
+    }
+
+    try {
+      res.json(await repos.patrocinadores.search(q, { limit }));
+    } catch (error) {
+      console.error('Error buscando patrocinadores:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Obtener patrocinador por ID (con ETag para If-Match / If-None-Match)
+  router.get('/:id', async (req, res) => {
+    try {
+      const patrocinador = await repos.patrocinadores.findById(req.params.id);
+
+      if (!patrocinador) {
+        return res.status(404).json({ error: 'Patrocinador no encontrado' });
+      }
+
+      conEtag(res, patrocinador).json(patrocinador);
+    } catch (error) {
+      console.error('Error obteniendo patrocinador:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createPatrocinadoresRouter };
@@ -0,0 +1,86 @@
+const express = require('express');
+const { CAMPOS_PROPIETARIO } = require('../repositories/cambiosRestaurantes');
+
+// Normalizar los campos enviados por el propietario (mismo criterio que PUT /api/restaurantes)
+const normalizarCambios = (body) => Object.fromEntries(
+  CAMPOS_PROPIETARIO
+    .filter(campo => body[campo] !== undefined)
+    .map(campo => [campo, typeof body[campo] === 'string' ? body[campo].trim() || null : body[campo] ?? null])
+);
+
+// Portal de autoservicio para propietarios de restaurantes
+const createPortalRouter = ({ repos, notificador, auth }) => {
+  const router = express.Router();
+
+  router.use(auth.requireRole('propietario'));
+
+  router.use((req, res, next) => {
+    if (!req.user.restaurante_id) {
+      return res.status(403).json({ error: 'Su usuario no está asociado a ningún restaurante' });
+    }
+    next();
+  });
+
+  // GET - Restaurante publicado del propietario y su cambio pendiente (si lo hay)
+  router.get('/restaurante', async (req, res) => {
+    try {
+      const restaurante = await repos.restaurantes.findById(req.user.restaurante_id);
+
+      if (!restaurante) {
+        return res.status(404).json({ error: 'Restaurante no encontrado' });
+      }
+
+      const cambioPendiente = await repos.cambiosRestaurantes.findPendiente(restaurante.id);
+      res.json({ restaurante, cambio_pendiente: cambioPendiente, campos_editables: CAMPOS_PROPIETARIO });
+    } catch (error) {
+      console.error('Error obteniendo restaurante del propietario:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // PUT - Proponer cambios; no se publican hasta que un administrador los apruebe
+  router.put('/restaurante', async (req, res) => {
+    const noPermitidos = Object.keys(req.body).filter(campo => !CAMPOS_PROPIETARIO.includes(campo));
+
+    if (noPermitidos.length > 0) {
+      return res.status(400).json({
+        error: `Campos no editables desde el portal: ${noPermitidos.join(', ')}`
+      });
+    }
+
+    const cambios = normalizarCambios(req.body);
+
+    if (Object.keys(cambios).length === 0) {
+      return res.status(400).json({ error: `Debe enviar al menos uno de: ${CAMPOS_PROPIETARIO.join(', ')}` });
+    }
+
+    try {
+      const pendiente = await repos.cambiosRestaurantes.findPendiente(req.user.restaurante_id);
+      const cambio = await repos.cambiosRestaurantes.proponer(req.user.restaurante_id, req.user.id, cambios);
+
+      if (pendiente) {
+        notificador.actualizado(req, 'cambio_restaurante', cambio, pendiente);
+      } else {
+        notificador.creado(req, 'cambio_restaurante', cambio);
+      }
+      res.status(202).json(cambio);
+    } catch (error) {
+      console.error('Error proponiendo cambios de restaurante:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Historial de cambios propuestos para el restaurante del propietario
+  router.get('/cambios', async (req, res) => {
+    try {
+      res.json(await repos.cambiosRestaurantes.list({ restauranteId: req.user.restaurante_id }));
+    } catch (error) {
+      console.error('Error obteniendo cambios del propietario:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createPortalRouter };
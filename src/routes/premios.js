@@ -0,0 +1,365 @@
+const express = require('express');
+const { ROLES, puedeEditarCiudad, forbidden } = require('../middleware/auth');
+
+const PODIO_POR_DEFECTO = 3;
+
+const normalizarCriterios = (criterios) => (Array.isArray(criterios) ? criterios : undefined)?.map(criterio => ({
+  nombre: criterio?.nombre?.trim() || null,
+  peso: criterio?.peso === undefined ? 1 : Number(criterio.peso),
+  puntuacion_maxima: criterio?.puntuacion_maxima === undefined ? 10 : Number(criterio.puntuacion_maxima)
+}));
+
+// Validar datos de la categoría; devuelve el mensaje de error o null
+const validateCategoria = ({ nombre }, criterios) => {
+  if (!nombre || nombre.trim() === '') {
+    return 'El nombre de la categoría es requerido';
+  }
+
+  if (criterios === undefined) {
+    return null;
+  }
+
+  if (criterios.length === 0) {
+    return 'La categoría necesita al menos un criterio';
+  }
+
+  for (const criterio of criterios) {
+    if (!criterio.nombre) {
+      return 'Cada criterio necesita un nombre';
+    }
+    if (!(criterio.peso > 0)) {
+      return `El peso del criterio "${criterio.nombre}" debe ser mayor que cero`;
+    }
+    if (!Number.isInteger(criterio.puntuacion_maxima) || criterio.puntuacion_maxima <= 0) {
+      return `La puntuación máxima del criterio "${criterio.nombre}" debe ser un entero positivo`;
+    }
+  }
+
+  if (new Set(criterios.map(c => c.nombre.toLowerCase())).size !== criterios.length) {
+    return 'Los nombres de los criterios no pueden repetirse';
+  }
+
+  return null;
+};
+
+// Validar una hoja de puntuación: una nota por criterio dentro de su rango
+const validarPuntuaciones = (criterios, puntuaciones) => {
+  if (!Array.isArray(puntuaciones)) {
+    return 'Las puntuaciones deben enviarse como array';
+  }
+
+  for (const criterio of criterios) {
+    const notas = puntuaciones.filter(p => Number(p?.criterio_id) === criterio.id);
+
+    if (notas.length !== 1) {
+      return `Falta la puntuación del criterio "${criterio.nombre}" o está repetida`;
+    }
+
+    const { puntuacion } = notas[0];
+    if (typeof puntuacion !== 'number' || puntuacion < 0 || puntuacion > criterio.puntuacion_maxima) {
+      return `La puntuación de "${criterio.nombre}" debe estar entre 0 y ${criterio.puntuacion_maxima}`;
+    }
+  }
+
+  if (puntuaciones.length !== criterios.length) {
+    return 'Hay puntuaciones para criterios que no pertenecen a la categoría';
+  }
+
+  return null;
+};
+
+// Endpoints de premios del jurado por edición
+const createPremiosRouter = ({ db, repos, notificador, auth }) => {
+  const router = express.Router();
+
+  // Cargar la categoría de las rutas /:id; 404 si no existe
+  router.param('id', async (req, res, next, id) => {
+    try {
+      req.categoria = await repos.premios.findById(id);
+
+      if (!req.categoria) {
+        return res.status(404).json({ error: 'Categoría de premio no encontrada' });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  const puedeGestionar = [
+    auth.requireRole('admin', 'editor'),
+    (req, res, next) => (puedeEditarCiudad(req.user, req.categoria.ciudad_id) ? next() : forbidden(res))
+  ];
+
+  // Solo se modifica una categoría mientras no se hayan publicado sus resultados
+  const abierta = (req, res, next) => (req.categoria.estado === 'abierta'
+    ? next()
+    : res.status(409).json({ error: 'Los resultados de esta categoría ya están publicados' }));
+
+  const esJurado = [
+    auth.requireRole(...ROLES),
+    async (req, res, next) => {
+      try {
+        req.jurado = await repos.premios.findJurado(req.categoria.id, req.user.id);
+        return req.jurado ? next() : res.status(403).json({ error: 'No es jurado de esta categoría' });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ];
+
+  // GET - Categorías de premio (filtros opcionales: edicion_id, estado)
+  router.get('/', async (req, res) => {
+    const { edicion_id, estado } = req.query;
+
+    try {
+      res.json(await repos.premios.list({ edicionId: edicion_id, estado }));
+    } catch (error) {
+      console.error('Error obteniendo categorías de premio:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Obtener categoría con sus criterios y jurados
+  router.get('/:id', (req, res) => {
+    res.json(req.categoria);
+  });
+
+  // POST - Crear categoría de premio con sus criterios ponderados
+  router.post('/', auth.requireRole('admin', 'editor'), async (req, res) => {
+    const criterios = normalizarCriterios(req.body.criterios) || [];
+
+    const validationError = req.body.edicion_id
+      ? validateCategoria(req.body, criterios)
+      : 'La edición de la categoría es requerida';
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const edicion = await repos.ediciones.findById(req.body.edicion_id);
+
+      if (!edicion) {
+        return res.status(400).json({ error: 'La edición indicada no existe' });
+      }
+
+      if (!puedeEditarCiudad(req.user, edicion.ciudad_id)) {
+        return forbidden(res);
+      }
+
+      const nuevaCategoria = await repos.premios.create({ ...req.body, criterios });
+      notificador.creado(req, 'premio', nuevaCategoria);
+      res.status(201).json(nuevaCategoria);
+    } catch (error) {
+      if (db.isUniqueViolation(error)) {
+        res.status(400).json({ error: 'Ya existe una categoría con ese nombre en la edición' });
+      } else {
+        console.error('Error creando categoría de premio:', error);
+        res.status(500).json({ error: 'Error interno del servidor' });
+      }
+    }
+  });
+
+  // PUT - Actualizar categoría (los criterios solo si aún no hay puntuaciones)
+  router.put('/:id', puedeGestionar, abierta, async (req, res) => {
+    const criterios = normalizarCriterios(req.body.criterios);
+
+    const validationError = validateCategoria(req.body, criterios);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      if (criterios && await repos.premios.tienePuntuaciones(req.categoria.id)) {
+        return res.status(409).json({ error: 'No se pueden cambiar los criterios después de que el jurado haya puntuado' });
+      }
+
+      const categoriaActualizada = await repos.premios.update(req.categoria.id, { ...req.body, criterios });
+      notificador.actualizado(req, 'premio', categoriaActualizada, req.categoria);
+      res.json(categoriaActualizada);
+    } catch (error) {
+      if (db.isUniqueViolation(error)) {
+        res.status(400).json({ error: 'Ya existe una categoría con ese nombre en la edición' });
+      } else {
+        console.error('Error actualizando categoría de premio:', error);
+        res.status(500).json({ error: 'Error interno del servidor' });
+      }
+    }
+  });
+
+  // DELETE - Eliminar categoría, sus puntuaciones y premios
+  router.delete('/:id', auth.requireRole('admin'), async (req, res) => {
+    try {
+      await repos.premios.remove(req.categoria.id);
+      notificador.eliminado(req, 'premio', req.categoria);
+      res.json({ message: 'Categoría de premio eliminada correctamente' });
+    } catch (error) {
+      console.error('Error eliminando categoría de premio:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // POST - Designar un usuario como jurado de la categoría
+  router.post('/:id/jurados', puedeGestionar, abierta, async (req, res) => {
+    const { usuario_id } = req.body;
+
+    if (!usuario_id) {
+      return res.status(400).json({ error: 'El usuario_id es requerido' });
+    }
+
+    try {
+      const usuario = await repos.usuarios.findById(usuario_id);
+
+      if (!usuario || !usuario.activo) {
+        return res.status(400).json({ error: 'El usuario indicado no existe o está inactivo' });
+      }
+
+      await repos.premios.agregarJurado(req.categoria.id, usuario.id);
+
+      const categoriaActualizada = await repos.premios.findById(req.categoria.id);
+      notificador.actualizado(req, 'premio', categoriaActualizada, req.categoria);
+      res.status(201).json(categoriaActualizada);
+    } catch (error) {
+      if (db.isUniqueViolation(error)) {
+        res.status(409).json({ error: 'El usuario ya es jurado de esta categoría' });
+      } else {
+        console.error('Error agregando jurado:', error);
+        res.status(500).json({ error: 'Error interno del servidor' });
+      }
+    }
+  });
+
+  // DELETE - Quitar un jurado (se descartan sus puntuaciones)
+  router.delete('/:id/jurados/:usuarioId', puedeGestionar, abierta, async (req, res) => {
+    try {
+      const quitado = await repos.premios.quitarJurado(req.categoria.id, req.params.usuarioId);
+
+      if (!quitado) {
+        return res.status(404).json({ error: 'El usuario no es jurado de esta categoría' });
+      }
+
+      const categoriaActualizada = await repos.premios.findById(req.categoria.id);
+      notificador.actualizado(req, 'premio', categoriaActualizada, req.categoria);
+      res.json(categoriaActualizada);
+    } catch (error) {
+      console.error('Error quitando jurado:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Hoja de puntuación del jurado autenticado: participantes y sus notas
+  router.get('/:id/hoja', esJurado, async (req, res) => {
+    try {
+      const participantes = await repos.participaciones.listByEdicion(req.categoria.edicion_id);
+      const notas = await repos.premios.hoja(req.jurado.id);
+
+      res.json({
+        categoria_id: req.categoria.id,
+        estado: req.categoria.estado,
+        criterios: req.categoria.criterios,
+        restaurantes: participantes.map(r => ({
+          id: r.id,
+          nombre_mostrar: r.nombre_mostrar,
+          puntuaciones: notas[r.id] || {},
+          completa: req.categoria.criterios.every(c => notas[r.id]?.[c.id] !== undefined)
+        }))
+      });
+    } catch (error) {
+      console.error('Error obteniendo hoja de puntuación:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // PUT - Puntuar un restaurante: [{ criterio_id, puntuacion }] con todos los criterios
+  router.put('/:id/hoja/:restauranteId', esJurado, abierta, async (req, res) => {
+    const { puntuaciones } = req.body;
+
+    const validationError = validarPuntuaciones(req.categoria.criterios, puntuaciones);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const participacion = await repos.participaciones.find(req.categoria.edicion_id, req.params.restauranteId);
+
+      if (!participacion || participacion.estado !== 'inscrito') {
+        return res.status(400).json({ error: 'El restaurante no participa en esta edición' });
+      }
+
+      await repos.premios.guardarPuntuaciones(
+        req.jurado.id,
+        participacion.restaurante_id,
+        puntuaciones.map(p => ({ criterio_id: Number(p.criterio_id), puntuacion: p.puntuacion }))
+      );
+
+      const notas = await repos.premios.hoja(req.jurado.id);
+      res.json({ restaurante_id: participacion.restaurante_id, puntuaciones: notas[participacion.restaurante_id] });
+    } catch (error) {
+      console.error('Error guardando puntuaciones:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Clasificación calculada. Antes de publicarse solo la ven los gestores.
+  router.get('/:id/clasificacion', async (req, res) => {
+    if (req.categoria.estado !== 'publicada') {
+      if (!req.user) {
+        return res.status(401).json({ error: req.authError || 'Autenticación requerida' });
+      }
+      if (!puedeEditarCiudad(req.user, req.categoria.ciudad_id)) {
+        return forbidden(res);
+      }
+    }
+
+    try {
+      res.json(await repos.premios.clasificacion(req.categoria));
+    } catch (error) {
+      console.error('Error calculando clasificación:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Premios publicados de la categoría
+  router.get('/:id/ganadores', async (req, res) => {
+    try {
+      res.json(await repos.premios.listByCategoria(req.categoria.id));
+    } catch (error) {
+      console.error('Error obteniendo ganadores:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // POST - Publicar resultados: registra los premios hasta la posición "podio" (3 por defecto)
+  router.post('/:id/publicar', puedeGestionar, abierta, async (req, res) => {
+    const podio = req.body.podio === undefined ? PODIO_POR_DEFECTO : req.body.podio;
+
+    if (!Number.isInteger(podio) || podio < 1) {
+      return res.status(400).json({ error: 'El podio debe ser un entero positivo' });
+    }
+
+    try {
+      const clasificacion = await repos.premios.clasificacion(req.categoria);
+
+      if (clasificacion.length === 0) {
+        return res.status(409).json({ error: 'Ningún restaurante tiene hojas de puntuación completas' });
+      }
+
+      const publicada = await repos.premios.publicar(req.categoria.id, podio);
+
+      if (!publicada) {
+        return res.status(409).json({ error: 'Los resultados de esta categoría ya están publicados' });
+      }
+
+      const ganadores = await repos.premios.listByCategoria(req.categoria.id);
+      notificador.actualizado(req, 'premio', { ...publicada, ganadores }, req.categoria, { tipo: 'premio_publicado' });
+      res.json({ categoria: publicada, ganadores });
+    } catch (error) {
+      console.error('Error publicando resultados:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createPremiosRouter };
@@ -0,0 +1,216 @@
+const express = require('express');
+const { puedeEditarRestaurante, forbidden } = require('../middleware/auth');
+const { ETIQUETAS } = require('../repositories/propuestas');
+
+const lista = (valor) => (Array.isArray(valor) ? valor : [])
+  .filter(item => typeof item === 'string' && item.trim() !== '')
+  .map(item => item.trim());
+
+// Normalizar el cuerpo de la petición; los alérgenos se guardan en minúsculas
+const normalizarPropuesta = (body) => {
+  const vegano = body.vegano === true;
+
+  return {
+    edicion_id: body.edicion_id || null,
+    nombre: body.nombre?.trim() || null,
+    descripcion: body.descripcion?.trim() || null,
+    precio: body.precio === undefined || body.precio === null || body.precio === '' ? null : Number(body.precio),
+    foto: body.foto?.trim() || null,
+    ingredientes: lista(body.ingredientes),
+    alergenos: lista(body.alergenos).map(a => a.toLowerCase()),
+    // Todo plato vegano es también vegetariano
+    vegetariano: vegano || body.vegetariano === true,
+    vegano,
+    sin_gluten: body.sin_gluten === true
+  };
+};
+
+// Validar la propuesta normalizada; devuelve el mensaje de error o null
+const validarPropuesta = (propuesta) => {
+  if (!propuesta.nombre) {
+    return 'El nombre de la propuesta es requerido';
+  }
+
+  if (propuesta.precio !== null && !(propuesta.precio >= 0)) {
+    return 'El precio debe ser un número no negativo';
+  }
+
+  return null;
+};
+
+// Una propuesta de edición solo se admite si el restaurante está inscrito en ella
+const validarEdicion = async (repos, restauranteId, edicionId) => {
+  if (!edicionId) {
+    return null;
+  }
+
+  const participacion = await repos.participaciones.find(edicionId, restauranteId);
+  return participacion && participacion.estado === 'inscrito'
+    ? null
+    : 'El restaurante no está inscrito en esa edición';
+};
+
+// Filtros de la query string, comunes al catálogo global y al de un restaurante
+const filtrosDesdeQuery = (query) => ({
+  edicionId: query.edicion_id,
+  ciudadId: query.ciudad_id,
+  restauranteId: query.restaurante_id,
+  q: query.q,
+  precioMin: query.precio_min !== undefined ? Number(query.precio_min) : undefined,
+  precioMax: query.precio_max !== undefined ? Number(query.precio_max) : undefined,
+  etiquetas: ETIQUETAS.filter(etiqueta => query[etiqueta] === 'true'),
+  sinAlergenos: query.sin_alergenos
+    ? query.sin_alergenos.split(',').map(a => a.trim().toLowerCase()).filter(Boolean)
+    : []
+});
+
+// Catálogo global de propuestas con filtros
+const createPropuestasRouter = ({ repos }) => {
+  const router = express.Router();
+
+  // GET - Catálogo de propuestas
+  // (filtros: edicion_id, ciudad_id, restaurante_id, q, precio_min, precio_max,
+  //  vegetariano, vegano, sin_gluten, sin_alergenos=mani,lacteos)
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await repos.propuestas.list(filtrosDesdeQuery(req.query)));
+    } catch (error) {
+      console.error('Error obteniendo propuestas:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  return router;
+};
+
+// Endpoints anidados: /api/restaurantes/:id/propuestas
+const createRestaurantePropuestasRouter = ({ repos, notificador, auth }) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Cargar el restaurante padre; 404 si no existe
+  router.use(async (req, res, next) => {
+    try {
+      req.restaurante = await repos.restaurantes.findById(req.params.id);
+
+      if (!req.restaurante) {
+        return res.status(404).json({ error: 'Restaurante no encontrado' });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  const puedeEditar = [
+    auth.requireRole('admin', 'editor'),
+    (req, res, next) => (puedeEditarRestaurante(req.user, req.restaurante) ? next() : forbidden(res))
+  ];
+
+  // GET - Propuestas del restaurante (mismos filtros que el catálogo)
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await repos.propuestas.list({
+        ...filtrosDesdeQuery(req.query),
+        restauranteId: req.restaurante.id
+      }));
+    } catch (error) {
+      console.error('Error obteniendo propuestas:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Obtener propuesta por ID
+  router.get('/:propuestaId', async (req, res) => {
+    try {
+      const propuesta = await repos.propuestas.findById(req.restaurante.id, req.params.propuestaId);
+
+      if (!propuesta) {
+        return res.status(404).json({ error: 'Propuesta no encontrada' });
+      }
+
+      res.json(propuesta);
+    } catch (error) {
+      console.error('Error obteniendo propuesta:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // POST - Crear nueva propuesta
+  router.post('/', puedeEditar, async (req, res) => {
+    const propuesta = normalizarPropuesta(req.body);
+
+    const validationError = validarPropuesta(propuesta);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const edicionError = await validarEdicion(repos, req.restaurante.id, propuesta.edicion_id);
+      if (edicionError) {
+        return res.status(400).json({ error: edicionError });
+      }
+
+      const nuevaPropuesta = await repos.propuestas.create(req.restaurante.id, propuesta);
+      notificador.creado(req, 'propuesta', nuevaPropuesta);
+      res.status(201).json(nuevaPropuesta);
+    } catch (error) {
+      console.error('Error creando propuesta:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // PUT - Actualizar propuesta
+  router.put('/:propuestaId', puedeEditar, async (req, res) => {
+    const propuesta = normalizarPropuesta(req.body);
+
+    const validationError = validarPropuesta(propuesta);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const edicionError = await validarEdicion(repos, req.restaurante.id, propuesta.edicion_id);
+      if (edicionError) {
+        return res.status(400).json({ error: edicionError });
+      }
+
+      const anterior = await repos.propuestas.findById(req.restaurante.id, req.params.propuestaId);
+      const propuestaActualizada = anterior &&
+        await repos.propuestas.update(req.restaurante.id, req.params.propuestaId, propuesta);
+
+      if (!propuestaActualizada) {
+        return res.status(404).json({ error: 'Propuesta no encontrada' });
+      }
+
+      notificador.actualizado(req, 'propuesta', propuestaActualizada, anterior);
+      res.json(propuestaActualizada);
+    } catch (error) {
+      console.error('Error actualizando propuesta:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // DELETE - Eliminar propuesta
+  router.delete('/:propuestaId', puedeEditar, async (req, res) => {
+    const { propuestaId } = req.params;
+
+    try {
+      const anterior = await repos.propuestas.findById(req.restaurante.id, propuestaId);
+      const eliminada = anterior && await repos.propuestas.remove(req.restaurante.id, propuestaId);
+
+      if (!eliminada) {
+        return res.status(404).json({ error: 'Propuesta no encontrada' });
+      }
+
+      notificador.eliminado(req, 'propuesta', anterior);
+      res.json({ message: 'Propuesta eliminada correctamente' });
+    } catch (error) {
+      console.error('Error eliminando propuesta:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createPropuestasRouter, createRestaurantePropuestasRouter };
@@ -0,0 +1,265 @@
+const express = require('express');
+const { ROLES, requireVerificado, puedeEditarRestaurante, forbidden } = require('../middleware/auth');
+const { esHora } = require('../utils/horarios');
+
+const FECHA = /^\d{4}-\d{2}-\d{2}$/;
+
+const hoy = () => new Date().toISOString().slice(0, 10);
+
+// Validar una franja reservable; devuelve el mensaje de error o null
+const validarFranja = ({ fecha, hora_inicio, hora_fin, personas_por_mesa }) => {
+  if (!fecha || !FECHA.test(fecha)) {
+    return 'La fecha es requerida con el formato YYYY-MM-DD';
+  }
+
+  if (!esHora(hora_inicio) || !esHora(hora_fin)) {
+    return 'Las horas deben tener el formato HH:MM';
+  }
+
+  if (hora_fin <= hora_inicio) {
+    return 'La hora de fin debe ser posterior a la de inicio';
+  }
+
+  if (personas_por_mesa !== undefined && !(Number.isInteger(personas_por_mesa) && personas_por_mesa > 0)) {
+    return 'Las personas por mesa deben ser un entero positivo';
+  }
+
+  return null;
+};
+
+// Registro de la reserva que se difunde por SSE, sin los datos de contacto del comensal
+const aviso = (reserva, franja) => ({
+  id: reserva.id,
+  franja_id: reserva.franja_id,
+  restaurante_id: reserva.restaurante_id,
+  ciudad_id: franja.ciudad_id,
+  fecha: reserva.fecha,
+  hora_inicio: reserva.hora_inicio,
+  personas: reserva.personas,
+  mesas: reserva.mesas,
+  estado: reserva.estado,
+  mesas_disponibles: franja.mesas_disponibles,
+  version: reserva.version
+});
+
+// Cargar el restaurante padre de las rutas anidadas; 404 si no existe
+const cargarRestaurante = (repos) => async (req, res, next) => {
+  try {
+    req.restaurante = await repos.restaurantes.findById(req.params.id);
+
+    if (!req.restaurante) {
+      return res.status(404).json({ error: 'Restaurante no encontrado' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// El restaurante gestiona sus franjas y ve sus reservas (también el propietario)
+const gestionaRestaurante = (auth) => [
+  auth.requireRole('admin', 'editor', 'propietario'),
+  (req, res, next) => (puedeEditarRestaurante(req.user, req.restaurante) ? next() : forbidden(res))
+];
+
+// Endpoints anidados: /api/restaurantes/:id/franjas
+const createFranjasRouter = ({ db, repos, notificador, auth }) => {
+  const router = express.Router({ mergeParams: true });
+
+  router.use(cargarRestaurante(repos));
+
+  // GET - Franjas del restaurante con su disponibilidad (filtros opcionales: desde, hasta)
+  router.get('/', async (req, res) => {
+    const { desde, hasta } = req.query;
+
+    try {
+      res.json(await repos.reservas.listFranjas(req.restaurante.id, { desde, hasta }));
+    } catch (error) {
+      console.error('Error obteniendo franjas:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // POST - Crear franja reservable (sin solaparse con otra del mismo día)
+  router.post('/', gestionaRestaurante(auth), async (req, res) => {
+    const validationError = validarFranja(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const nuevaFranja = await repos.reservas.createFranja(req.restaurante.id, req.body);
+
+      if (!nuevaFranja) {
+        return res.status(409).json({ error: 'La franja se solapa con otra del mismo día' });
+      }
+
+      notificador.creado(req, 'franja', nuevaFranja);
+      res.status(201).json(nuevaFranja);
+    } catch (error) {
+      if (db.isUniqueViolation(error)) {
+        res.status(400).json({ error: 'Ya existe una franja con esa fecha y hora de inicio' });
+      } else {
+        console.error('Error creando franja:', error);
+        res.status(500).json({ error: 'Error interno del servidor' });
+      }
+    }
+  });
+
+  // DELETE - Eliminar franja (solo si no tiene reservas confirmadas)
+  router.delete('/:franjaId', gestionaRestaurante(auth), async (req, res) => {
+    try {
+      const franja = await repos.reservas.findFranja(req.params.franjaId);
+
+      if (!franja || franja.restaurante_id !== req.restaurante.id) {
+        return res.status(404).json({ error: 'Franja no encontrada' });
+      }
+
+      const eliminada = await repos.reservas.removeFranja(franja.id);
+
+      if (!eliminada) {
+        return res.status(409).json({ error: 'La franja tiene reservas confirmadas' });
+      }
+
+      notificador.eliminado(req, 'franja', franja);
+      res.json({ message: 'Franja eliminada correctamente' });
+    } catch (error) {
+      console.error('Error eliminando franja:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  return router;
+};
+
+// Endpoints anidados: /api/restaurantes/:id/reservas
+const createRestauranteReservasRouter = ({ repos, auth }) => {
+  const router = express.Router({ mergeParams: true });
+
+  router.use(cargarRestaurante(repos));
+
+  // GET - Reservas del restaurante (filtros opcionales: fecha, estado)
+  router.get('/', gestionaRestaurante(auth), async (req, res) => {
+    const { fecha, estado } = req.query;
+
+    try {
+      res.json(await repos.reservas.listByRestaurante(req.restaurante.id, { fecha, estado }));
+    } catch (error) {
+      console.error('Error obteniendo reservas:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  return router;
+};
+
+// Endpoints de reservas para los comensales
+const createReservasRouter = ({ db, repos, notificador, auth }) => {
+  const router = express.Router();
+
+  // GET - Reservas del usuario autenticado
+  router.get('/mias', auth.requireRole(...ROLES), async (req, res) => {
+    try {
+      res.json(await repos.reservas.listByUsuario(req.user.id));
+    } catch (error) {
+      console.error('Error obteniendo reservas:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // POST - Reservar mesa en una franja para un grupo
+  router.post('/', auth.requireRole(...ROLES), requireVerificado, async (req, res) => {
+    const { franja_id, nombre_contacto, telefono, personas } = req.body;
+
+    if (!franja_id || typeof nombre_contacto !== 'string' || nombre_contacto.trim() === '') {
+      return res.status(400).json({ error: 'La franja y el nombre de contacto son requeridos' });
+    }
+
+    if (telefono !== undefined && telefono !== null && typeof telefono !== 'string') {
+      return res.status(400).json({ error: 'El teléfono debe ser texto' });
+    }
+
+    if (!Number.isInteger(personas) || personas < 1) {
+      return res.status(400).json({ error: 'El número de personas debe ser un entero positivo' });
+    }
+
+    try {
+      const franja = await repos.reservas.findFranja(franja_id);
+
+      if (!franja) {
+        return res.status(404).json({ error: 'Franja no encontrada' });
+      }
+
+      if (franja.fecha < hoy()) {
+        return res.status(409).json({ error: 'La franja ya ha pasado' });
+      }
+
+      if (!franja.numero_mesas) {
+        return res.status(409).json({ error: 'El restaurante no tiene mesas configuradas para reservar' });
+      }
+
+      const reserva = await repos.reservas.reservar(franja.id, req.user.id, req.body);
+
+      if (reserva === false) {
+        return res.status(404).json({ error: 'Franja no encontrada' });
+      }
+
+      if (!reserva) {
+        const actual = await repos.reservas.findFranja(franja.id);
+        return res.status(409).json({
+          error: 'No hay mesas suficientes en esta franja',
+          mesas_disponibles: actual.mesas_disponibles
+        });
+      }
+
+      const franjaActualizada = await repos.reservas.findFranja(franja.id);
+      notificador.creado(req, 'reserva', aviso(reserva, franjaActualizada));
+      res.status(201).json(reserva);
+    } catch (error) {
+      if (db.isUniqueViolation(error)) {
+        res.status(409).json({ error: 'Ya tiene una reserva confirmada en esta franja' });
+      } else {
+        console.error('Error creando reserva:', error);
+        res.status(500).json({ error: 'Error interno del servidor' });
+      }
+    }
+  });
+
+  // POST - Cancelar reserva (el comensal o quien gestiona el restaurante)
+  router.post('/:id/cancelar', auth.requireRole(...ROLES), async (req, res) => {
+    try {
+      const reserva = await repos.reservas.findById(req.params.id);
+
+      if (!reserva) {
+        return res.status(404).json({ error: 'Reserva no encontrada' });
+      }
+
+      if (reserva.usuario_id !== req.user.id) {
+        const restaurante = await repos.restaurantes.findById(reserva.restaurante_id);
+        if (!puedeEditarRestaurante(req.user, restaurante)) {
+          return forbidden(res);
+        }
+      }
+
+      const franjaAnterior = await repos.reservas.findFranja(reserva.franja_id);
+      const cancelada = await repos.reservas.cancelar(reserva.id);
+
+      if (!cancelada) {
+        return res.status(409).json({ error: 'La reserva ya estaba cancelada' });
+      }
+
+      const franja = await repos.reservas.findFranja(cancelada.franja_id);
+      notificador.actualizado(req, 'reserva', aviso(cancelada, franja), aviso(reserva, franjaAnterior), {
+        tipo: 'reserva_cancelada'
+      });
+      res.json(cancelada);
+    } catch (error) {
+      console.error('Error cancelando reserva:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createReservasRouter, createFranjasRouter, createRestauranteReservasRouter };
@@ -0,0 +1,446 @@
+const express = require('express');
+const { puedeEditarCiudad, puedeEditarRestaurante, forbidden } = require('../middleware/auth');
+const { normalizarSede, validarSede } = require('../utils/sedes');
+const { parsePagina, parseFiltros, responderListado } = require('../utils/listados');
+const { parseBusqueda } = require('../utils/busqueda');
+const { parseCercanos, parseMapa } = require('../utils/geo');
+const { cumpleIfMatch, versionEsperada, conEtag, responderConflicto } = require('../utils/concurrencia');
+const { createSedesRouter } = require('./sedes');
+const { createRestaurantePropuestasRouter } = require('./propuestas');
+const { createFranjasRouter, createRestauranteReservasRouter } = require('./reservas');
+const { COLUMNS, ORDENABLES } = require('../repositories/restaurantes');
+
+// Filtros del listado y su tipo (ver utils/listados)
+const FILTROS = { ciudad_id: 'entero', edicion_id: 'entero', con_logo: 'booleano', creado_desde: 'fecha', creado_hasta: 'fecha' };
+
+const CAMPOS_PATCH = [...COLUMNS, 'sedes'];
+
+// Normalizar y validar body.sedes si se envía; devuelve { sedes } o { error }
+const prepararSedes = (sedes) => {
+  if (sedes === undefined || sedes === null) {
+    return { sedes: undefined };
+  }
+
+  if (!Array.isArray(sedes)) {
+    return { error: 'Las sedes deben enviarse como un array' };
+  }
+
+  const normalizadas = sedes.map(sede => normalizarSede(sede || {}));
+  for (const sede of normalizadas) {
+    const error = validarSede(sede);
+    if (error) {
+      return { error };
+    }
+  }
+
+  return { sedes: normalizadas };
+};
+
+// Validar un cuerpo JSON Merge Patch; devuelve el mensaje de error o null
+const validarParche = (cambios) => {
+  const campos = Object.keys(cambios);
+  const noPermitidos = campos.filter(campo => !CAMPOS_PATCH.includes(campo));
+
+  if (noPermitidos.length > 0) {
+    return `Campos no editables: ${noPermitidos.join(', ')}`;
+  }
+
+  if (campos.length === 0) {
+    return `Debe enviar al menos uno de: ${CAMPOS_PATCH.join(', ')}`;
+  }
+
+  const vacio = ['nombre_oficial', 'nombre_mostrar']
+    .some(campo => campo in cambios && (typeof cambios[campo] !== 'string' || cambios[campo].trim() === ''));
+  if (vacio) {
+    return 'El nombre oficial y nombre para mostrar no pueden quedar vacíos';
+  }
+
+  return null;
+};
+
+// ========================================
+// ENDPOINTS PARA RESTAURANTES
+// ========================================
+const createRestaurantesRouter = ({ db, repos, notificador, auth, geocodificacion }) => {
+  const router = express.Router();
+
+  router.use('/:id/sedes', createSedesRouter({ repos, notificador, auth, geocodificacion }));
+  router.use('/:id/propuestas', createRestaurantePropuestasRouter({ repos, notificador, auth }));
+  router.use('/:id/franjas', createFranjasRouter({ db, repos, notificador, auth }));
+  router.use('/:id/reservas', createRestauranteReservasRouter({ repos, auth }));
+
+  // GET - Listado de restaurantes con información de ciudad (filtros: ciudad_id,
+  // edicion_id, con_logo, creado_desde, creado_hasta; orden y paginación en
+  // utils/listados)
+  router.get('/', async (req, res) => {
+    const pagina = parsePagina(req.query, { ordenables: ORDENABLES, ordenPorDefecto: '-fecha_creacion' });
+    const { filtros, error } = parseFiltros(req.query, FILTROS);
+
+    if (pagina.error || error) {
+      return res.status(400).json({ error: pagina.error || error });
+    }
+
+    try {
+      responderListado(req, res, pagina, await repos.restaurantes.list(filtros, pagina));
+    } catch (error) {
+      console.error('Error obteniendo restaurantes:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Restaurantes en la papelera (un editor ve los de sus ciudades)
+  router.get('/trash', auth.requireRole('admin', 'editor'), async (req, res) => {
+    try {
+      const eliminados = await repos.restaurantes.listPapelera();
+      res.json(eliminados.filter(restaurante => puedeEditarRestaurante(req.user, restaurante)));
+    } catch (error) {
+      console.error('Error obteniendo papelera de restaurantes:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Buscar restaurantes por texto (q; limit, por defecto 20). Ver repositories/busqueda
+  router.get('/buscar', async (req, res) => {
+    const { q, limit, error } = parseBusqueda(req.query);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (!q) {
+      return res.json([]);
+    }
+
+    try {
+      res.json(await repos.restaurantes.search(q, { limit }));
+    } catch (error) {
+      console.error('Error buscando restaurantes:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Restaurantes a menos de "radio" km (por defecto 5) de lat, lng, del
+  // más cercano al más lejano (ver repositories/restaurantes). Con ciudad_id
+  // solo los de esa ciudad y, sin lat ni lng, alrededor de sus coordenadas
+  router.get('/cercanos', async (req, res) => {
+    const { punto, radioKm, limit, error } = parseCercanos(req.query);
+    const filtrado = parseFiltros(req.query, { ciudad_id: 'entero' });
+
+    if (error || filtrado.error) {
+      return res.status(400).json({ error: error || filtrado.error });
+    }
+
+    const ciudadId = filtrado.filtros.ciudad_id;
+
+    if (!punto && !ciudadId) {
+      return res.status(400).json({ error: 'lat y lng son requeridos (o ciudad_id de una ciudad con coordenadas)' });
+    }
+
+    try {
+      let centro = punto;
+
+      if (!centro) {
+        const ciudad = await repos.ciudades.findById(ciudadId);
+
+        if (!ciudad) {
+          return res.status(404).json({ error: 'Ciudad no encontrada' });
+        }
+        if (ciudad.latitud === null || ciudad.longitud === null) {
+          return res.status(400).json({ error: 'La ciudad no tiene coordenadas; envíe lat y lng' });
+        }
+        centro = { latitud: ciudad.latitud, longitud: ciudad.longitud };
+      }
+
+      res.json(await repos.restaurantes.cercanos(centro, { radioKm, limit, ciudadId }));
+    } catch (error) {
+      console.error('Error buscando restaurantes cercanos:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Marcadores del mapa: sedes con coordenadas dentro de
+  // bbox=oeste,sur,este,norte y/o de ciudad_id (al menos uno); limit hasta 1000
+  router.get('/mapa', async (req, res) => {
+    const { caja, limit, error } = parseMapa(req.query);
+    const filtrado = parseFiltros(req.query, { ciudad_id: 'entero' });
+
+    if (error || filtrado.error) {
+      return res.status(400).json({ error: error || filtrado.error });
+    }
+
+    const ciudadId = filtrado.filtros.ciudad_id;
+
+    if (!caja && !ciudadId) {
+      return res.status(400).json({ error: 'bbox o ciudad_id es requerido' });
+    }
+
+    try {
+      res.json(await repos.restaurantes.marcadores({ caja, ciudadId }, limit));
+    } catch (error) {
+      console.error('Error obteniendo marcadores del mapa:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Obtener restaurante por ID
+  router.get('/:id', async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const restaurante = await repos.restaurantes.findById(id);
+
+      if (!restaurante) {
+        return res.status(404).json({ error: 'Restaurante no encontrado' });
+      }
+
+      conEtag(res, restaurante).json(restaurante);
+    } catch (error) {
+      console.error('Error obteniendo restaurante:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Ediciones en las que ha participado el restaurante
+  router.get('/:id/ediciones', async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const restaurante = await repos.restaurantes.findById(id);
+
+      if (!restaurante) {
+        return res.status(404).json({ error: 'Restaurante no encontrado' });
+      }
+
+      res.json(await repos.participaciones.listByRestaurante(id));
+    } catch (error) {
+      console.error('Error obteniendo ediciones del restaurante:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Premios del jurado obtenidos por el restaurante
+  router.get('/:id/premios', async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const restaurante = await repos.restaurantes.findById(id);
+
+      if (!restaurante) {
+        return res.status(404).json({ error: 'Restaurante no encontrado' });
+      }
+
+      res.json(await repos.premios.listByRestaurante(id));
+    } catch (error) {
+      console.error('Error obteniendo premios del restaurante:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // POST - Crear nuevo restaurante
+  router.post('/', auth.requireRole('admin', 'editor'), async (req, res) => {
+    const { nombre_oficial, nombre_mostrar } = req.body;
+
+    if (!nombre_oficial || !nombre_mostrar) {
+      return res.status(400).json({ error: 'El nombre oficial y nombre para mostrar son requeridos' });
+    }
+
+    // Un editor solo crea restaurantes en sus ciudades
+    if (!puedeEditarCiudad(req.user, req.body.ciudad_id)) {
+      return forbidden(res);
+    }
+
+    const { sedes, error: sedesError } = prepararSedes(req.body.sedes);
+    if (sedesError) {
+      return res.status(400).json({ error: sedesError });
+    }
+
+    try {
+      const restauranteConCiudad = await notificador.conHistorial(req, 'restaurante', 'created', null,
+        (tx) => repos.restaurantes.create({ ...req.body, sedes }, {}, tx));
+
+      notificador.creado(req, 'restaurante', restauranteConCiudad);
+      // Las direcciones se geocodifican después, en segundo plano (ver jobs/geocodificacion)
+      geocodificacion.encolar(restauranteConCiudad.id);
+
+      res.status(201).json(restauranteConCiudad);
+    } catch (error) {
+      console.error('Error creando restaurante:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // PUT - Actualizar restaurante (los propietarios usan /api/portal y pasan por revisión)
+  router.put('/:id', auth.requireRole('admin', 'editor'), async (req, res) => {
+    const { id } = req.params;
+    const { nombre_oficial, nombre_mostrar } = req.body;
+
+    if (!nombre_oficial || !nombre_mostrar) {
+      return res.status(400).json({ error: 'El nombre oficial y nombre para mostrar son requeridos' });
+    }
+
+    const { sedes, error: sedesError } = prepararSedes(req.body.sedes);
+    if (sedesError) {
+      return res.status(400).json({ error: sedesError });
+    }
+
+    try {
+      const actual = await repos.restaurantes.findById(id);
+
+      if (!actual) {
+        return res.status(404).json({ error: 'Restaurante no encontrado' });
+      }
+
+      // Tampoco se puede mover el restaurante a una ciudad fuera del ámbito del usuario
+      const cambiaCiudad = Number(req.body.ciudad_id || null) !== Number(actual.ciudad_id || null);
+      if (!puedeEditarRestaurante(req.user, actual) ||
+          (cambiaCiudad && !puedeEditarCiudad(req.user, req.body.ciudad_id))) {
+        return forbidden(res);
+      }
+
+      if (!cumpleIfMatch(req, actual)) {
+        return responderConflicto(res, actual);
+      }
+
+      const restauranteActualizado = await notificador.conHistorial(req, 'restaurante', 'updated', actual,
+        (tx) => repos.restaurantes.update(id, { ...req.body, sedes }, { version: versionEsperada(req, actual) }, tx));
+
+      // Otro usuario lo cambió o eliminó entre la lectura y la escritura
+      if (!restauranteActualizado) {
+        const vigente = await repos.restaurantes.findById(id);
+        return vigente ? responderConflicto(res, vigente) : res.status(404).json({ error: 'Restaurante no encontrado' });
+      }
+
+      notificador.actualizado(req, 'restaurante', restauranteActualizado, actual);
+      geocodificacion.encolar(id, actual);
+
+      conEtag(res, restauranteActualizado).json(restauranteActualizado);
+    } catch (error) {
+      console.error('Error actualizando restaurante:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // PATCH - Actualización parcial (JSON Merge Patch): solo cambian los campos
+  // enviados; null vacía el campo (y en sedes, elimina todas)
+  router.patch('/:id', auth.requireRole('admin', 'editor'), async (req, res) => {
+    const { id } = req.params;
+
+    const validationError = validarParche(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { sedes, error: sedesError } = req.body.sedes === null ? { sedes: [] } : prepararSedes(req.body.sedes);
+    if (sedesError) {
+      return res.status(400).json({ error: sedesError });
+    }
+
+    try {
+      const actual = await repos.restaurantes.findById(id);
+
+      if (!actual) {
+        return res.status(404).json({ error: 'Restaurante no encontrado' });
+      }
+
+      const cambiaCiudad = req.body.ciudad_id !== undefined &&
+        Number(req.body.ciudad_id || null) !== Number(actual.ciudad_id || null);
+      if (!puedeEditarRestaurante(req.user, actual) ||
+          (cambiaCiudad && !puedeEditarCiudad(req.user, req.body.ciudad_id))) {
+        return forbidden(res);
+      }
+
+      if (!cumpleIfMatch(req, actual)) {
+        return responderConflicto(res, actual);
+      }
+
+      const restauranteActualizado = await notificador.conHistorial(req, 'restaurante', 'updated', actual,
+        (tx) => repos.restaurantes.patch(id, { ...req.body, sedes }, { version: versionEsperada(req, actual) }, tx));
+
+      if (!restauranteActualizado) {
+        const vigente = await repos.restaurantes.findById(id);
+        return vigente ? responderConflicto(res, vigente) : res.status(404).json({ error: 'Restaurante no encontrado' });
+      }
+
+      notificador.actualizado(req, 'restaurante', restauranteActualizado, actual);
+      geocodificacion.encolar(id, actual);
+      conEtag(res, restauranteActualizado).json(restauranteActualizado);
+    } catch (error) {
+      console.error('Error actualizando restaurante parcialmente:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // DELETE - Eliminar restaurante (pasa a la papelera)
+  router.delete('/:id', auth.requireRole('admin', 'editor'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const actual = await repos.restaurantes.findById(id);
+
+      if (!actual) {
+        return res.status(404).json({ error: 'Restaurante no encontrado' });
+      }
+
+      if (!puedeEditarRestaurante(req.user, actual)) {
+        return forbidden(res);
+      }
+
+      if (!cumpleIfMatch(req, actual)) {
+        return responderConflicto(res, actual);
+      }
+
+      const eliminado = await notificador.conHistorial(req, 'restaurante', 'deleted', actual,
+        (tx) => repos.restaurantes.remove(id, { version: versionEsperada(req, actual) }, tx));
+
+      if (!eliminado) {
+        const vigente = await repos.restaurantes.findById(id);
+        return vigente ? responderConflicto(res, vigente) : res.status(404).json({ error: 'Restaurante no encontrado' });
+      }
+
+      notificador.eliminado(req, 'restaurante', actual);
+
+      res.json({ message: 'Restaurante eliminado correctamente' });
+    } catch (error) {
+      console.error('Error eliminando restaurante:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // POST - Restaurar restaurante de la papelera con sus sedes, propuestas y reservas
+  router.post('/:id/restaurar', auth.requireRole('admin', 'editor'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const eliminado = await repos.restaurantes.findEnPapelera(id);
+
+      if (!eliminado) {
+        return res.status(404).json({ error: 'El restaurante no está en la papelera' });
+      }
+
+      if (!puedeEditarRestaurante(req.user, eliminado)) {
+        return forbidden(res);
+      }
+
+      if (!cumpleIfMatch(req, eliminado)) {
+        return responderConflicto(res, eliminado);
+      }
+
+      const restaurado = await notificador.conHistorial(req, 'restaurante', 'updated', eliminado,
+        (tx) => repos.restaurantes.restaurar(id, tx));
+
+      if (!restaurado) {
+        return res.status(404).json({ error: 'El restaurante no está en la papelera' });
+      }
+
+      notificador.actualizado(req, 'restaurante', restaurado, eliminado, { tipo: 'restaurante_restaurado' });
+      conEtag(res, restaurado).json(restaurado);
+    } catch (error) {
+      console.error('Error restaurando restaurante:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createRestaurantesRouter };
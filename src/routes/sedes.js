@@ -0,0 +1,140 @@
+const express = require('express');
+const { puedeEditarRestaurante, forbidden } = require('../middleware/auth');
+const { normalizarSede, validarSede } = require('../utils/sedes');
+
+// Endpoints anidados: /api/restaurantes/:id/sedes
+const createSedesRouter = ({ repos, notificador, auth, geocodificacion }) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Cargar el restaurante padre; 404 si no existe
+  router.use(async (req, res, next) => {
+    try {
+      req.restaurante = await repos.restaurantes.findById(req.params.id);
+
+      if (!req.restaurante) {
+        return res.status(404).json({ error: 'Restaurante no encontrado' });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  const puedeEditar = [
+    auth.requireRole('admin', 'editor'),
+    (req, res, next) => (puedeEditarRestaurante(req.user, req.restaurante) ? next() : forbidden(res))
+  ];
+
+  // Las sedes forman parte del restaurante: cambio(tx) modifica la sede y
+  // devuelve la sede (o un valor falso si no existe), y el restaurante
+  // completo queda en el historial en la misma transacción. Devuelve la sede
+  // y el restaurante tras el cambio
+  const guardar = async (req, cambio) => {
+    let sede;
+    const restaurante = await notificador.conHistorial(req, 'restaurante', 'updated', req.restaurante, async (tx) => {
+      sede = await cambio(tx);
+      return sede && repos.restaurantes.findById(req.restaurante.id, tx);
+    });
+    return { sede, restaurante };
+  };
+
+  // Notificar el restaurante completo para que los clientes refresquen sus
+  // sedes y geocodificarlas en segundo plano
+  const notificar = (req, restaurante) => {
+    notificador.actualizado(req, 'restaurante', restaurante, req.restaurante);
+    geocodificacion.encolar(restaurante.id, req.restaurante);
+  };
+
+  const sedeDe = (restaurante, sede) => restaurante.sedes.find(({ id }) => id === sede.id) || sede;
+
+  // GET - Sedes del restaurante
+  router.get('/', (req, res) => {
+    res.json(req.restaurante.sedes);
+  });
+
+  // GET - Obtener sede por ID
+  router.get('/:sedeId', async (req, res) => {
+    try {
+      const sede = await repos.sedes.findById(req.restaurante.id, req.params.sedeId);
+
+      if (!sede) {
+        return res.status(404).json({ error: 'Sede no encontrada' });
+      }
+
+      res.json(sede);
+    } catch (error) {
+      console.error('Error obteniendo sede:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // POST - Crear nueva sede
+  router.post('/', puedeEditar, async (req, res) => {
+    const sede = normalizarSede(req.body);
+
+    const validationError = validarSede(sede);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const { sede: nuevaSede, restaurante } = await guardar(req, (tx) => repos.sedes.create(req.restaurante.id, sede, tx));
+      notificar(req, restaurante);
+      res.status(201).json(sedeDe(restaurante, nuevaSede));
+    } catch (error) {
+      console.error('Error creando sede:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // PUT - Actualizar sede
+  router.put('/:sedeId', puedeEditar, async (req, res) => {
+    const sede = normalizarSede(req.body);
+
+    const validationError = validarSede(sede);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const { sede: sedeActualizada, restaurante } = await guardar(
+        req,
+        (tx) => repos.sedes.update(req.restaurante.id, req.params.sedeId, sede, tx)
+      );
+
+      if (!sedeActualizada) {
+        return res.status(404).json({ error: 'Sede no encontrada' });
+      }
+
+      notificar(req, restaurante);
+      res.json(sedeDe(restaurante, sedeActualizada));
+    } catch (error) {
+      console.error('Error actualizando sede:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // DELETE - Eliminar sede
+  router.delete('/:sedeId', puedeEditar, async (req, res) => {
+    try {
+      const { sede: eliminada, restaurante } = await guardar(
+        req,
+        (tx) => repos.sedes.remove(req.restaurante.id, req.params.sedeId, tx)
+      );
+
+      if (!eliminada) {
+        return res.status(404).json({ error: 'Sede no encontrada' });
+      }
+
+      notificar(req, restaurante);
+      res.json({ message: 'Sede eliminada correctamente' });
+    } catch (error) {
+      console.error('Error eliminando sede:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createSedesRouter };
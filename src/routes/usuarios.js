@@ -0,0 +1,120 @@
+const express = require('express');
+const { ROLES } = require('../middleware/auth');
+const { validarCredenciales } = require('../utils/usuarios');
+
+// Validar datos de usuario; la contraseña solo es obligatoria al crear
+const validateUsuario = ({ email, password, rol, restaurante_id }, { creating }) => {
+  if (!email || !rol) {
+    return 'El email y el rol son requeridos';
+  }
+
+  if (!ROLES.includes(rol)) {
+    return `El rol debe ser uno de: ${ROLES.join(', ')}`;
+  }
+
+  const credencialesError = validarCredenciales({ email, password }, { passwordRequerida: creating });
+  if (credencialesError) {
+    return credencialesError;
+  }
+
+  if (rol === 'propietario' && !restaurante_id) {
+    return 'Un propietario debe estar asociado a un restaurante';
+  }
+
+  return null;
+};
+
+// Gestión de usuarios (solo administradores)
+const createUsuariosRouter = ({ db, repos, notificador, auth }) => {
+  const router = express.Router();
+
+  router.use(auth.requireRole('admin'));
+
+  // GET - Obtener todos los usuarios
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await repos.usuarios.list());
+    } catch (error) {
+      console.error('Error obteniendo usuarios:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // POST - Crear nuevo usuario
+  router.post('/', async (req, res) => {
+    const validationError = validateUsuario(req.body, { creating: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const nuevoUsuario = await repos.usuarios.create(req.body);
+      notificador.creado(req, 'usuario', nuevoUsuario);
+      res.status(201).json(nuevoUsuario);
+    } catch (error) {
+      if (db.isUniqueViolation(error)) {
+        res.status(400).json({ error: 'Ya existe un usuario con ese email' });
+      } else {
+        console.error('Error creando usuario:', error);
+        res.status(500).json({ error: 'Error interno del servidor' });
+      }
+    }
+  });
+
+  // PUT - Actualizar usuario
+  router.put('/:id', async (req, res) => {
+    const { id } = req.params;
+
+    const validationError = validateUsuario(req.body, { creating: false });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const anterior = await repos.usuarios.findById(id);
+      const usuario = anterior && await repos.usuarios.update(id, req.body);
+
+      if (!usuario) {
+        return res.status(404).json({ error: 'Usuario no encontrado' });
+      }
+
+      notificador.actualizado(req, 'usuario', usuario, anterior);
+      res.json(usuario);
+    } catch (error) {
+      if (db.isUniqueViolation(error)) {
+        res.status(400).json({ error: 'Ya existe un usuario con ese email' });
+      } else {
+        console.error('Error actualizando usuario:', error);
+        res.status(500).json({ error: 'Error interno del servidor' });
+      }
+    }
+  });
+
+  // DELETE - Eliminar usuario
+  router.delete('/:id', async (req, res) => {
+    const { id } = req.params;
+
+    if (Number(id) === Number(req.user.id)) {
+      return res.status(400).json({ error: 'No puede eliminar su propio usuario' });
+    }
+
+    try {
+      const anterior = await repos.usuarios.findById(id);
+      const eliminado = anterior && await repos.usuarios.remove(id);
+
+      if (!eliminado) {
+        return res.status(404).json({ error: 'Usuario no encontrado' });
+      }
+
+      notificador.eliminado(req, 'usuario', anterior);
+      res.json({ message: 'Usuario eliminado correctamente' });
+    } catch (error) {
+      console.error('Error eliminando usuario:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createUsuariosRouter };
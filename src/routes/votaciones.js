@@ -0,0 +1,258 @@
+const express = require('express');
+const { ROLES, requireVerificado, puedeEditarCiudad, forbidden } = require('../middleware/auth');
+
+const MODALIDADES = ['voto', 'puntuacion'];
+const OBJETIVOS = ['restaurante', 'propuesta'];
+
+// Validar datos de la categoría; devuelve el mensaje de error o null
+const validateCategoria = ({ edicion_id, nombre, modalidad, objetivo }) => {
+  if (!edicion_id || !nombre || nombre.trim() === '') {
+    return 'La edición y el nombre de la categoría son requeridos';
+  }
+
+  if (modalidad && !MODALIDADES.includes(modalidad)) {
+    return `La modalidad debe ser una de: ${MODALIDADES.join(', ')}`;
+  }
+
+  if (objetivo && !OBJETIVOS.includes(objetivo)) {
+    return `El objetivo debe ser uno de: ${OBJETIVOS.join(', ')}`;
+  }
+
+  return null;
+};
+
+// Id enviado en el cuerpo como entero positivo (o null si no lo es)
+const idDe = (valor) => {
+  const id = typeof valor === 'string' && valor.trim() !== '' ? Number(valor) : valor;
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// Resultados públicos: congelados si la votación está cerrada, en vivo si no
+const resultadosDe = async (repos, categoria) => ({
+  categoria_id: categoria.id,
+  edicion_id: categoria.edicion_id,
+  ciudad_id: categoria.ciudad_id,
+  modalidad: categoria.modalidad,
+  estado: categoria.estado,
+  congelados: categoria.estado === 'cerrada',
+  fecha_cierre: categoria.fecha_cierre,
+  total_votos: categoria.total_votos,
+  resultados: categoria.estado === 'cerrada'
+    ? categoria.resultados
+    : await repos.votaciones.recuento(categoria)
+});
+
+// Endpoints de votación del público por categoría y edición
+const createVotacionesRouter = ({ db, repos, events, notificador, auth }) => {
+  const router = express.Router();
+
+  // Cargar la categoría de las rutas /:id; 404 si no existe
+  router.param('id', async (req, res, next, id) => {
+    try {
+      req.categoria = await repos.votaciones.findById(id);
+
+      if (!req.categoria) {
+        return res.status(404).json({ error: 'Categoría de votación no encontrada' });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  const puedeGestionar = [
+    auth.requireRole('admin', 'editor'),
+    (req, res, next) => (puedeEditarCiudad(req.user, req.categoria.ciudad_id) ? next() : forbidden(res))
+  ];
+
+  // GET - Categorías de votación (filtros opcionales: edicion_id, estado)
+  router.get('/', async (req, res) => {
+    const { edicion_id, estado } = req.query;
+
+    try {
+      res.json(await repos.votaciones.list({ edicionId: edicion_id, estado }));
+    } catch (error) {
+      console.error('Error obteniendo categorías de votación:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Obtener categoría por ID
+  router.get('/:id', (req, res) => {
+    res.json(req.categoria);
+  });
+
+  // POST - Crear categoría de votación en una edición
+  router.post('/', auth.requireRole('admin', 'editor'), async (req, res) => {
+    const validationError = validateCategoria(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const edicion = await repos.ediciones.findById(req.body.edicion_id);
+
+      if (!edicion) {
+        return res.status(400).json({ error: 'La edición indicada no existe' });
+      }
+
+      if (!puedeEditarCiudad(req.user, edicion.ciudad_id)) {
+        return forbidden(res);
+      }
+
+      const nuevaCategoria = await repos.votaciones.create(req.body);
+      notificador.creado(req, 'votacion', nuevaCategoria);
+      res.status(201).json(nuevaCategoria);
+    } catch (error) {
+      if (db.isUniqueViolation(error)) {
+        res.status(400).json({ error: 'Ya existe una categoría con ese nombre en la edición' });
+      } else {
+        console.error('Error creando categoría de votación:', error);
+        res.status(500).json({ error: 'Error interno del servidor' });
+      }
+    }
+  });
+
+  // DELETE - Eliminar categoría y sus votos
+  router.delete('/:id', auth.requireRole('admin'), async (req, res) => {
+    try {
+      await repos.votaciones.remove(req.categoria.id);
+      notificador.eliminado(req, 'votacion', req.categoria);
+      res.json({ message: 'Votación eliminada correctamente' });
+    } catch (error) {
+      console.error('Error eliminando categoría de votación:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Resultados (en vivo o congelados tras el cierre)
+  router.get('/:id/resultados', async (req, res) => {
+    try {
+      res.json(await resultadosDe(repos, req.categoria));
+    } catch (error) {
+      console.error('Error obteniendo resultados:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // GET - Voto del usuario autenticado en la categoría
+  router.get('/:id/mi-voto', auth.requireRole(...ROLES), async (req, res) => {
+    try {
+      const voto = await repos.votaciones.findVoto(req.categoria.id, req.user.id);
+
+      if (!voto) {
+        return res.status(404).json({ error: 'Todavía no ha votado en esta categoría' });
+      }
+
+      res.json(voto);
+    } catch (error) {
+      console.error('Error obteniendo voto:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  // Resolver el restaurante votado según el objetivo de la categoría;
+  // responde el error y devuelve null si el candidato no es válido
+  const resolverCandidato = async (req, res) => {
+    const { categoria } = req;
+
+    if (categoria.objetivo === 'propuesta') {
+      const propuestaId = idDe(req.body.propuesta_id);
+      if (!propuestaId) {
+        res.status(400).json({ error: 'El propuesta_id es requerido y debe ser un entero positivo' });
+        return null;
+      }
+
+      const propuesta = await repos.propuestas.findByEdicion(categoria.edicion_id, propuestaId);
+      if (!propuesta) {
+        res.status(400).json({ error: 'La propuesta no participa en esta edición' });
+        return null;
+      }
+      return { restauranteId: propuesta.restaurante_id, propuestaId: propuesta.id };
+    }
+
+    const restauranteId = idDe(req.body.restaurante_id);
+    if (!restauranteId) {
+      res.status(400).json({ error: 'El restaurante_id es requerido y debe ser un entero positivo' });
+      return null;
+    }
+    return { restauranteId, propuestaId: null };
+  };
+
+  // POST - Votar (un voto por usuario y categoría)
+  router.post('/:id/votos', auth.requireRole(...ROLES), requireVerificado, async (req, res) => {
+    const { categoria } = req;
+    const puntuacion = req.body.puntuacion;
+
+    if (categoria.modalidad === 'puntuacion' && !(Number.isInteger(puntuacion) && puntuacion >= 1 && puntuacion <= 5)) {
+      return res.status(400).json({ error: 'La puntuación debe ser un entero entre 1 y 5' });
+    }
+
+    if (categoria.estado !== 'abierta') {
+      return res.status(409).json({ error: 'La votación de esta categoría está cerrada' });
+    }
+
+    if (categoria.edicion_estado !== 'en_curso') {
+      return res.status(409).json({ error: 'Solo se puede votar mientras la edición está en curso' });
+    }
+
+    try {
+      const candidato = await resolverCandidato(req, res);
+      if (!candidato) {
+        return;
+      }
+
+      const participacion = await repos.participaciones.find(categoria.edicion_id, candidato.restauranteId);
+      if (!participacion || participacion.estado !== 'inscrito') {
+        return res.status(400).json({ error: 'El restaurante no participa en esta edición' });
+      }
+
+      // Los propietarios no pueden votarse a sí mismos
+      if (req.user.rol === 'propietario' && Number(req.user.restaurante_id) === candidato.restauranteId) {
+        return res.status(403).json({ error: 'No puede votar por su propio restaurante' });
+      }
+
+      const voto = await repos.votaciones.votar(categoria.id, req.user.id, {
+        ...candidato,
+        puntuacion: categoria.modalidad === 'puntuacion' ? puntuacion : null
+      });
+
+      if (!voto) {
+        return res.status(409).json({ error: 'La votación de esta categoría está cerrada' });
+      }
+
+      // Un voto no modifica la categoría: se difunde solo el recuento en vivo
+      const actualizada = await repos.votaciones.findById(categoria.id);
+      events.sendUpdateToAllClients('votacion_recuento', await resultadosDe(repos, actualizada));
+      res.status(201).json(voto);
+    } catch (error) {
+      if (db.isUniqueViolation(error)) {
+        res.status(409).json({ error: 'Ya ha votado en esta categoría' });
+      } else {
+        console.error('Error registrando voto:', error);
+        res.status(500).json({ error: 'Error interno del servidor' });
+      }
+    }
+  });
+
+  // POST - Cerrar la votación y congelar los resultados
+  router.post('/:id/cerrar', puedeGestionar, async (req, res) => {
+    try {
+      const cerrada = await repos.votaciones.cerrar(req.categoria.id, req.user.id);
+
+      if (!cerrada) {
+        return res.status(409).json({ error: 'La votación ya está cerrada' });
+      }
+
+      notificador.actualizado(req, 'votacion', cerrada, req.categoria, { tipo: 'votacion_cerrada' });
+      res.json(await resultadosDe(repos, cerrada));
+    } catch (error) {
+      console.error('Error cerrando votación:', error);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createVotacionesRouter };
@@ -0,0 +1,71 @@
+const { loadConfig } = require('./config');
+const { createDatabase } = require('./db');
+const { createMigrator } = require('./db/migrator');
+const { createApp } = require('./app');
+
+// Describir la base de datos configurada para los logs de arranque
+const describeDatabase = (config) => (config.db.client === 'sqlite'
+  ? `SQLite: ${config.db.filename}`
+  : `PostgreSQL: ${config.db.connectionString ? 'Configurada' : 'No configurada'}`);
+
+// Verificar la base de datos; no se sirve tráfico con migraciones pendientes
+const initializeDatabase = async (db, config) => {
+  try {
+    console.log('🔧 Iniciando inicialización de base de datos...');
+    console.log('🔧 Driver de base de datos:', config.db.client);
+    console.log('🔧 DATABASE_URL configurada:', config.db.connectionString ? 'Sí' : 'No');
+    console.log('🔧 NODE_ENV:', process.env.NODE_ENV);
+    console.log('🔧 Versión del servidor: 1.0.3 - Múltiples entornos soportados');
+
+    const pending = await createMigrator(db).pending();
+    if (pending.length > 0) {
+      pending.forEach(m => console.error(`⏳ Migración pendiente: ${m.name}`));
+      throw new Error(`Hay ${pending.length} migración(es) pendiente(s). Ejecute "npm run migrate" (o "npm run migrate:local") antes de arrancar.`);
+    }
+
+    console.log('✅ Base de datos inicializada correctamente');
+  } catch (error) {
+    console.error('❌ Error inicializando base de datos:', error);
+    console.error('❌ Detalles del error:', error.message);
+    console.error('❌ Stack trace:', error.stack);
+    throw error;
+  }
+};
+
+// Inicializar base de datos y arrancar servidor
+const startServer = (overrides) => {
+  const config = loadConfig(overrides);
+
+  if (!config.auth.secret) {
+    console.error('❌ AUTH_SECRET no está configurado; no se pueden firmar tokens');
+    process.exit(1);
+  }
+
+  const db = createDatabase(config.db);
+  const app = createApp({ db, config });
+
+  return initializeDatabase(db, config).then(() => {
+    const server = app.listen(config.port, () => {
+      console.log('🎉 ========================================');
+      console.log('🎉 SERVIDOR INICIADO EXITOSAMENTE');
+      console.log('🎉 ========================================');
+      console.log(`🚀 Servidor corriendo en puerto ${config.port}`);
+      console.log(`📊 API disponible en: http://localhost:${config.port}/api`);
+      console.log(`🏥 Health check: http://localhost:${config.port}/api/health`);
+      console.log(`📡 SSE disponible en: http://localhost:${config.port}/api/events`);
+      console.log(`🔌 WebSocket disponible en: ws://localhost:${config.port}/api/ws`);
+      console.log(`💾 Base de datos ${describeDatabase(config)}`);
+      console.log(`🌍 URLs de producción:`);
+      console.log(`   - Backend: https://as-gastronomico-backend.onrender.com`);
+      console.log(`   - Frontend: https://as-gastronomico-app.onrender.com`);
+      console.log('🎉 ========================================');
+    });
+
+    app.locals.websocket.attach(server);
+  }).catch((error) => {
+    console.error('❌ Error fatal iniciando el servidor:', error);
+    process.exit(1);
+  });
+};
+
+module.exports = { startServer };
@@ -0,0 +1,47 @@
+// Parámetros y resultados de las rutas /buscar (ver repositories/busqueda)
+
+const LIMITE_POR_DEFECTO = 20;
+const LIMITE_MAXIMO = 100;
+
+// Más términos no mejoran el resultado y encarecen la consulta
+const MAXIMO_TERMINOS = 8;
+
+// Marcas de los términos encontrados en los fragmentos, antes de escapar el
+// HTML; caracteres de control que no aparecen en el texto guardado
+const MARCA_INICIO = '\u0002';
+const MARCA_FIN = '\u0003';
+
+const HTML = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Minúsculas y sin tildes, como quedan los términos en los índices
+const normalizar = (texto) => texto.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+const terminos = (q) => (normalizar(q).match(/[\p{L}\p{N}]+/gu) || []).slice(0, MAXIMO_TERMINOS);
+
+// Fragmento listo para HTML: el texto escapado y los términos en <mark>
+const resaltar = (fragmento) => (fragmento
+  ? fragmento
+    .replace(/[&<>"']/g, caracter => HTML[caracter])
+    .split(MARCA_INICIO).join('<mark>')
+    .split(MARCA_FIN).join('</mark>')
+  : null);
+
+// Leer q y limit; devuelve { error } o { q, limit }. Sin términos, q es null
+const parseBusqueda = (query) => {
+  // Un parámetro repetido (?q=a&q=b) llega como array
+  const repetido = ['q', 'limit'].find(parametro => query[parametro] !== undefined && typeof query[parametro] !== 'string');
+  if (repetido) {
+    return { error: `${repetido} debe ser un único valor` };
+  }
+
+  const q = typeof query.q === 'string' && terminos(query.q).length > 0 ? query.q : null;
+  const limit = query.limit === undefined ? LIMITE_POR_DEFECTO : Number(query.limit);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > LIMITE_MAXIMO) {
+    return { error: `limit debe ser un entero entre 1 y ${LIMITE_MAXIMO}` };
+  }
+
+  return { q, limit };
+};
+
+module.exports = { MARCA_INICIO, MARCA_FIN, normalizar, terminos, resaltar, parseBusqueda };
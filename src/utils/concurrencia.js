@@ -0,0 +1,46 @@
+// Control de concurrencia optimista. Los registros con columna "version" la
+// exponen como ETag; PUT y DELETE aceptan If-Match con ese valor y responden
+// 412 con el registro vigente si otro usuario lo cambió entretanto. Sin
+// If-Match la escritura se aplica como antes.
+
+const etag = (registro) => `"${registro.version}"`;
+
+// Condición SQL que usan los repositorios para escribir solo sobre la versión
+// esperada; añade el parámetro a params (sin versión, no condiciona nada)
+const conVersion = (version, params) => {
+  if (version === undefined) {
+    return '';
+  }
+  params.push(version);
+  return ` AND version = $${params.length}`;
+};
+
+// Lista de ETags de If-Match; null si la petición no lo trae o trae "*". Se
+// conservan tal cual: If-Match usa la comparación fuerte (RFC 9110), así que
+// un ETag débil (W/"...") nunca coincide
+const etagsEsperados = (req) => {
+  const header = req.get('If-Match');
+
+  if (!header || header.trim() === '*') {
+    return null;
+  }
+  return header.split(',').map(valor => valor.trim());
+};
+
+// true si la petición puede escribir sobre el registro en su versión actual
+const cumpleIfMatch = (req, registro) => {
+  const esperados = etagsEsperados(req);
+  return !esperados || esperados.includes(etag(registro));
+};
+
+// Versión que el repositorio debe comprobar al escribir (undefined sin If-Match)
+const versionEsperada = (req, registro) => (etagsEsperados(req) ? registro.version : undefined);
+
+const conEtag = (res, registro) => res.set('ETag', etag(registro));
+
+const responderConflicto = (res, registro) => conEtag(res, registro).status(412).json({
+  error: 'El registro ha sido modificado por otro usuario; revise la versión actual',
+  actual: registro
+});
+
+module.exports = { etag, conVersion, cumpleIfMatch, versionEsperada, conEtag, responderConflicto };
@@ -0,0 +1,164 @@
+// Coordenadas, distancias y cajas (bounding box) para las consultas del mapa.
+// Sin extensiones espaciales: la base filtra por la caja con el índice de
+// (latitud, longitud) y la distancia exacta se calcula aquí, igual en
+// PostgreSQL y SQLite
+
+const RADIO_TIERRA_KM = 6371;
+
+const RADIO_POR_DEFECTO_KM = 5;
+const RADIO_MAXIMO_KM = 100;
+
+const LIMITE_POR_DEFECTO = 20;
+const LIMITE_MAXIMO = 100;
+
+const MARCADORES_POR_DEFECTO = 500;
+const MARCADORES_MAXIMO = 1000;
+
+const radianes = (valor) => valor * Math.PI / 180;
+
+const grados = (valor) => valor * 180 / Math.PI;
+
+const numero = (valor) => (valor === undefined || valor === null || valor === '' ? null : Number(valor));
+
+// Validar un par de coordenadas (ambas o ninguna); devuelve el mensaje de error o null
+const validarCoordenadas = ({ latitud, longitud }) => {
+  if ((latitud === null) !== (longitud === null)) {
+    return 'La latitud y la longitud deben enviarse juntas';
+  }
+
+  if (latitud !== null && !(latitud >= -90 && latitud <= 90)) {
+    return 'La latitud debe estar entre -90 y 90';
+  }
+
+  if (longitud !== null && !(longitud >= -180 && longitud <= 180)) {
+    return 'La longitud debe estar entre -180 y 180';
+  }
+
+  return null;
+};
+
+// Distancia por la superficie terrestre (haversine)
+const distanciaKm = (a, b) => {
+  const dLat = radianes(b.latitud - a.latitud);
+  const dLng = radianes(b.longitud - a.longitud);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(radianes(a.latitud)) * Math.cos(radianes(b.latitud)) * Math.sin(dLng / 2) ** 2;
+  return 2 * RADIO_TIERRA_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// Llevar una longitud al rango [-180, 180]
+const normalizarLongitud = (longitud) => ((((longitud + 180) % 360) + 360) % 360) - 180;
+
+// Caja { oeste, sur, este, norte } que contiene el círculo de radioKm alrededor
+// del punto. Si cruza el antimeridiano, oeste > este
+const cajaAlrededor = ({ latitud, longitud }, radioKm) => {
+  const dLat = grados(radioKm / RADIO_TIERRA_KM);
+  const sur = Math.max(latitud - dLat, -90);
+  const norte = Math.min(latitud + dLat, 90);
+
+  // Cerca de los polos el círculo abarca todas las longitudes
+  const cosLat = Math.cos(radianes(Math.max(Math.abs(sur), Math.abs(norte))));
+  const dLng = cosLat > 0 ? grados(radioKm / RADIO_TIERRA_KM) / cosLat : 180;
+
+  if (dLng >= 180) {
+    return { oeste: -180, sur, este: 180, norte };
+  }
+  return { oeste: normalizarLongitud(longitud - dLng), sur, este: normalizarLongitud(longitud + dLng), norte };
+};
+
+// Condición SQL de estar dentro de la caja (columnas de latitud y longitud);
+// añade los valores a params
+const condicionCaja = (caja, { latitud, longitud }, params) => {
+  const n = params.push(caja.sur, caja.norte, caja.oeste, caja.este);
+  const [sur, norte, oeste, este] = [n - 3, n - 2, n - 1, n].map(i => `$${i}`);
+  const enLongitud = caja.oeste <= caja.este
+    ? `${longitud} BETWEEN ${oeste} AND ${este}`
+    : `(${longitud} >= ${oeste} OR ${longitud} <= ${este})`;
+  return `${latitud} BETWEEN ${sur} AND ${norte} AND ${enLongitud}`;
+};
+
+const enteroEntre = (valor, porDefecto, maximo) => {
+  const n = valor === undefined ? porDefecto : Number(valor);
+  return Number.isInteger(n) && n >= 1 && n <= maximo ? n : null;
+};
+
+// Leer ?lat=&lng=&radio= (km)&limit= de GET /restaurantes/cercanos; devuelve
+// { error } o { punto, radioKm, limit }. punto es null si no se envía
+const parseCercanos = (query) => {
+  const latitud = numero(query.lat);
+  const longitud = numero(query.lng);
+
+  if ((latitud === null) !== (longitud === null)) {
+    return { error: 'lat y lng deben enviarse juntos' };
+  }
+
+  if (latitud !== null && !(latitud >= -90 && latitud <= 90)) {
+    return { error: 'lat debe estar entre -90 y 90' };
+  }
+
+  if (longitud !== null && !(longitud >= -180 && longitud <= 180)) {
+    return { error: 'lng debe estar entre -180 y 180' };
+  }
+
+  const radioKm = query.radio === undefined ? RADIO_POR_DEFECTO_KM : Number(query.radio);
+  if (!(radioKm > 0 && radioKm <= RADIO_MAXIMO_KM)) {
+    return { error: `radio debe ser un número de kilómetros mayor que 0 y hasta ${RADIO_MAXIMO_KM}` };
+  }
+
+  const limit = enteroEntre(query.limit, LIMITE_POR_DEFECTO, LIMITE_MAXIMO);
+  if (!limit) {
+    return { error: `limit debe ser un entero entre 1 y ${LIMITE_MAXIMO}` };
+  }
+
+  return { punto: latitud === null ? null : { latitud, longitud }, radioKm, limit };
+};
+
+// Leer una caja "oeste,sur,este,norte" (el orden de GeoJSON); devuelve
+// { error } o { caja }. oeste > este es una caja que cruza el antimeridiano
+const parseCaja = (bbox) => {
+  const valores = String(bbox).split(',').map(numero);
+
+  if (valores.length !== 4 || valores.some(valor => valor === null || Number.isNaN(valor))) {
+    return { error: 'bbox debe tener el formato oeste,sur,este,norte' };
+  }
+
+  const [oeste, sur, este, norte] = valores;
+  const error = validarCoordenadas({ latitud: sur, longitud: oeste }) || validarCoordenadas({ latitud: norte, longitud: este });
+
+  if (error) {
+    return { error: `bbox no válido: ${error}` };
+  }
+
+  if (sur > norte) {
+    return { error: 'bbox no válido: el sur debe ser menor que el norte' };
+  }
+
+  return { caja: { oeste, sur, este, norte } };
+};
+
+// Leer ?bbox=&limit= de GET /restaurantes/mapa; devuelve { error } o
+// { caja, limit }. caja es null si no se envía bbox
+const parseMapa = (query) => {
+  const { caja, error } = query.bbox === undefined ? { caja: null } : parseCaja(query.bbox);
+
+  if (error) {
+    return { error };
+  }
+
+  const limit = enteroEntre(query.limit, MARCADORES_POR_DEFECTO, MARCADORES_MAXIMO);
+  if (!limit) {
+    return { error: `limit debe ser un entero entre 1 y ${MARCADORES_MAXIMO}` };
+  }
+
+  return { caja, limit };
+};
+
+module.exports = {
+  numero,
+  validarCoordenadas,
+  distanciaKm,
+  cajaAlrededor,
+  condicionCaja,
+  parseCercanos,
+  parseMapa
+};
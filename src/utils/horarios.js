@@ -0,0 +1,65 @@
+// Días de la semana tal como se guardan en sedes_horarios
+const DIAS = ['lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado', 'domingo'];
+
+const NOMBRES_DIAS = {
+  lunes: 'Lunes',
+  martes: 'Martes',
+  miercoles: 'Miércoles',
+  jueves: 'Jueves',
+  viernes: 'Viernes',
+  sabado: 'Sábado',
+  domingo: 'Domingo'
+};
+
+const HORA = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const normalizarDia = (dia) => String(dia)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+  .toLowerCase();
+
+const esHora = (valor) => HORA.test(valor);
+
+// Convierte el texto que genera la app ("Lunes: 09:00 - 18:00 | Martes: Cerrado | ...")
+// en franjas { dia, apertura, cierre }. Devuelve null si el texto no sigue ese formato.
+const parseHorarioTexto = (texto) => {
+  if (!texto || typeof texto !== 'string') {
+    return null;
+  }
+
+  const franjas = [];
+
+  for (const parte of texto.split('|').map(p => p.trim()).filter(Boolean)) {
+    const match = parte.match(/^([^:]+):\s*(.+)$/);
+    const dia = match && normalizarDia(match[1]);
+
+    if (!match || !DIAS.includes(dia)) {
+      return null;
+    }
+
+    if (/^cerrado$/i.test(match[2].trim())) {
+      continue;
+    }
+
+    const horas = match[2].match(/^(\d{2}:\d{2})\s*-\s*(\d{2}:\d{2})$/);
+    if (!horas || !esHora(horas[1]) || !esHora(horas[2])) {
+      return null;
+    }
+
+    franjas.push({ dia, apertura: horas[1], cierre: horas[2] });
+  }
+
+  return franjas;
+};
+
+// Inverso de parseHorarioTexto: los días sin franjas se muestran como "Cerrado"
+const formatHorarios = (horarios) => DIAS.map((dia) => {
+  const franjas = horarios.filter(h => h.dia === dia);
+  const texto = franjas.length > 0
+    ? franjas.map(h => `${h.apertura} - ${h.cierre}`).join(', ')
+    : 'Cerrado';
+  return `${NOMBRES_DIAS[dia]}: ${texto}`;
+}).join(' | ');
+
+module.exports = { DIAS, esHora, normalizarDia, parseHorarioTexto, formatHorarios };
@@ -0,0 +1,226 @@
+// Paginación, orden y filtros de los listados (ciudades, patrocinadores,
+// restaurantes). La respuesta sigue siendo el array de registros; el total va
+// en X-Total-Count y los enlaces a otras páginas en Link (RFC 8288).
+//
+//   sort=campo | sort=-campo        orden ascendente / descendente
+//   limit=50&offset=100 | page=3    paginación por desplazamiento
+//   limit=50&cursor=                paginación por cursor: vacío en la primera
+//                                   página, luego el de rel="next"
+//
+// Sin limit, offset, page ni cursor se devuelve el listado completo, como antes.
+
+const LIMITE_POR_DEFECTO = 50;
+const LIMITE_MAXIMO = 200;
+
+const PARAMETROS_PAGINA = ['limit', 'offset', 'page', 'cursor'];
+
+const FECHA = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2})?)?$/;
+
+const codificarCursor = (datos) => Buffer.from(JSON.stringify(datos)).toString('base64url');
+
+const decodificarCursor = (texto) => {
+  try {
+    const datos = JSON.parse(Buffer.from(texto, 'base64url').toString());
+    return datos && typeof datos === 'object' && 'id' in datos ? datos : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Una fecha sin hora como límite superior incluye todo ese día
+const finDelDia = (fecha) => (fecha.length === 10 ? `${fecha} 23:59:59.999999` : fecha);
+
+const enteroNoNegativo = (valor) => /^\d+$/.test(String(valor)) ? Number(valor) : null;
+
+// Un parámetro repetido (?sort=a&sort=b) o con corchetes llega como array u objeto
+const noEsTexto = (valor) => valor !== undefined && typeof valor !== 'string';
+
+// Leer orden y página de la query; devuelve { error } o
+// { sort, campo, desc, limit, offset, page, porCursor, cursor }. "ordenables" son los
+// campos con índice por los que se admite ordenar
+const parsePagina = (query, { ordenables, ordenPorDefecto }) => {
+  const repetido = ['sort', ...PARAMETROS_PAGINA].find(parametro => noEsTexto(query[parametro]));
+  if (repetido) {
+    return { error: `${repetido} debe ser un único valor` };
+  }
+
+  const sort = query.sort || ordenPorDefecto;
+  const desc = sort.startsWith('-');
+  const campo = sort.replace(/^[-+]/, '');
+
+  if (!ordenables.includes(campo)) {
+    return { error: `No se puede ordenar por ${campo}. Use: ${ordenables.join(', ')}` };
+  }
+
+  const pagina = {
+    sort: `${desc ? '-' : ''}${campo}`, campo, desc, limit: null, offset: 0, page: null, porCursor: false, cursor: null
+  };
+
+  if (!PARAMETROS_PAGINA.some(parametro => query[parametro] !== undefined)) {
+    return pagina;
+  }
+
+  const limit = query.limit === undefined ? LIMITE_POR_DEFECTO : enteroNoNegativo(query.limit);
+  if (!limit || limit > LIMITE_MAXIMO) {
+    return { error: `limit debe ser un entero entre 1 y ${LIMITE_MAXIMO}` };
+  }
+  pagina.limit = limit;
+
+  if (query.cursor !== undefined) {
+    if (query.offset !== undefined || query.page !== undefined) {
+      return { error: 'Use cursor u offset/page, no ambos' };
+    }
+
+    pagina.porCursor = true;
+    if (query.cursor === '') {
+      return pagina;
+    }
+
+    const cursor = decodificarCursor(query.cursor);
+    if (!cursor) {
+      return { error: 'Cursor no válido' };
+    }
+    if (cursor.sort !== pagina.sort) {
+      return { error: 'El cursor corresponde a otro orden; repita la consulta desde la primera página' };
+    }
+    pagina.cursor = cursor;
+    return pagina;
+  }
+
+  if (query.page !== undefined) {
+    const page = enteroNoNegativo(query.page);
+    if (!page) {
+      return { error: 'page debe ser un entero positivo' };
+    }
+    pagina.page = page;
+    pagina.offset = (page - 1) * limit;
+  } else if (query.offset !== undefined) {
+    const offset = enteroNoNegativo(query.offset);
+    if (offset === null) {
+      return { error: 'offset debe ser un entero no negativo' };
+    }
+    pagina.offset = offset;
+  }
+
+  return pagina;
+};
+
+// Validar filtros de la query según su tipo ('entero', 'booleano', 'fecha');
+// devuelve { error } o { filtros } con los valores convertidos
+const parseFiltros = (query, tipos) => {
+  const filtros = {};
+
+  for (const [nombre, tipo] of Object.entries(tipos)) {
+    const valor = query[nombre];
+    if (valor === undefined || valor === '') {
+      continue;
+    }
+    if (noEsTexto(valor)) {
+      return { error: `${nombre} debe ser un único valor` };
+    }
+
+    if (tipo === 'entero') {
+      if (enteroNoNegativo(valor) === null) {
+        return { error: `${nombre} debe ser un entero` };
+      }
+      filtros[nombre] = Number(valor);
+    } else if (tipo === 'booleano') {
+      if (!['true', 'false', '1', '0'].includes(valor)) {
+        return { error: `${nombre} debe ser true o false` };
+      }
+      filtros[nombre] = valor === 'true' || valor === '1';
+    } else if (tipo === 'fecha') {
+      if (!FECHA.test(valor)) {
+        return { error: `${nombre} debe tener el formato YYYY-MM-DD` };
+      }
+      filtros[nombre] = valor.replace('T', ' ');
+    }
+  }
+
+  return { filtros };
+};
+
+// Cláusulas SQL de la página: columna extra con el valor de orden en texto
+// (para el cursor: un TIMESTAMP de PostgreSQL perdería los microsegundos al
+// pasar por Date), condición del cursor (se añade a conditions), ORDER BY con
+// desempate por id y LIMIT/OFFSET. Pide una fila de más para saber si hay
+// página siguiente (ver resultadoPagina)
+const clausulasPagina = (pagina, { columna, id }, conditions, params) => {
+  const direccion = pagina.desc ? 'DESC' : 'ASC';
+  const columnaCursor = `, CAST(${columna} AS TEXT) AS valor_cursor`;
+
+  if (pagina.cursor) {
+    const operador = pagina.desc ? '<' : '>';
+    params.push(pagina.cursor.valor, pagina.cursor.id);
+    const valor = `$${params.length - 1}`;
+    conditions.push(`(${columna} ${operador} ${valor} OR (${columna} = ${valor} AND ${id} ${operador} $${params.length}))`);
+  }
+
+  let limite = '';
+  if (pagina.limit) {
+    params.push(pagina.limit + 1);
+    limite = ` LIMIT $${params.length}`;
+
+    if (pagina.offset) {
+      params.push(pagina.offset);
+      limite += ` OFFSET $${params.length}`;
+    }
+  }
+
+  return { columnaCursor, orderBy: `ORDER BY ${columna} ${direccion}, ${id} ${direccion}`, limite };
+};
+
+// Recortar la fila de más pedida por clausulasPagina y quitar valor_cursor;
+// "ultimo" es la posición del último registro para el cursor siguiente
+const resultadoPagina = (pagina, rows, total) => {
+  const hayMas = Boolean(pagina.limit) && rows.length > pagina.limit;
+  const pedidas = hayMas ? rows.slice(0, pagina.limit) : rows;
+  const ultima = pedidas[pedidas.length - 1];
+
+  return {
+    items: pedidas.map(({ valor_cursor, ...row }) => row),
+    total,
+    hayMas,
+    ultimo: ultima ? { valor: ultima.valor_cursor, id: ultima.id } : null
+  };
+};
+
+// Responder el listado con X-Total-Count y, si está paginado, Link
+const responderListado = (req, res, pagina, { items, total, hayMas, ultimo }) => {
+  res.set('X-Total-Count', String(total));
+
+  if (pagina.limit) {
+    const enlace = (cambios, rel) => {
+      const query = new URLSearchParams(req.query);
+      ['offset', 'page', 'cursor'].forEach(parametro => query.delete(parametro));
+      Object.entries(cambios).forEach(([parametro, valor]) => query.set(parametro, valor));
+      query.set('limit', pagina.limit);
+      return `<${req.baseUrl}${req.path === '/' ? '' : req.path}?${query}>; rel="${rel}"`;
+    };
+
+    // Con page se enlaza por página; si no, por offset
+    const en = (offset) => (pagina.page ? { page: offset / pagina.limit + 1 } : { offset });
+    const ultima = Math.max(Math.floor((total - 1) / pagina.limit), 0) * pagina.limit;
+    const enlaces = [enlace(pagina.porCursor ? { cursor: '' } : (pagina.page ? { page: 1 } : {}), 'first')];
+
+    if (pagina.porCursor) {
+      if (hayMas) {
+        enlaces.push(enlace({ cursor: codificarCursor({ sort: pagina.sort, ...ultimo }) }, 'next'));
+      }
+    } else {
+      if (pagina.offset > 0) {
+        enlaces.push(enlace(en(Math.max(pagina.offset - pagina.limit, 0)), 'prev'));
+      }
+      if (hayMas) {
+        enlaces.push(enlace(en(pagina.offset + pagina.limit), 'next'));
+      }
+      enlaces.push(enlace(en(ultima), 'last'));
+    }
+
+    res.set('Link', enlaces.join(', '));
+  }
+
+  res.json(items);
+};
+
+module.exports = { parsePagina, parseFiltros, finDelDia, clausulasPagina, resultadoPagina, responderListado };
@@ -0,0 +1,61 @@
+const { DIAS, esHora, normalizarDia, parseHorarioTexto } = require('./horarios');
+
+const texto = (valor) => (typeof valor === 'string' ? valor.trim() || null : valor ?? null);
+
+const numero = (valor) => (valor === undefined || valor === null || valor === '' ? null : Number(valor));
+
+// Normalizar una sede recibida por la API. Acepta también el formato antiguo
+// del JSON de restaurantes.sedes ({ ubicacion_corta, horarios: "Lunes: ..." }).
+const normalizarSede = (input) => {
+  const horariosTexto = typeof input.horarios === 'string' ? input.horarios : null;
+  const horarios = Array.isArray(input.horarios)
+    ? input.horarios.map(h => ({ dia: normalizarDia(h.dia || ''), apertura: h.apertura, cierre: h.cierre }))
+    : parseHorarioTexto(horariosTexto);
+
+  return {
+    nombre: texto(input.nombre ?? input.ubicacion_corta),
+    direccion: texto(input.direccion),
+    barrio: texto(input.barrio),
+    latitud: numero(input.latitud),
+    longitud: numero(input.longitud),
+    // La pone el geocodificador; se conserva si el cliente la reenvía
+    direccion_normalizada: texto(input.direccion_normalizada),
+    telefono: texto(input.telefono),
+    mesas: numero(input.mesas),
+    // Texto libre de horario que no se pudo estructurar
+    horario_texto: texto(input.horario_texto) || (horarios ? null : texto(horariosTexto)),
+    horarios: horarios || []
+  };
+};
+
+// Validar una sede normalizada; devuelve el mensaje de error o null
+const validarSede = (sede) => {
+  if (!sede.nombre) {
+    return 'El nombre de la sede es requerido';
+  }
+
+  if (sede.latitud !== null && !(sede.latitud >= -90 && sede.latitud <= 90)) {
+    return 'La latitud debe estar entre -90 y 90';
+  }
+
+  if (sede.longitud !== null && !(sede.longitud >= -180 && sede.longitud <= 180)) {
+    return 'La longitud debe estar entre -180 y 180';
+  }
+
+  if (sede.mesas !== null && !(Number.isInteger(sede.mesas) && sede.mesas >= 0)) {
+    return 'El número de mesas debe ser un entero no negativo';
+  }
+
+  for (const h of sede.horarios) {
+    if (!DIAS.includes(h.dia)) {
+      return `Día de horario no válido: ${h.dia}. Use: ${DIAS.join(', ')}`;
+    }
+    if (!esHora(h.apertura) || !esHora(h.cierre)) {
+      return 'Los horarios deben tener el formato HH:MM';
+    }
+  }
+
+  return null;
+};
+
+module.exports = { normalizarSede, validarSede };
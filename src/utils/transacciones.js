@@ -0,0 +1,10 @@
+// Las escrituras de los repositorios aceptan como último parámetro la
+// transacción de quien llama, para que otras escrituras (el historial de
+// cambios, ver realtime/notificador) se confirmen o descarten con ellas. Sin
+// ella abren la suya. Dentro de una transacción todas las consultas deben ir
+// por el executor: en SQLite db.query esperaría a que terminase.
+
+// Ejecuta fn(tx) en la transacción recibida o en una nueva
+const enTransaccion = (db, executor, fn) => (executor ? fn(executor) : db.transaction(fn));
+
+module.exports = { enTransaccion };
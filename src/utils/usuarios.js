@@ -0,0 +1,17 @@
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Validar email y contraseña (si se envía o es obligatoria); devuelve el mensaje de error o null
+const validarCredenciales = ({ email, password }, { passwordRequerida }) => {
+  if (!emailRegex.test(email)) {
+    return 'El formato del email no es válido';
+  }
+
+  if ((passwordRequerida || password) && (!password || password.length < MIN_PASSWORD_LENGTH)) {
+    return `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`;
+  }
+
+  return null;
+};
+
+module.exports = { validarCredenciales };